@@ -1,32 +1,117 @@
 /**
  * api.js — Shared fetch wrapper for Speed Layer Admin UI.
  * Set window.SPEED_LAYER_API_URL to override the base URL (e.g. for GitHub Pages).
+ *
+ * Requests carry the session cookie from login.html. An API token in
+ * sessionStorage ('speedLayerToken') is sent as a bearer token instead.
+ * A 401 sends the browser to the login page.
+ *
+ * Manifest writes carry the ETag they were based on (If-Match). Failed
+ * requests throw an Error with .status and .data — a 412 conflict's data
+ * holds the current manifest and its etag.
  */
 const API_BASE = (window.SPEED_LAYER_API_URL || '') + '/api';
 
+function authHeaders() {
+  const token = sessionStorage.getItem('speedLayerToken');
+  return token ? { Authorization: `Bearer ${token}` } : {};
+}
+
 async function apiFetch(path, options = {}) {
   const res = await fetch(API_BASE + path, {
-    headers: { 'Content-Type': 'application/json', ...(options.headers || {}) },
-    ...options
+    credentials: 'include',
+    ...options,
+    headers: { 'Content-Type': 'application/json', ...authHeaders(), ...(options.headers || {}) }
   });
+  if (res.status === 401 && !location.pathname.endsWith('/login.html')) {
+    location.href = `login.html?next=${encodeURIComponent(location.pathname.split('/').pop() + location.search)}`;
+    return new Promise(() => {}); // navigating away
+  }
   if (res.status === 204) return null;
   const text = await res.text();
   let data;
   try { data = JSON.parse(text); } catch { data = text; }
-  if (!res.ok) throw new Error((data && (data.error || JSON.stringify(data))) || `HTTP ${res.status}`);
-  return data;
+  if (!res.ok) {
+    const err = new Error((data && (data.error || JSON.stringify(data))) || `HTTP ${res.status}`);
+    err.status = res.status;
+    err.data = data;
+    throw err;
+  }
+  return options.withEtag ? { data, etag: res.headers.get('ETag') } : data;
+}
+
+// If-Match (the version a write is based on) and the reason for the history
+function changeHeaders({ etag, reason } = {}) {
+  const headers = {};
+  if (etag) headers['If-Match'] = etag;
+  if (reason) headers['X-Change-Reason'] = encodeURIComponent(reason);
+  return { headers };
 }
 
 const api = {
+  login: (username, password) => apiFetch('/auth/login', { method: 'POST', body: JSON.stringify({ username, password }) }),
+  logout: () => apiFetch('/auth/logout', { method: 'POST' }),
+  me: () => apiFetch('/auth/me'),
   listSites: () => apiFetch('/sites'),
   getSite: (domain) => apiFetch(`/sites/${domain}`),
-  createSite: (data) => apiFetch('/sites', { method: 'POST', body: JSON.stringify(data) }),
-  updateSite: (domain, data) => apiFetch(`/sites/${domain}`, { method: 'PUT', body: JSON.stringify(data) }),
-  deleteSite: (domain) => apiFetch(`/sites/${domain}`, { method: 'DELETE' }),
-  enableSite: (domain) => apiFetch(`/sites/${domain}/enable`, { method: 'POST' }),
-  disableSite: (domain) => apiFetch(`/sites/${domain}/disable`, { method: 'POST' }),
+  getSiteWithEtag: (domain) => apiFetch(`/sites/${domain}`, { withEtag: true, cache: 'no-store' }),
+  getResolved: (domain) => apiFetch(`/sites/${domain}/resolved`, { cache: 'no-store' }),
+  lintSite: (domain, data) => apiFetch(`/sites/${domain}/lint`, { method: 'POST', body: JSON.stringify(data) }),
+  getDiscoveries: (domain) => apiFetch(`/sites/${domain}/discoveries`, { cache: 'no-store' }),
+  clearDiscoveries: (domain) => apiFetch(`/sites/${domain}/discoveries`, { method: 'DELETE' }),
+  createSite: (data, change) => apiFetch('/sites', { method: 'POST', body: JSON.stringify(data), ...changeHeaders(change) }),
+  updateSite: (domain, data, change) => apiFetch(`/sites/${domain}`, { method: 'PUT', body: JSON.stringify(data), ...changeHeaders(change) }),
+  deleteSite: (domain, change) => apiFetch(`/sites/${domain}`, { method: 'DELETE', ...changeHeaders(change) }),
+  enableSite: (domain, change) => apiFetch(`/sites/${domain}/enable`, { method: 'POST', ...changeHeaders(change) }),
+  disableSite: (domain, change) => apiFetch(`/sites/${domain}/disable`, { method: 'POST', ...changeHeaders(change) }),
+  getHistory: (domain) => apiFetch(`/sites/${domain}/history`),
+  getRevision: (domain, rev) => apiFetch(`/sites/${domain}/history/${rev}`),
+  rollbackSite: (domain, rev, change) => apiFetch(`/sites/${domain}/rollback/${rev}`, { method: 'POST', ...changeHeaders(change) }),
+  listTemplates: () => apiFetch('/templates', { cache: 'no-store' }),
+  getTemplateWithEtag: (name) => apiFetch(`/templates/${name}`, { withEtag: true, cache: 'no-store' }),
+  createTemplate: (name, template) => apiFetch('/templates', { method: 'POST', body: JSON.stringify({ name, template }) }),
+  updateTemplate: (name, data, change) => apiFetch(`/templates/${name}`, { method: 'PUT', body: JSON.stringify(data), ...changeHeaders(change) }),
+  deleteTemplate: (name, change) => apiFetch(`/templates/${name}`, { method: 'DELETE', ...changeHeaders(change) }),
+  listVendors: () => apiFetch('/vendors', { cache: 'no-store' }),
+  listDrafts: (params = {}) => apiFetch(`/drafts?${new URLSearchParams(params)}`, { cache: 'no-store' }),
+  getDraft: (id) => apiFetch(`/drafts/${id}`, { cache: 'no-store' }),
+  createDraft: (domain, data, change) => apiFetch(`/sites/${domain}/drafts`, { method: 'POST', body: JSON.stringify(data), ...changeHeaders(change) }),
+  updateDraft: (id, data, change) => apiFetch(`/drafts/${id}`, { method: 'PUT', body: JSON.stringify(data), ...changeHeaders(change) }),
+  withdrawDraft: (id) => apiFetch(`/drafts/${id}`, { method: 'DELETE' }),
+  approveDraft: (id, comment) => apiFetch(`/drafts/${id}/approve`, { method: 'POST', body: JSON.stringify({ comment }) }),
+  rejectDraft: (id, comment) => apiFetch(`/drafts/${id}/reject`, { method: 'POST', body: JSON.stringify({ comment }) }),
+  scheduleDraft: (id, at) => apiFetch(`/drafts/${id}/schedule`, { method: 'POST', body: JSON.stringify({ at }) }),
+  publishDraft: (id) => apiFetch(`/drafts/${id}/publish`, { method: 'POST' }),
+  publishStatus: () => apiFetch('/publish', { cache: 'no-store' }),
+  publish: (domains) => apiFetch('/publish', { method: 'POST', body: JSON.stringify(domains ? { domains } : {}) }),
+  getControlWithEtag: () => apiFetch('/control', { withEtag: true, cache: 'no-store' }),
+  updateControl: (change, etag) => apiFetch('/control', { method: 'PUT', body: JSON.stringify(change), ...changeHeaders({ etag }) }),
   health: () => apiFetch('/health'),
-  getTelemetry: (limit = 100) => apiFetch(`/telemetry?limit=${limit}`)
+  getTelemetry: (limit = 100, domain) => apiFetch(`/telemetry?limit=${limit}${domain ? `&domain=${encodeURIComponent(domain)}` : ''}`),
+  telemetrySummary: (params = {}) => apiFetch(`/telemetry/summary?${new URLSearchParams(params)}`),
+  telemetryRejections: () => apiFetch('/telemetry/rejections')
 };
 
 window.api = api;
+
+// Signed-in user and a sign-out link in the page header
+if (!location.pathname.endsWith('/login.html')) {
+  api.me().then(user => {
+    const nav = document.querySelector('header nav');
+    if (!nav) return;
+    const who = document.createElement('span');
+    who.className = 'whoami';
+    who.textContent = `${user.username} · ${user.role}`;
+    who.title = `Dealer groups: ${user.groups.join(', ')}`;
+    const out = document.createElement('a');
+    out.href = '#';
+    out.textContent = 'Sign out';
+    out.addEventListener('click', async (e) => {
+      e.preventDefault();
+      sessionStorage.removeItem('speedLayerToken');
+      await api.logout().catch(() => {});
+      location.href = 'login.html';
+    });
+    nav.append(who, out);
+  }).catch(() => {});
+}
@@ -0,0 +1,77 @@
+/**
+ * merge.js — Three-way merge of manifests for the editor's conflict view.
+ *
+ * base   = the manifest as it was loaded into the editor
+ * mine   = the editor's content
+ * theirs = the version someone else saved meanwhile (from the 412 response)
+ *
+ * Object keys merge independently. String lists (allowScripts, deferScripts …)
+ * merge item by item: both sides' additions and removals are kept. A value
+ * both sides changed differently is a conflict for the user to resolve.
+ */
+
+function mergeSame(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function mergeIsObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function mergeIsStringList(v) {
+  return Array.isArray(v) && v.every(item => typeof item === 'string');
+}
+
+/**
+ * Returns { merged, conflicts: [{ path, base, mine, theirs }] }. Conflicting
+ * paths hold theirs in `merged` until resolved with applyMergeChoices().
+ */
+function threeWayMerge(base, mine, theirs, path = '') {
+  if (mergeSame(mine, theirs)) return { merged: theirs, conflicts: [] };
+  if (mergeSame(mine, base)) return { merged: theirs, conflicts: [] };
+  if (mergeSame(theirs, base)) return { merged: mine, conflicts: [] };
+
+  if (mergeIsObject(base) && mergeIsObject(mine) && mergeIsObject(theirs)) {
+    const merged = {};
+    const conflicts = [];
+    const keys = [...new Set([...Object.keys(theirs), ...Object.keys(mine), ...Object.keys(base)])];
+    for (const key of keys) {
+      const result = threeWayMerge(base[key], mine[key], theirs[key], `${path}/${key}`);
+      if (result.merged !== undefined) merged[key] = result.merged;
+      conflicts.push(...result.conflicts);
+    }
+    return { merged, conflicts };
+  }
+
+  if (mergeIsStringList(base) && mergeIsStringList(mine) && mergeIsStringList(theirs)) {
+    const removed = base.filter(item => !mine.includes(item));
+    const added = mine.filter(item => !base.includes(item) && !theirs.includes(item));
+    return { merged: theirs.filter(item => !removed.includes(item)).concat(added), conflicts: [] };
+  }
+
+  return { merged: theirs, conflicts: [{ path: path || '/', base, mine, theirs }] };
+}
+
+/**
+ * Set each conflict's chosen side ('mine' or 'theirs') into the merged object.
+ */
+function applyMergeChoices(merged, conflicts, choices) {
+  const result = JSON.parse(JSON.stringify(merged));
+  conflicts.forEach((c, i) => {
+    const value = choices[i] === 'mine' ? c.mine : c.theirs;
+    const keys = c.path.split('/').filter(Boolean);
+    if (!keys.length) return Object.assign(result, value);
+    let target = result;
+    keys.slice(0, -1).forEach(k => {
+      if (!mergeIsObject(target[k])) target[k] = {};
+      target = target[k];
+    });
+    const last = keys[keys.length - 1];
+    if (value === undefined) delete target[last];
+    else target[last] = JSON.parse(JSON.stringify(value));
+  });
+  return result;
+}
+
+window.threeWayMerge = threeWayMerge;
+window.applyMergeChoices = applyMergeChoices;
@@ -4,14 +4,13 @@ const { Command } = require('commander');
 const path = require('path');
 const fs = require('fs');
 const readline = require('readline');
-
-const ROOT = path.join(__dirname, '..', '..');
-const MANIFEST_DIR = path.join(ROOT, 'manifest');
-const TEMPLATES_DIR = path.join(ROOT, 'templates');
+const os = require('os');
+const io = require('../../server/manifest-io');
+const templates = require('../../server/templates');
 
 const cmd = new Command('add-site');
 cmd
-  .description('Interactive wizard to add a new site manifest pair (domain.json + www.domain.json)')
+  .description('Interactive wizard to add a new site (www.domain.json, serving domain as an alias)')
   .action(async () => {
     const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
     const ask = (q) => new Promise(res => rl.question(q, res));
@@ -23,75 +22,72 @@ cmd
     domain = domain.trim().toLowerCase().replace(/^www\./, '');
     if (!domain) { console.error('Domain required.'); rl.close(); process.exit(1); }
 
-    // Step 2: Platform
+    // Step 2: Platform — one per template (templates/, or speed-layer template list)
+    const platforms = templates.list().map(io.summarizeTemplate);
     console.log('\nPlatform options:');
-    console.log('  1) DealerInspire');
-    console.log('  2) DealerOn');
-    console.log('  3) generic');
-    const platformChoice = await ask('Platform [1/2/3]: ');
-    const platforms = { '1': 'DealerInspire', '2': 'DealerOn', '3': 'generic' };
-    const platform = platforms[platformChoice.trim()] || 'generic';
+    platforms.forEach((t, i) => console.log(`  ${i + 1}) ${t.platform || t.name} (${t.name})${t.description ? ` — ${t.description}` : ''}`));
+    const platformChoice = await ask(`Platform [1-${platforms.length}] (default: generic): `);
+    const chosen = platforms[parseInt(platformChoice.trim(), 10) - 1] || platforms.find(t => t.name === 'generic');
 
     // Step 3: Options
     const debugInput = await ask('Enable debug logging? [y/N]: ');
     const debug = debugInput.trim().toLowerCase() === 'y';
 
-    const disableIntercept = await ask('Disable Proxy interception (use observer only)? [y/N]: ');
+    const disableIntercept = await ask('Disable Proxy interception (use observer only)? [y/N, N keeps the template\'s setting]: ');
     const disableInterception = disableIntercept.trim().toLowerCase() === 'y';
 
     const pagesMode = await ask('Pages mode [all/include/exclude] (default: all): ');
     const mode = ['all', 'include', 'exclude'].includes(pagesMode.trim()) ? pagesMode.trim() : 'all';
 
+    // Step 4: Dealer group (scopes admin API access)
+    const groupInput = await ask('Dealer group (e.g. victory-auto, blank for none): ');
+    const group = groupInput.trim().toLowerCase();
+
     rl.close();
 
-    // Load template
-    const templateFile = path.join(TEMPLATES_DIR, `${platform.toLowerCase()}.json`);
-    let template = {};
-    if (fs.existsSync(templateFile)) {
-      const raw = JSON.parse(fs.readFileSync(templateFile, 'utf8'));
-      // Strip internal-only keys (e.g. _comment) not part of the manifest schema
-      Object.keys(raw).filter(k => !k.startsWith('_')).forEach(k => { template[k] = raw[k]; });
-    }
+    // Inherit the platform template, so later template changes reach the site
+    const template = chosen ? chosen.name : null;
+    const platform = chosen ? chosen.platform || chosen.name : 'generic';
 
-    // Build manifest
+    // Build manifest — www is the site's main host, so the loader there reads
+    // the manifest directly; the bare domain is an alias of it
     const now = new Date().toISOString().split('T')[0];
     const base = {
-      domain,
+      domain: `www.${domain}`,
+      aliases: [domain],
       version: '1.0.0',
-      platform,
+      ...(template ? { extends: template } : { platform }),
+      ...(group ? { group } : {}),
       enabled: true,
       debug,
-      disableInterception,
+      ...(disableInterception ? { disableInterception } : {}),
       idleTimeout: 3000,
       delayedTimeout: 10000,
-      ...template,
+      ...(template ? {} : { allowScripts: [], deferScripts: [], delayedScripts: [] }),
       ...(mode !== 'all' ? { pages: { mode, patterns: [] } } : {}),
       notes: { created: now, platform }
     };
 
-    const wwwManifest = { ...base, domain: `www.${domain}` };
-
     // Preview
-    console.log('\n\x1b[1mPreview — ' + domain + '.json\x1b[0m');
+    console.log('\n\x1b[1mPreview — ' + base.domain + '.json\x1b[0m');
     console.log(JSON.stringify(base, null, 2));
 
-    // Write atomically
-    const writePair = (manifest) => {
-      const dest = path.join(MANIFEST_DIR, `${manifest.domain}.json`);
-      const tmp = dest + '.tmp';
-      if (fs.existsSync(dest)) {
-        console.error(`\x1b[31mERROR: ${dest} already exists. Remove it first.\x1b[0m`);
+    for (const host of [base.domain, domain]) {
+      if (fs.existsSync(path.join(io.MANIFEST_DIR, `${host}.json`))) {
+        console.error(`\x1b[31mERROR: ${host}.json already exists. Remove it first.\x1b[0m`);
         process.exit(1);
       }
-      fs.writeFileSync(tmp, JSON.stringify(manifest, null, 2) + '\n', 'utf8');
-      fs.renameSync(tmp, dest);
-      console.log(`\x1b[32m  Created\x1b[0m ${dest}`);
-    };
+    }
 
-    console.log('\nWriting manifests...');
-    writePair(base);
-    writePair(wwwManifest);
-    console.log('\n\x1b[1mDone!\x1b[0m Review and edit the files, then run:\n  speed-layer validate\n');
+    console.log('\nWriting manifest...');
+    const result = io.writeManifest(base.domain, base, { action: 'create', actor: os.userInfo().username, via: 'cli' });
+    if (!result.ok) {
+      result.errors.forEach(e => console.error(`\x1b[31m  ${e.path}: ${e.message}\x1b[0m`));
+      process.exit(1);
+    }
+    const written = template ? path.join(io.SOURCE_DIR, base.domain + '.json') : path.join(io.MANIFEST_DIR, base.domain + '.json');
+    console.log(`\x1b[32m  Created\x1b[0m ${written} (extends: ${template || 'none'}, alias: ${domain}.json)`);
+    console.log('\n\x1b[1mDone!\x1b[0m Review and edit the file, then run:\n  speed-layer validate\n');
   });
 
 module.exports = cmd;
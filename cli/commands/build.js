@@ -0,0 +1,147 @@
+'use strict';
+
+const { Command } = require('commander');
+const path = require('path');
+const fs = require('fs');
+const zlib = require('zlib');
+
+const ROOT = path.join(__dirname, '..', '..');
+const SRC_DIR = path.join(ROOT, 'src');
+const EDITIONS = require('../../src/editions');
+
+// Diagnostics panel and discover mode, fetched by a bundle only when used
+// (loadExtras() in src/core.js, which calls the factory it sets)
+const EXTRAS = {
+  file: 'loader-extras.js',
+  factory: '__SPEED_LAYER_EXTRAS__',
+  banner: [
+    'Speed Layer Loader - Extras',
+    'Diagnostics panel and discover mode, loaded on demand by loader.js,',
+    'loader-v2.js and loader-do.js'
+  ]
+};
+
+// Every page view downloads a loader bundle, so one that grows past this fails
+// the build; raise it on purpose (or pass --max-size) when the growth is wanted
+const MAX_BUNDLE_KB = 120;
+
+// Leading /** ... */ file header — each source keeps its own, the bundle gets a banner instead
+const HEADER_RE = /^\/\*\*[\s\S]*?\*\/\s*/;
+
+function readSource(relPath) {
+  return fs.readFileSync(path.join(SRC_DIR, relPath), 'utf8').replace(HEADER_RE, '').trimEnd();
+}
+
+function indent(code) {
+  return code.split('\n').map(line => (line ? '    ' + line : line)).join('\n');
+}
+
+function banner(lines) {
+  return ['/**']
+    .concat(lines.map(line => (line ? ' * ' + line : ' *')))
+    .concat([' *', ' * Generated by `speed-layer build` from src/ — do not edit directly.', ' */'])
+    .join('\n');
+}
+
+/**
+ * Assemble one loader bundle: banner, IIFE, EDITION, core, platform plug-ins, init().
+ */
+function bundle(edition) {
+  const parts = [
+    `const EDITION = ${JSON.stringify(edition.runtime, null, 4)};`,
+    readSource('core.js')
+  ].concat(edition.platforms.map(name => readSource(path.join('platforms', name + '.js'))));
+
+  return [
+    banner(edition.banner),
+    '',
+    '(function () {',
+    '    \'use strict\';',
+    '',
+    indent(parts.join('\n\n')),
+    '',
+    '    init();',
+    '',
+    '})();',
+    ''
+  ].join('\n');
+}
+
+/**
+ * Assemble loader-extras.js: banner, then extras.js as the body of the
+ * factory a bundle calls with its internals as `core`.
+ */
+function bundleExtras() {
+  return [
+    banner(EXTRAS.banner),
+    '',
+    '(function () {',
+    '    \'use strict\';',
+    '',
+    `    window.${EXTRAS.factory} = function (core) {`,
+    indent(indent(readSource('extras.js'))),
+    '',
+    '        return EXTRAS;',
+    '    };',
+    '',
+    '})();',
+    ''
+  ].join('\n');
+}
+
+function size(output) {
+  const kb = bytes => (bytes / 1024).toFixed(1) + ' KB';
+  return `${kb(Buffer.byteLength(output))}, ${kb(zlib.gzipSync(output).length)} gzipped`;
+}
+
+const cmd = new Command('build');
+cmd
+  .description('Build the loader bundles (loader.js, loader-v2.js, loader-do.js, loader-extras.js) from src/')
+  .option('--check', 'Exit with code 1 if a bundle is out of date instead of writing it')
+  .option('--max-size <kb>', `Fail when a bundle is larger than this, unminified (default: ${MAX_BUNDLE_KB})`, Number, MAX_BUNDLE_KB)
+  .action((opts) => {
+    let stale = 0;
+    let oversized = 0;
+
+    const outputs = EDITIONS.map(edition => ({ file: edition.file, output: bundle(edition) }))
+      .concat([{ file: EXTRAS.file, output: bundleExtras() }]);
+
+    console.log('\nSpeed Layer — Build Loaders\n' + '='.repeat(50));
+    for (const { file, output } of outputs) {
+      if (Buffer.byteLength(output) > opts.maxSize * 1024) {
+        console.log(`  \x1b[31mTOO BIG\x1b[0m ${file} (${size(output)}; limit ${opts.maxSize} KB)`);
+        oversized++;
+        continue;
+      }
+
+      const dest = path.join(ROOT, file);
+      const current = fs.existsSync(dest) ? fs.readFileSync(dest, 'utf8') : null;
+
+      if (current === output) {
+        console.log(`  \x1b[32mOK\x1b[0m     ${file}`);
+        continue;
+      }
+
+      if (opts.check) {
+        console.log(`  \x1b[31mSTALE\x1b[0m  ${file}`);
+        stale++;
+        continue;
+      }
+
+      const tmp = dest + '.tmp';
+      fs.writeFileSync(tmp, output, 'utf8');
+      fs.renameSync(tmp, dest);
+      console.log(`  \x1b[32mBUILT\x1b[0m  ${file} (${size(output)})`);
+    }
+    console.log('');
+
+    if (oversized) {
+      console.error(`${oversized} bundle(s) over ${opts.maxSize} KB — move code that most pages don't need into ${EXTRAS.file} (src/extras.js)\n`);
+    }
+    if (stale) {
+      console.error(`${stale} bundle(s) out of date — run: speed-layer build\n`);
+    }
+    if (oversized || stale) process.exit(1);
+  });
+
+module.exports = cmd;
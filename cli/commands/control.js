@@ -0,0 +1,83 @@
+'use strict';
+
+const { Command } = require('commander');
+const os = require('os');
+const control = require('../../server/control');
+const publisher = require('../../server/publisher');
+
+function fail(message) {
+  console.error(`\x1b[31mERROR: ${message}\x1b[0m`);
+  process.exit(1);
+}
+
+function show(current) {
+  console.log('');
+  if (current.disabled) console.log('  \x1b[31mPAUSED\x1b[0m everywhere');
+  else if (current.domains.length) console.log(`  \x1b[33mPAUSED\x1b[0m on ${current.domains.join(', ')}`);
+  else console.log('  \x1b[32mRUNNING\x1b[0m everywhere');
+  if (current.disabled && current.domains.length) console.log(`  (and listed: ${current.domains.join(', ')})`);
+  if (current.message) console.log(`  Message: ${current.message}`);
+  if (current.updatedAt) console.log(`  \x1b[90mChanged ${current.updatedAt} by ${current.updatedBy}\x1b[0m`);
+  console.log('');
+}
+
+async function apply(change, opts) {
+  if (opts.message !== undefined) change.message = opts.message || null;
+  const result = control.save(change, os.userInfo().username);
+  if (!result.ok) fail(result.errors.map(e => `${e.path}: ${e.message}`).join('; '));
+  show(result.control);
+  if (!opts.publish) {
+    console.log(`  Saved ${control.CONTROL_FILE} — send it to the CDN with: speed-layer control publish\n`);
+    return;
+  }
+  await publishNow();
+}
+
+async function publishNow() {
+  try {
+    const result = await publisher.publishControl({ actor: os.userInfo().username });
+    if (result.pushed) console.log(`  Pushed ${result.commit.slice(0, 8)} → ${publisher.REMOTE}/${publisher.BRANCH}, purge ${result.purge}`);
+    if (!result.ok) fail(result.error);
+    console.log('');
+  } catch (err) {
+    fail(err.message);
+  }
+}
+
+const cmd = new Command('control');
+cmd.description(`The kill switch: pause Speed Layer everywhere or on some hosts without editing manifests (${control.CONTROL_FILE})`);
+
+cmd.command('status', { isDefault: true })
+  .description('Show what the control manifest pauses')
+  .action(() => show(control.read()));
+
+cmd.command('pause [domains...]')
+  .description('Pause these hosts, or every site when none are given, and publish')
+  .option('-m, --message <text>', 'why — loaders print it in the console')
+  .option('--no-publish', 'only save the file')
+  .action((domains, opts) => {
+    const current = control.read();
+    const change = domains.length
+      ? { domains: [...new Set(current.domains.concat(domains.map(d => d.toLowerCase())))] }
+      : { disabled: true };
+    return apply(change, opts);
+  });
+
+cmd.command('resume [domains...]')
+  .description('Un-pause these hosts, or clear the kill switch entirely when none are given, and publish')
+  .option('-m, --message <text>', 'replace the message')
+  .option('--no-publish', 'only save the file')
+  .action((domains, opts) => {
+    const current = control.read();
+    const hosts = domains.map(d => d.toLowerCase());
+    const change = hosts.length
+      ? { domains: current.domains.filter(d => !hosts.includes(d)) }
+      : { disabled: false, domains: [], message: null };
+    return apply(change, opts);
+  });
+
+cmd.command('publish')
+  .description('Commit, push and purge the control manifest as it is')
+  .action(publishNow);
+
+module.exports = cmd;
@@ -0,0 +1,124 @@
+'use strict';
+
+const { Command } = require('commander');
+const os = require('os');
+const drafts = require('../../server/drafts');
+
+const STATUS_COLORS = {
+  pending: '\x1b[33m', approved: '\x1b[36m', scheduled: '\x1b[36m', published: '\x1b[32m',
+  rejected: '\x1b[31m', failed: '\x1b[31m', withdrawn: '\x1b[90m'
+};
+
+function fail(message) {
+  console.error(`\x1b[31mERROR: ${message}\x1b[0m`);
+  process.exit(1);
+}
+
+// Module errors carry an HTTP-style status; here they're just messages
+function attempt(fn) {
+  return async (...args) => {
+    try {
+      await fn(...args);
+    } catch (err) {
+      fail(err.message);
+    }
+  };
+}
+
+function describeChange(c) {
+  if (c.op === 'replace') return `  ~ ${c.path}: ${JSON.stringify(c.before)} → ${JSON.stringify(c.after)}`;
+  return `  ${c.op === 'add' ? '\x1b[32m+' : '\x1b[31m-'} ${c.path} ${JSON.stringify(c.value)}\x1b[0m`;
+}
+
+function printDraft(d) {
+  console.log(`\n\x1b[1m${d.id}\x1b[0m  ${d.domain}  ${STATUS_COLORS[d.status]}${d.status}\x1b[0m${d.stale ? '  \x1b[31m(live manifest changed since)\x1b[0m' : ''}`);
+  console.log(`  by ${d.author} at ${d.createdAt}${d.reason ? ` — ${d.reason}` : ''}`);
+  if (d.review) console.log(`  ${d.review.decision === 'approve' ? 'approved' : 'rejected'} by ${d.review.by} at ${d.review.at}${d.review.comment ? ` — ${d.review.comment}` : ''}`);
+  if (d.scheduledFor) console.log(`  scheduled for ${new Date(d.scheduledFor).toLocaleString()} by ${d.scheduledBy}`);
+  if (d.published) console.log(`  published by ${d.published.by} at ${d.published.at} as rev ${d.published.rev}${d.published.publish.ok ? '' : ` — CDN publish failed: ${d.published.publish.error}`}`);
+  if (d.error) console.log(`  \x1b[31m${d.error}\x1b[0m`);
+  console.log('');
+  d.diff.forEach(c => console.log(describeChange(c)));
+  console.log('');
+}
+
+function requireDraft(id) {
+  const draft = drafts.get(id);
+  if (!draft) fail(`No draft ${id}`);
+  return draft;
+}
+
+const cmd = new Command('draft');
+cmd.description(`Review and schedule manifest drafts (${drafts.DRAFTS_DIR})`);
+
+cmd.command('list')
+  .description('List open drafts (pending, approved, scheduled, rejected, failed)')
+  .option('-d, --domain <domain>', 'only this site')
+  .option('-s, --status <list>', `comma-separated statuses, or "all" (${drafts.STATUSES.join(', ')})`)
+  .action(attempt((opts) => {
+    const status = opts.status === 'all' ? 'all' : opts.status && opts.status.split(',');
+    const list = drafts.list({ domain: opts.domain, status });
+    if (!list.length) {
+      console.log('\nNo drafts\n');
+      return;
+    }
+    console.log('');
+    for (const d of list.map(drafts.describe)) {
+      const when = d.scheduledFor ? `at ${new Date(d.scheduledFor).toLocaleString()}` : '';
+      console.log(`  ${d.id}  ${d.domain.padEnd(32)} ${STATUS_COLORS[d.status]}${d.status.padEnd(10)}\x1b[0m ${d.author.padEnd(12)} ${String(d.diff.length).padStart(3)} change(s)  ${when}${d.stale ? ' \x1b[31mstale\x1b[0m' : ''}`);
+    }
+    console.log(`\n  ${list.length} draft(s) — speed-layer draft show <id> for the diff\n`);
+  }));
+
+cmd.command('show <id>')
+  .description('Show a draft and its diff')
+  .action(attempt((id) => printDraft(drafts.describe(requireDraft(id)))));
+
+cmd.command('approve <id>')
+  .description('Approve a pending draft')
+  .option('-m, --comment <text>', 'review comment')
+  .action(attempt((id, opts) => {
+    const draft = drafts.review(id, { actor: os.userInfo().username, decision: 'approve', comment: opts.comment, allowSelf: true });
+    console.log(`\x1b[32m  Approved\x1b[0m ${draft.id} (${draft.domain}) — publish with: speed-layer draft publish ${draft.id}`);
+  }));
+
+cmd.command('reject <id>')
+  .description('Reject a pending draft')
+  .requiredOption('-m, --comment <text>', 'what needs to change')
+  .action(attempt((id, opts) => {
+    const draft = drafts.review(id, { actor: os.userInfo().username, decision: 'reject', comment: opts.comment, allowSelf: true });
+    console.log(`\x1b[32m  Rejected\x1b[0m ${draft.id} (${draft.domain})`);
+  }));
+
+cmd.command('schedule <id> <when>')
+  .description('Publish an approved draft at a date/time (e.g. "2025-06-01T18:30"; the server runs the schedule)')
+  .action(attempt((id, when) => {
+    const ms = Date.parse(when);
+    if (isNaN(ms)) fail(`Can't read "${when}" as a date/time`);
+    const draft = drafts.schedule(id, new Date(ms), { actor: os.userInfo().username });
+    console.log(`\x1b[32m  Scheduled\x1b[0m ${draft.id} (${draft.domain}) for ${new Date(draft.scheduledFor).toLocaleString()}`);
+  }));
+
+cmd.command('unschedule <id>')
+  .description('Take a draft off the schedule (stays approved)')
+  .action(attempt((id) => {
+    const draft = drafts.schedule(id, null, { actor: os.userInfo().username });
+    console.log(`\x1b[32m  Unscheduled\x1b[0m ${draft.id} (${draft.domain})`);
+  }));
+
+cmd.command('publish <id>')
+  .description('Make an approved draft live now and publish it to the CDN')
+  .action(attempt(async (id) => {
+    const draft = await drafts.apply(id, { actor: os.userInfo().username });
+    console.log(`\x1b[32m  Published\x1b[0m ${draft.id} (${draft.domain}) as rev ${draft.published.rev}`);
+    if (!draft.published.publish.ok) fail(`Saved, but the CDN publish failed: ${draft.published.publish.error}`);
+  }));
+
+cmd.command('withdraw <id>')
+  .description('Withdraw an open draft')
+  .action(attempt((id) => {
+    const draft = drafts.withdraw(id);
+    console.log(`\x1b[32m  Withdrew\x1b[0m ${draft.id} (${draft.domain})`);
+  }));
+
+module.exports = cmd;
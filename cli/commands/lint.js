@@ -0,0 +1,73 @@
+'use strict';
+
+const { Command } = require('commander');
+const path = require('path');
+const fs = require('fs');
+const io = require('../../server/manifest-io');
+const resolver = require('../../server/manifest-resolve');
+const { DEFAULT_MIN_LENGTH, lint } = require('../../server/manifest-lint');
+
+// { name, manifest } to lint, or { name, error } when there is nothing to lint
+function fromFile(file) {
+  const name = path.basename(file);
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (typeof data.aliasOf === 'string') return { name, error: `alias of ${data.aliasOf} — lint that instead` };
+    return { name, manifest: resolver.resolve(data) };
+  } catch (err) {
+    return { name, error: err.message };
+  }
+}
+
+function fromDomain(host) {
+  try {
+    const domain = io.resolveDomain(host);
+    const manifest = io.readResolved(domain);
+    return manifest ? { name: domain, manifest } : { name: host, error: 'no manifest' };
+  } catch (err) {
+    return { name: host, error: err.message };
+  }
+}
+
+const cmd = new Command('lint');
+cmd
+  .description('Report patterns that overlap across tiers, broad or duplicate patterns, bad regexes and unused preconnects. Exits with code 1 on errors.')
+  .argument('[domains...]', 'only these sites (default: every manifest)')
+  .option('-f, --file <path>', 'Lint a manifest file (resolved first) instead')
+  .option('--min-length <n>', 'shortest plain URL pattern not reported as broad', String(DEFAULT_MIN_LENGTH))
+  .option('--strict', 'Also exit with code 1 on warnings')
+  .action((domains, opts) => {
+    const minLength = parseInt(opts.minLength, 10);
+    if (!(minLength >= 0)) {
+      console.error('\x1b[31mERROR: --min-length must be a number\x1b[0m');
+      process.exit(1);
+    }
+    const targets = opts.file
+      ? [fromFile(path.resolve(opts.file))]
+      : (domains.length ? domains : io.listManifests()).map(fromDomain);
+
+    console.log('\nSpeed Layer — Manifest Lint\n' + '='.repeat(50));
+    let errors = 0;
+    let warnings = 0;
+    for (const target of targets) {
+      if (target.error) {
+        errors++;
+        console.log(`  \x1b[31mFAIL\x1b[0m  ${target.name}\n    ${target.error}`);
+        continue;
+      }
+      const findings = lint(target.manifest, { minLength });
+      const failed = findings.some(f => f.severity === 'error');
+      const status = failed ? '\x1b[31mFAIL\x1b[0m' : findings.length ? '\x1b[33mWARN\x1b[0m' : '\x1b[32mOK\x1b[0m  ';
+      console.log(`  ${status}  ${target.name}`);
+      findings.forEach(f => {
+        if (f.severity === 'error') errors++;
+        else warnings++;
+        console.log(`    ${f.severity === 'error' ? '\x1b[31merror\x1b[0m  ' : '\x1b[33mwarning\x1b[0m'} ${f.path}: ${f.message}`);
+      });
+    }
+    console.log(`\n${errors} error(s), ${warnings} warning(s)\n`);
+
+    if (errors || (opts.strict && warnings)) process.exit(1);
+  });
+
+module.exports = cmd;
@@ -5,11 +5,11 @@ const path = require('path');
 const fs = require('fs');
 
 const ROOT = path.join(__dirname, '..', '..');
-const MANIFEST_DIR = path.join(ROOT, 'manifest');
+const MANIFEST_DIR = process.env.MANIFEST_DIR || path.join(ROOT, 'manifest');
 
 const cmd = new Command('list');
 cmd
-  .description('List all sites with platform, enabled status, and pages mode')
+  .description('List all sites with their aliases, platform, enabled status, and pages mode')
   .action(() => {
     const files = fs.readdirSync(MANIFEST_DIR)
       .filter(f => f.endsWith('.json'))
@@ -22,11 +22,14 @@ cmd
       try {
         d = JSON.parse(fs.readFileSync(filePath, 'utf8'));
       } catch (e) {
-        rows.push({ domain: file.replace('.json', ''), platform: '—', enabled: '—', pages: '—', error: 'JSON error' });
+        rows.push({ domain: file.replace('.json', ''), aliases: '—', platform: '—', enabled: '—', pages: '—', error: 'JSON error' });
         continue;
       }
+      // Alias pointers are listed with the site they point to
+      if (typeof d.aliasOf === 'string') continue;
       rows.push({
         domain: d.domain || file.replace('.json', ''),
+        aliases: (d.aliases || []).join(', ') || '—',
         platform: d.platform || '—',
         enabled: d.enabled ? '\x1b[32m✓ yes\x1b[0m' : '\x1b[31m✗ no\x1b[0m',
         pages: d.pages ? d.pages.mode : 'all',
@@ -36,20 +39,21 @@ cmd
 
     const colW = {
       domain:   Math.max(6,  ...rows.map(r => r.domain.length)),
+      aliases:  Math.max(7,  ...rows.map(r => r.aliases.length)),
       platform: Math.max(8,  ...rows.map(r => r.platform.length)),
       enabled:  Math.max(7,  ...rows.map(r => stripAnsi(r.enabled).length)),
       pages:    Math.max(5,  ...rows.map(r => r.pages.length))
     };
 
-    const hr = `+-${'-'.repeat(colW.domain)}-+-${'-'.repeat(colW.platform)}-+-${'-'.repeat(colW.enabled)}-+-${'-'.repeat(colW.pages)}-+`;
-    const header = `| ${'Domain'.padEnd(colW.domain)} | ${'Platform'.padEnd(colW.platform)} | ${'Enabled'.padEnd(colW.enabled)} | ${'Pages'.padEnd(colW.pages)} |`;
+    const hr = `+-${'-'.repeat(colW.domain)}-+-${'-'.repeat(colW.aliases)}-+-${'-'.repeat(colW.platform)}-+-${'-'.repeat(colW.enabled)}-+-${'-'.repeat(colW.pages)}-+`;
+    const header = `| ${'Domain'.padEnd(colW.domain)} | ${'Aliases'.padEnd(colW.aliases)} | ${'Platform'.padEnd(colW.platform)} | ${'Enabled'.padEnd(colW.enabled)} | ${'Pages'.padEnd(colW.pages)} |`;
 
     console.log('\nSpeed Layer — Sites\n' + hr);
     console.log(header);
     console.log(hr);
     for (const r of rows) {
       const enabledPad = colW.enabled - stripAnsi(r.enabled).length;
-      const line = `| ${r.domain.padEnd(colW.domain)} | ${r.platform.padEnd(colW.platform)} | ${r.enabled}${' '.repeat(enabledPad)} | ${r.pages.padEnd(colW.pages)} |`;
+      const line = `| ${r.domain.padEnd(colW.domain)} | ${r.aliases.padEnd(colW.aliases)} | ${r.platform.padEnd(colW.platform)} | ${r.enabled}${' '.repeat(enabledPad)} | ${r.pages.padEnd(colW.pages)} |`;
       console.log(line);
       if (r.error) console.log(`|   \x1b[31m${r.error}\x1b[0m`);
     }
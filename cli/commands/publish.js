@@ -0,0 +1,51 @@
+'use strict';
+
+const { Command } = require('commander');
+const os = require('os');
+const io = require('../../server/manifest-io');
+const publisher = require('../../server/publisher');
+
+const STATE_COLORS = { modified: '\x1b[33m', unpushed: '\x1b[31m', purge_failed: '\x1b[31m', published: '\x1b[32m' };
+
+const cmd = new Command('publish');
+cmd
+  .description(`Commit changed manifests, push to ${publisher.REMOTE}/${publisher.BRANCH} and purge the CDN`)
+  .argument('[domains...]', 'only these sites (default: every changed site)')
+  .option('-s, --status', 'show each site\'s publish state instead of publishing')
+  .action(async (domains, opts) => {
+    try {
+      if (opts.status) {
+        const { sites, lastRun } = await publisher.status();
+        console.log('');
+        for (const s of sites) {
+          const detail = s.publishedAt ? `${s.commit.slice(0, 8)} by ${s.actor} at ${s.publishedAt}` : '';
+          console.log(`  ${s.domain.padEnd(40)} ${STATE_COLORS[s.state]}${s.state.padEnd(13)}\x1b[0m ${detail}${s.error ? `  \x1b[31m${s.error}\x1b[0m` : ''}`);
+        }
+        if (lastRun) console.log(`\n  Last publish: ${lastRun.at} by ${lastRun.actor}${lastRun.ok ? '' : ` — ${lastRun.error}`}`);
+        console.log('');
+        return;
+      }
+
+      // An alias publishes the site it belongs to
+      const sites = domains.map(io.resolveDomain);
+      const result = await publisher.publish({ actor: os.userInfo().username, domains: sites.length ? sites : null });
+      // These keep their last resolved version until their template is fixed
+      result.unresolved.forEach(u => console.error(`\x1b[33m  WARN: ${u.domain} no longer resolves: ${u.message}\x1b[0m`));
+      if (!result.sites.length) {
+        console.log(`\n${result.message}\n`);
+        return;
+      }
+      console.log('');
+      for (const s of result.sites) {
+        console.log(`  ${s.domain.padEnd(40)} ${STATE_COLORS[s.state]}${s.state}\x1b[0m${s.error ? `  ${s.error}` : ''}`);
+      }
+      if (result.commit) console.log(`\n  Commit ${result.commit.slice(0, 8)} → ${publisher.REMOTE}/${publisher.BRANCH}`);
+      console.log('');
+      if (!result.ok) process.exit(1);
+    } catch (err) {
+      console.error(`\x1b[31mERROR: ${err.message}\x1b[0m`);
+      process.exit(1);
+    }
+  });
+
+module.exports = cmd;
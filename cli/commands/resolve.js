@@ -0,0 +1,26 @@
+'use strict';
+
+const { Command } = require('commander');
+const path = require('path');
+const io = require('../../server/manifest-io');
+
+const cmd = new Command('resolve');
+cmd
+  .description(`Re-resolve manifests that extend a template or name vendors (${path.relative(process.cwd(), io.SOURCE_DIR) || '.'} → manifest files) after a template or vendor catalog change`)
+  .option('--check', 'Exit with code 1 if a resolved manifest is out of date instead of writing it')
+  .action((opts) => {
+    const { updated, errors } = io.refreshResolved({ dryRun: !!opts.check });
+
+    console.log('\nSpeed Layer — Resolve Manifests\n' + '='.repeat(50));
+    updated.forEach(domain => {
+      console.log(opts.check ? `  \x1b[31mSTALE\x1b[0m  ${domain}.json` : `  \x1b[32mBUILT\x1b[0m  ${domain}.json`);
+    });
+    errors.forEach(e => console.log(`  \x1b[31mFAIL\x1b[0m   ${e.domain}.json\n    ${e.message}`));
+    if (!updated.length && !errors.length) console.log('  \x1b[32mOK\x1b[0m     every manifest is up to date');
+    console.log('');
+
+    if (opts.check && updated.length) console.error(`${updated.length} manifest(s) out of date — run: speed-layer resolve\n`);
+    if (errors.length || (opts.check && updated.length)) process.exit(1);
+  });
+
+module.exports = cmd;
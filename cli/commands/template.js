@@ -0,0 +1,69 @@
+'use strict';
+
+const { Command } = require('commander');
+const fs = require('fs');
+const path = require('path');
+const io = require('../../server/manifest-io');
+const templates = require('../../server/templates');
+
+function fail(message) {
+  console.error(`\x1b[31mERROR: ${message}\x1b[0m`);
+  process.exit(1);
+}
+
+const cmd = new Command('template');
+cmd.description(`Manage the platform templates manifests extend (${templates.TEMPLATES_DIR})`);
+
+cmd.command('list')
+  .description('List templates, their platform and how many sites extend them')
+  .action(() => {
+    const list = templates.list().map(io.summarizeTemplate);
+    if (!list.length) {
+      console.log('\nNo templates\n');
+      return;
+    }
+    console.log('');
+    for (const t of list) {
+      console.log(`  ${t.name.padEnd(20)} ${String(t.platform || '—').padEnd(16)} ${String(t.sites).padStart(3)} site(s)  ${t.extends ? `extends ${t.extends}  ` : ''}\x1b[90m${t.description || ''}\x1b[0m`);
+    }
+    console.log('');
+  });
+
+cmd.command('show <name>')
+  .description('Print a template file')
+  .action((name) => {
+    const template = templates.read(name);
+    if (!template) fail(`No template ${name}`);
+    console.log(JSON.stringify(template, null, 2));
+  });
+
+cmd.command('save <name> <file>')
+  .description('Create or replace a template from a JSON file, then re-resolve the sites that extend it')
+  .action((name, file) => {
+    if (!templates.NAME_RE.test(name)) fail('Template names are lowercase letters, digits and dashes (e.g. dealer-com)');
+    let data;
+    try {
+      data = JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+    } catch (err) {
+      fail(`Can't read ${file}: ${err.message}`);
+    }
+    const existed = !!templates.read(name);
+    const result = io.writeTemplate(name, data);
+    if (!result.ok) {
+      result.errors.forEach(e => console.error(`\x1b[31m  ${e.path}: ${e.message}\x1b[0m`));
+      process.exit(1);
+    }
+    console.log(`\x1b[32m  ${existed ? 'Updated' : 'Created'}\x1b[0m template ${name}`);
+    if (result.updated.length) console.log(`  Re-resolved ${result.updated.join(', ')} — send them to the CDN with: speed-layer publish`);
+  });
+
+cmd.command('rm <name>')
+  .description('Delete a template no site or template extends')
+  .action((name) => {
+    const result = io.deleteTemplate(name);
+    if (result.usedBy) fail(`Template ${name} is still extended by: ${result.usedBy.sites.concat(result.usedBy.templates).join(', ')}`);
+    if (!result.ok) fail(`No template ${name}`);
+    console.log(`\x1b[32m  Deleted\x1b[0m template ${name}`);
+  });
+
+module.exports = cmd;
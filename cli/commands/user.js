@@ -0,0 +1,148 @@
+'use strict';
+
+const { Command } = require('commander');
+const readline = require('readline');
+const auth = require('../../server/auth');
+
+// Asks twice without echoing. One interface for both prompts, read as a
+// stream, so a piped "password\npassword\n" works too.
+async function askPassword() {
+  const tty = !!process.stdin.isTTY;
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout, terminal: tty });
+  const lines = rl[Symbol.asyncIterator]();
+  let muted = false;
+  rl._writeToOutput = (str) => {
+    if (!muted) rl.output.write(str);
+  };
+  const ask = async (question) => {
+    muted = false;
+    rl.setPrompt(question);
+    rl.prompt();
+    muted = true;
+    const { value } = await lines.next();
+    process.stdout.write('\n');
+    return value || '';
+  };
+
+  const password = await ask('Password: ');
+  const again = await ask('Repeat password: ');
+  rl.close();
+  if (password.length < 12) fail('Password must be at least 12 characters.');
+  if (password !== again) fail('Passwords do not match.');
+  return password;
+}
+
+function fail(message) {
+  console.error(`\x1b[31mERROR: ${message}\x1b[0m`);
+  process.exit(1);
+}
+
+function parseRole(role) {
+  if (!auth.ROLES.includes(role)) fail(`Role must be one of: ${auth.ROLES.join(', ')}`);
+  return role;
+}
+
+function parseGroups(list) {
+  const groups = String(list).split(',').map(g => g.trim()).filter(Boolean);
+  if (!groups.length) fail('At least one dealer group is required ("*" for all).');
+  return groups;
+}
+
+function requireUser(users, username) {
+  const user = users.find(u => u.username === username);
+  if (!user) fail(`No user "${username}" in ${auth.USERS_FILE}`);
+  return user;
+}
+
+const cmd = new Command('user');
+cmd.description(`Manage admin API users and tokens (${auth.USERS_FILE})`);
+
+cmd.command('add <username>')
+  .description('Create a user (prompts for a password)')
+  .requiredOption('-r, --role <role>', `role: ${auth.ROLES.join(', ')}`)
+  .requiredOption('-g, --groups <list>', 'comma-separated dealer groups, or "*" for all')
+  .action(async (username, opts) => {
+    const users = auth.loadUsers().slice();
+    if (users.some(u => u.username === username)) fail(`User "${username}" already exists.`);
+    const role = parseRole(opts.role);
+    const groups = parseGroups(opts.groups);
+    const passwordHash = auth.hashPassword(await askPassword());
+    users.push({ username, role, groups, passwordHash, tokens: [] });
+    auth.saveUsers(users);
+    console.log(`\x1b[32m  Created\x1b[0m ${username} (${role}; groups: ${groups.join(', ')})`);
+  });
+
+cmd.command('update <username>')
+  .description('Change a user\'s role or dealer groups')
+  .option('-r, --role <role>', `role: ${auth.ROLES.join(', ')}`)
+  .option('-g, --groups <list>', 'comma-separated dealer groups, or "*" for all')
+  .action((username, opts) => {
+    const users = auth.loadUsers().slice();
+    const user = requireUser(users, username);
+    if (opts.role) user.role = parseRole(opts.role);
+    if (opts.groups) user.groups = parseGroups(opts.groups);
+    auth.saveUsers(users);
+    console.log(`\x1b[32m  Updated\x1b[0m ${username} (${user.role}; groups: ${user.groups.join(', ')})`);
+  });
+
+cmd.command('passwd <username>')
+  .description('Set a new password')
+  .action(async (username) => {
+    const users = auth.loadUsers().slice();
+    const user = requireUser(users, username);
+    user.passwordHash = auth.hashPassword(await askPassword());
+    auth.saveUsers(users);
+    console.log(`\x1b[32m  Password changed\x1b[0m for ${username}`);
+  });
+
+cmd.command('remove <username>')
+  .description('Delete a user and all of their tokens')
+  .action((username) => {
+    const users = auth.loadUsers().slice();
+    requireUser(users, username);
+    auth.saveUsers(users.filter(u => u.username !== username));
+    console.log(`\x1b[32m  Removed\x1b[0m ${username}`);
+  });
+
+cmd.command('token <username>')
+  .description('Issue an API token for scripts and CI (printed once)')
+  .option('-l, --label <label>', 'what the token is for')
+  .action((username, opts) => {
+    const users = auth.loadUsers().slice();
+    const user = requireUser(users, username);
+    const { token, record } = auth.createToken(opts.label);
+    user.tokens = (user.tokens || []).concat(record);
+    auth.saveUsers(users);
+    console.log(`\nToken ${record.id} for ${username} — store it now, it is not shown again:\n\n  ${token}\n`);
+    console.log('Send it as:  Authorization: Bearer <token>\n');
+  });
+
+cmd.command('revoke <username> <tokenId>')
+  .description('Revoke one of a user\'s API tokens')
+  .action((username, tokenId) => {
+    const users = auth.loadUsers().slice();
+    const user = requireUser(users, username);
+    const before = (user.tokens || []).length;
+    user.tokens = (user.tokens || []).filter(t => t.id !== tokenId);
+    if (user.tokens.length === before) fail(`${username} has no token ${tokenId}`);
+    auth.saveUsers(users);
+    console.log(`\x1b[32m  Revoked\x1b[0m token ${tokenId} for ${username}`);
+  });
+
+cmd.command('list')
+  .description('List users, roles, groups and token ids')
+  .action(() => {
+    const users = auth.loadUsers();
+    if (!users.length) {
+      console.log(`\nNo users in ${auth.USERS_FILE}\n`);
+      return;
+    }
+    console.log('');
+    for (const u of users) {
+      const tokens = (u.tokens || []).map(t => `${t.id}${t.label ? ` (${t.label})` : ''}`).join(', ') || '—';
+      console.log(`  ${u.username.padEnd(20)} ${u.role.padEnd(7)} groups: ${(u.groups || []).join(', ')}   tokens: ${tokens}`);
+    }
+    console.log(`\n  ${users.length} user(s)\n`);
+  });
+
+module.exports = cmd;
@@ -6,10 +6,49 @@ const fs = require('fs');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
 
+const io = require('../../server/manifest-io');
+const resolver = require('../../server/manifest-resolve');
+
 const ROOT = path.join(__dirname, '..', '..');
-const MANIFEST_DIR = path.join(ROOT, 'manifest');
+const MANIFEST_DIR = process.env.MANIFEST_DIR || path.join(ROOT, 'manifest');
 const SCHEMA_PATH = path.join(ROOT, 'manifest.schema.json');
 
+// A source manifest (one that extends a template or names catalog vendors) is
+// checked and resolved; its resolved file in the manifest directory must be
+// up to date
+function sourceProblems(data) {
+  const check = io.validateManifest(data);
+  if (!check.valid) return check.errors.map(e => `${e.path}: ${e.message}`);
+  const resolved = io.readResolved(data.domain);
+  if (JSON.stringify(resolved) !== JSON.stringify(resolver.resolve(data))) {
+    return [`${data.domain}.json is out of date with its template or the vendor catalog — run: speed-layer resolve`];
+  }
+  return [];
+}
+
+// Alias pointers ({ domain, aliasOf }) must match their file name and the
+// aliases of the manifest they point to; a manifest's aliases need pointers
+function aliasProblems(filePath, data) {
+  const dir = path.dirname(filePath);
+  const host = path.basename(filePath, '.json');
+  const read = (name) => {
+    try { return JSON.parse(fs.readFileSync(path.join(dir, name + '.json'), 'utf8')); } catch { return null; }
+  };
+
+  if (typeof data.aliasOf === 'string') {
+    const extra = Object.keys(data).filter(k => k !== 'domain' && k !== 'aliasOf');
+    if (extra.length) return [`alias file has extra properties: ${extra.join(', ')}`];
+    if (data.domain !== host) return [`/domain: must be ${host}`];
+    const target = read(data.aliasOf);
+    if (!target || typeof target.aliasOf === 'string') return [`/aliasOf: ${data.aliasOf} has no manifest`];
+    if (!(target.aliases || []).includes(host)) return [`/aliasOf: ${data.aliasOf} does not list ${host} in its aliases`];
+    return [];
+  }
+  return (data.aliases || [])
+    .filter(alias => { const p = read(alias); return !p || p.aliasOf !== host; })
+    .map(alias => `/aliases: ${alias}.json is missing or not an alias of ${host}`);
+}
+
 const cmd = new Command('validate');
 cmd
   .description('Validate manifest JSON files against the schema. Exits with code 1 on failure.')
@@ -27,13 +66,19 @@ cmd
       files = fs.readdirSync(MANIFEST_DIR)
         .filter(f => f.endsWith('.json'))
         .map(f => path.join(MANIFEST_DIR, f));
+      if (fs.existsSync(io.SOURCE_DIR)) {
+        files = files.concat(fs.readdirSync(io.SOURCE_DIR)
+          .filter(f => f.endsWith('.json'))
+          .map(f => path.join(io.SOURCE_DIR, f)));
+      }
     }
 
     let allPassed = true;
     const results = [];
 
     for (const filePath of files) {
-      const name = path.basename(filePath);
+      const dir = path.dirname(filePath);
+      const name = dir === path.resolve(io.SOURCE_DIR) ? `${path.basename(dir)}/${path.basename(filePath)}` : path.basename(filePath);
       let parsed;
       try {
         parsed = JSON.parse(fs.readFileSync(filePath, 'utf8'));
@@ -43,12 +88,19 @@ cmd
         continue;
       }
 
-      const valid = validate(parsed);
-      if (valid) {
+      let problems;
+      if (resolver.needsResolving(parsed)) {
+        problems = sourceProblems(parsed).map(p => `  ${p}`);
+      } else {
+        const valid = typeof parsed.aliasOf === 'string' || validate(parsed);
+        problems = valid
+          ? aliasProblems(filePath, parsed).map(p => `  ${p}`)
+          : validate.errors.map(e => `  ${e.instancePath || '(root)'}: ${e.message}`);
+      }
+      if (!problems.length) {
         results.push({ name, status: 'OK', reason: '' });
       } else {
-        const errors = validate.errors.map(e => `  ${e.instancePath || '(root)'}: ${e.message}`).join('\n');
-        results.push({ name, status: 'FAIL', reason: errors });
+        results.push({ name, status: 'FAIL', reason: problems.join('\n') });
         allPassed = false;
       }
     }
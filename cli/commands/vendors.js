@@ -0,0 +1,48 @@
+'use strict';
+
+const { Command } = require('commander');
+const vendors = require('../../server/vendors');
+
+function fail(message) {
+  console.error(`\x1b[31mERROR: ${message}\x1b[0m`);
+  process.exit(1);
+}
+
+function readCatalog() {
+  try {
+    return vendors.read();
+  } catch (err) {
+    return fail(err.message);
+  }
+}
+
+const cmd = new Command('vendors');
+cmd.description(`The vendor catalog manifests name in "vendors" and "categories" (${vendors.VENDORS_FILE})`);
+
+cmd.command('list [category]', { isDefault: true })
+  .description('List vendors, their category and recommended tier')
+  .action((category) => {
+    if (category && !vendors.CATEGORIES.includes(category)) fail(`No category ${category} (have: ${vendors.CATEGORIES.join(', ')})`);
+    const catalog = readCatalog();
+    const ids = Object.keys(catalog.vendors)
+      .filter(id => !category || catalog.vendors[id].category === category)
+      .sort((a, b) => vendors.CATEGORIES.indexOf(catalog.vendors[a].category) - vendors.CATEGORIES.indexOf(catalog.vendors[b].category) || a.localeCompare(b));
+    console.log(`\nVendor catalog ${catalog.version || '(no file)'}\n` + '='.repeat(50));
+    for (const id of ids) {
+      const v = catalog.vendors[id];
+      console.log(`  ${id.padEnd(20)} ${v.category.padEnd(16)} ${v.tier.padEnd(8)} \x1b[90m${v.patterns.join(', ')}\x1b[0m`);
+    }
+    if (!ids.length) console.log('  No vendors');
+    console.log('');
+  });
+
+cmd.command('show <id>')
+  .description('Print a vendor\'s patterns, tier and known risks')
+  .action((id) => {
+    readCatalog();
+    const vendor = vendors.get(id);
+    if (!vendor) fail(`No vendor ${id}`);
+    console.log(JSON.stringify(vendor, null, 2));
+  });
+
+module.exports = cmd;
@@ -10,7 +10,16 @@ program
   .version(pkg.version);
 
 program.addCommand(require('./commands/validate'));
+program.addCommand(require('./commands/lint'));
 program.addCommand(require('./commands/list'));
 program.addCommand(require('./commands/add-site'));
+program.addCommand(require('./commands/build'));
+program.addCommand(require('./commands/resolve'));
+program.addCommand(require('./commands/template'));
+program.addCommand(require('./commands/vendors'));
+program.addCommand(require('./commands/user'));
+program.addCommand(require('./commands/publish'));
+program.addCommand(require('./commands/control'));
+program.addCommand(require('./commands/draft'));
 
 program.parse(process.argv);
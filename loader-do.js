@@ -2,7 +2,6 @@
  * Speed Layer Loader - DealerOn Edition (v1.2.0)
  *
  * Optimized specifically for DealerOn CMS platform
- * Based on Speed Layer v2.2.0 architecture
  *
  * Key DealerOn Optimizations:
  * - Compatible with ComplyAuto blocker.js (Proxy conflict mitigation)
@@ -10,32 +9,52 @@
  * - Optimized for DealerOn lazy loading patterns
  * - Supports DealerOn personalization and banner systems
  *
- * Reliability (v1.1.0):
- * - fetchWithTimeout + classifyFetchError + retry (3x exponential backoff)
- * - Compiled regex cache via _regexCache Map
- * - Telemetry via navigator.sendBeacon (data-telemetry attr or manifest config)
- *
  * Platform: DealerOn CMS
  * CMS URL: https://www.dealeron.com/
+ *
+ * Generated by `speed-layer build` from src/ — do not edit directly.
  */
 
 (function () {
     'use strict';
 
+    const EDITION = {
+        "version": "1.2.0-dealeron",
+        "label": "DealerOn CMS",
+        "global": "__SPEED_LAYER_DO__",
+        "logPrefix": "[SpeedLayer-DO]",
+        "markPrefix": "speed-layer-do",
+        "platform": "DealerOn",
+        "earlyInterception": true,
+        "earlyObserver": false
+    };
+
     // =============================================================================
     // CONFIGURATION & STATE
     // =============================================================================
 
+    const CORE_VERSION = '2.3.0';
+
     const STATE = {
         manifest: null,
         manifestLoaded: false,
+        manifestSource: null,
+        platform: null,
         userInteracted: false,
         idleCallbackFired: false,
         delayedCallbackFired: false,
+        firedTriggers: {},
+        decisions: {},
+        consent: { active: false, signals: {} },
         observerActive: false,
         processedElements: new WeakSet(),
+        heldScripts: [],
         queuedScripts: [],
         queuedDelayedScripts: [],
+        queuedRuleScripts: [],
+        queuedConsentScripts: [],
+        queuedInlineScripts: [],
+        deferredInlineScripts: [], // Every inline script deferred, released or not (diagnostics)
         queuedMedia: [],
         queuedIframes: [],
         performanceMarks: {}
@@ -43,21 +62,67 @@
 
     const CONFIG = {
         manifestUrl: null,
+        manifestBase: null,
+        manifestTimeout: 5000,
+        manifestRetries: 3,
+        controlUrl: null,
+        visitorMode: null,
+        bootstrapDefer: null,
         domain: window.location.hostname,
         scriptTag: document.currentScript,
         interactionEvents: ['mousedown', 'keydown', 'touchstart', 'pointerdown', 'click'],
         idleTimeout: 3000,
         delayedTimeout: 10000,
+        scriptLoadTimeout: 5000,
+        facadeReadyTimeout: 10000,
         lazyLoadThreshold: 1.5
     };
 
-    window.__SPEED_LAYER_DO__ = {
-        version: '1.2.0-dealeron',
-        platform: 'DealerOn CMS',
+    const PUBLIC_API = {
+        version: EDITION.version,
+        coreVersion: CORE_VERSION,
         state: STATE,
         config: CONFIG,
         forceLoadAll: forceLoadAll,
-        getMetrics: getPerformanceMetrics
+        getMetrics: getPerformanceMetrics,
+        getConsent: getConsentState,
+        clearCache: clearManifestCache,
+        diagnostics: toggleDiagnostics
+    };
+    if (EDITION.label) PUBLIC_API.platform = EDITION.label;
+
+    window[EDITION.global] = PUBLIC_API;
+
+    // =============================================================================
+    // PLATFORM PLUG-INS
+    // =============================================================================
+
+    const PLATFORMS = {};
+    let activePlatform = null;
+
+    function registerPlatform(plugin) {
+        PLATFORMS[plugin.name] = plugin;
+    }
+
+    /**
+     * Pick the plug-in for a manifest `platform` value. No value means the
+     * bundle's own platform; an unknown value falls back to generic.
+     */
+    function resolvePlatform(name) {
+        if (!name) return PLATFORMS[EDITION.platform] || PLATFORMS.generic;
+        return PLATFORMS[name] || PLATFORMS.generic;
+    }
+
+    // Handed to plug-in hooks so they never reach into core internals directly
+    const PLATFORM_CONTEXT = {
+        state: STATE,
+        config: CONFIG,
+        log: log,
+        info: info,
+        mark: mark,
+        interceptScripts: interceptScripts,
+        disableProxyInterception: disableProxyInterception,
+        isInterceptionActive: () => proxyInterceptionActive
     };
 
     // =============================================================================
@@ -67,7 +132,7 @@
     function mark(name) {
         STATE.performanceMarks[name] = performance.now();
         if (performance.mark) {
-            performance.mark(`speed-layer-do-${name}`);
+            performance.mark(`${EDITION.markPrefix}-${name}`);
         }
     }
 
@@ -75,10 +140,13 @@
         return {
             marks: STATE.performanceMarks,
             queuedScripts: STATE.queuedScripts.length,
+            queuedRuleScripts: STATE.queuedRuleScripts.length,
+            queuedConsentScripts: STATE.queuedConsentScripts.length,
+            queuedInlineScripts: STATE.queuedInlineScripts.length,
             queuedMedia: STATE.queuedMedia.length,
             userInteracted: STATE.userInteracted,
             idleFired: STATE.idleCallbackFired,
-            platform: 'DealerOn'
+            platform: STATE.platform
         };
     }
 
@@ -87,11 +155,16 @@
     // =============================================================================
 
     function log(message, data) {
-        if (STATE.manifest && STATE.manifest.debug) {
-            console.log('[SpeedLayer-DO]', message, data || '');
+        if (CONFIG.visitorMode === 'debug' || (STATE.manifest && STATE.manifest.debug)) {
+            console.log(EDITION.logPrefix, message, data || '');
         }
     }
 
+    // Always-on console output for lifecycle milestones
+    function info(message, data) {
+        console.log(EDITION.logPrefix, message, data === undefined ? '' : data);
+    }
+
     // Compiled regex cache — each pattern is compiled once on first use
     const _regexCache = new Map();
 
@@ -145,98 +218,125 @@
         return matchesPattern(src, delayedList);
     }
 
-    // =============================================================================
-    // PAGE DETECTION - DEALERON SPECIFIC
-    // =============================================================================
-
-    function matchesPagePattern(pathname, pattern) {
-        // Exact match
-        if (pathname === pattern) return true;
-
-        // Wildcard match (e.g., "/inventory/*")
-        if (pattern.includes('*')) {
-            const regexPattern = pattern
-                .replace(/\*/g, '.*')
-                .replace(/\//g, '\\/');
-            const regex = new RegExp(`^${regexPattern}$`);
-            return regex.test(pathname);
-        }
-
-        // Starts with match
-        if (pattern.endsWith('/') && pathname.startsWith(pattern)) {
-            return true;
-        }
-
-        return false;
+    /**
+     * First manifest `rules` entry whose pattern matches, or null. Rules are
+     * checked after blockScripts and before the allow/delayed/defer lists.
+     */
+    function findScriptRule(src) {
+        if (!STATE.manifest || !src) return null;
+        const rules = STATE.manifest.rules || [];
+        return rules.find(rule => rule && rule.pattern && matchesPattern(src, [rule.pattern])) || null;
     }
 
-    function shouldRunOnCurrentPage() {
-        if (!STATE.manifest || !STATE.manifest.pages) {
-            // No page config = run on all pages (default behavior)
-            return true;
-        }
-
-        const pageConfig = STATE.manifest.pages;
-        const mode = pageConfig.mode || 'all';
-        const patterns = pageConfig.patterns || [];
-        const currentPath = window.location.pathname;
+    /**
+     * First manifest `facades` entry of one of `types` matching the URL, or null.
+     * Chat facades take scripts and iframes; video facades only iframes.
+     */
+    function findFacade(src, types) {
+        if (!STATE.manifest || !src) return null;
+        const facades = STATE.manifest.facades || [];
+        return facades.find(facade => facade && facade.pattern &&
+            types.indexOf(facade.type || 'chat') !== -1 && matchesPattern(src, [facade.pattern])) || null;
+    }
 
-        log('Page detection:', {
-            mode: mode,
-            currentPath: currentPath,
-            patterns: patterns
-        });
+    // Script types the browser would execute; anything else (JSON, templates) is data
+    const JS_TYPES = ['', 'text/javascript', 'application/javascript', 'module', 'text/ecmascript', 'application/ecmascript'];
+
+    /**
+     * Find the deferInlineScripts entry for an inline script, matched on its id
+     * or its content (substring or /regex/). Strings are shorthand for
+     * { contains: string }. Pass `type` when the node's own type was rewritten.
+     * Returns null when nothing matches.
+     */
+    function findInlineRule(node, type) {
+        const rules = (STATE.manifest && STATE.manifest.deferInlineScripts) || [];
+        if (!rules.length) return null;
+
+        const scriptType = type === undefined ? node.getAttribute('type') : type;
+        if (JS_TYPES.indexOf((scriptType || '').trim().toLowerCase()) === -1) return null;
+
+        const text = node.textContent || '';
+        return rules.find(rule => {
+            if (typeof rule === 'string') return matchesPattern(text, [rule]);
+            if (rule.id && node.id === rule.id) return true;
+            return rule.contains ? matchesPattern(text, [rule.contains]) : false;
+        }) || null;
+    }
 
-        // Mode: "all" - run on all pages
-        if (mode === 'all') {
-            log('Page mode: ALL - running on all pages');
-            return true;
-        }
+    // =============================================================================
+    // PRE-MANIFEST MODE — hold scripts until the manifest can classify them
+    // =============================================================================
 
-        // Mode: "include" - only run on matching pages (whitelist)
-        if (mode === 'include') {
-            const matches = patterns.some(pattern => matchesPagePattern(currentPath, pattern));
-            if (matches) {
-                log('✓ Page INCLUDED - Speed Layer will run');
-            } else {
-                log('✗ Page NOT in include list - Speed Layer will NOT run');
+    // Neutral types that stop a parser-inserted script from running
+    const HELD_SCRIPT_TYPE = 'javascript/speed-layer-held';
+    const DEFERRED_INLINE_TYPE = 'javascript/speed-layer-inline';
+
+    /**
+     * Bootstrap rules decide what to hold before the manifest arrives. Read from
+     * data-bootstrap-defer="pattern,pattern" on the loader tag and/or an inline
+     * JSON block — script#speed-layer-bootstrap of type application/json holding
+     * {"defer": [...]} — placed before it. Returns null when neither is present.
+     */
+    function readBootstrapRules() {
+        const tag = CONFIG.scriptTag;
+        const attr = tag && tag.getAttribute('data-bootstrap-defer');
+        let patterns = attr ? attr.split(',').map(p => p.trim()).filter(Boolean) : [];
+
+        const block = document.getElementById('speed-layer-bootstrap');
+        if (block) {
+            try {
+                const rules = JSON.parse(block.textContent);
+                patterns = patterns.concat(rules.defer || []);
+            } catch (e) {
+                console.warn(EDITION.logPrefix, 'Ignoring invalid #speed-layer-bootstrap JSON:', e.message);
             }
-            return matches;
         }
 
-        // Mode: "exclude" - run on all pages EXCEPT matching ones (blacklist)
-        if (mode === 'exclude') {
-            const matches = patterns.some(pattern => matchesPagePattern(currentPath, pattern));
-            if (matches) {
-                log('✗ Page EXCLUDED - Speed Layer will NOT run');
-            } else {
-                log('✓ Page not in exclude list - Speed Layer will run');
-            }
-            return !matches; // Invert the match
-        }
+        return patterns.length ? patterns : null;
+    }
+
+    /**
+     * Before the manifest is known: hold what the bootstrap rules match, or
+     * everything intercepted when there are no bootstrap rules.
+     */
+    function shouldHoldScript(src) {
+        if (!src) return false;
+        if (!CONFIG.bootstrapDefer) return true;
+        return matchesPattern(src, CONFIG.bootstrapDefer);
+    }
 
-        // Unknown mode - default to running
-        console.warn('[SpeedLayer-DO] Unknown page mode:', mode, '- defaulting to run');
-        return true;
+    // Firefox runs parser-inserted scripts despite a type change unless this is cancelled
+    function onBeforeScriptExecute(event) {
+        if (event.target.type === HELD_SCRIPT_TYPE || event.target.type === DEFERRED_INLINE_TYPE) {
+            event.preventDefault();
+        }
     }
 
     // =============================================================================
     // TELEMETRY
     // =============================================================================
 
+    let telemetrySampled = null; // Decided once per page view, so a page's events are kept or dropped together
+
     function sendTelemetry(event, extra) {
+        // Determine endpoint: data-telemetry attribute (pre-manifest) or manifest config (post-manifest)
         var endpoint = (CONFIG.scriptTag && CONFIG.scriptTag.getAttribute('data-telemetry')) ||
             (STATE.manifest && STATE.manifest.telemetry && STATE.manifest.telemetry.endpoint) || null;
         if (!endpoint) return;
 
+        // Sample rate check (post-manifest only)
         var sampleRate = (STATE.manifest && STATE.manifest.telemetry && STATE.manifest.telemetry.sampleRate);
-        if (sampleRate !== undefined && Math.random() > sampleRate) return;
+        if (sampleRate !== undefined) {
+            if (telemetrySampled === null) telemetrySampled = Math.random() <= sampleRate;
+            if (!telemetrySampled) return;
+        }
 
         var payload = JSON.stringify(Object.assign({
             event: event,
             domain: CONFIG.domain,
             timestamp: Date.now(),
-            loaderVersion: '1.1.0-dealeron'
+            loaderVersion: EDITION.version,
+            coreVersion: CORE_VERSION
         }, extra || {}));
 
         if (navigator.sendBeacon) {
@@ -244,14 +344,198 @@
         }
     }
 
+    // sendBeacon refuses a payload once the beacons a page has in flight would
+    // pass 64 KB (the keepalive quota), so payloads are measured, not counted
+    const BEACON_MAX_BYTES = 64 * 1024;
+
+    // UTF-8 size of a payload, as sendBeacon counts it
+    function byteLength(text) {
+        return new Blob([text]).size;
+    }
+
+    // Every URL the loader classified, by URL: bucket, and when/why it was released.
+    // A summary takes at most half the beacon quota, leaving room for the
+    // manifest_error and discovery beacons that can be in flight with it
+    const SUMMARY_MAX_BYTES = BEACON_MAX_BYTES / 2;
+
+    function recordDecision(url, bucket, kind) {
+        const entry = STATE.decisions[url];
+        if (entry) {
+            if (entry.bucket === 'held') entry.held = true;
+            if (entry.bucket === 'consent') entry.consentHeld = true;
+            entry.bucket = bucket;
+            return;
+        }
+        STATE.decisions[url] = {
+            bucket: bucket,
+            kind: kind || 'script',
+            at: Math.round(performance.now())
+        };
+    }
+
+    function recordRelease(item) {
+        const entry = STATE.decisions[item.src];
+        if (!entry) return;
+        entry.releasedAt = Math.round(performance.now());
+        entry.releasedBy = item.releasedBy || 'dependency';
+    }
+
+    function recordOutcome(url, outcome) {
+        const entry = STATE.decisions[url];
+        if (!entry) return;
+        entry.outcome = outcome;
+        entry.settledAt = Math.round(performance.now());
+    }
+
+    // Origin + path only — query strings can carry visitor data
+    function summaryUrl(url) {
+        try {
+            const parsed = new URL(url, location.href);
+            return parsed.origin + parsed.pathname;
+        } catch (error) {
+            return String(url).split('?')[0];
+        }
+    }
+
     // =============================================================================
-    // MANIFEST LOADING — with timeout, error classification, and retry
+    // CORE WEB VITALS — LCP, CLS, INP, TTFB via PerformanceObserver
+    // =============================================================================
+
+    const VITALS = { lcp: null, cls: null, inp: null, ttfb: null };
+    const interactionDurations = {}; // interactionId -> longest event duration
+
+    function observeEntries(type, callback, options) {
+        try {
+            const observer = new PerformanceObserver(list => list.getEntries().forEach(callback));
+            observer.observe(Object.assign({ type: type, buffered: true }, options || {}));
+        } catch (error) {
+            // Entry type not supported in this browser
+        }
+    }
+
+    /**
+     * CLS uses session windows (entries less than 1s apart, 5s max) and keeps the
+     * worst window. INP is the 98th percentile interaction, i.e. the worst one
+     * per 50 interactions.
+     */
+    function observeVitals() {
+        if (!('PerformanceObserver' in window)) return;
+
+        observeEntries('largest-contentful-paint', entry => {
+            VITALS.lcp = Math.round(entry.startTime);
+        });
+
+        let sessionValue = 0;
+        let sessionStart = 0;
+        let sessionLast = 0;
+        observeEntries('layout-shift', entry => {
+            if (entry.hadRecentInput) return;
+            if (sessionValue && entry.startTime - sessionLast < 1000 && entry.startTime - sessionStart < 5000) {
+                sessionValue += entry.value;
+            } else {
+                sessionValue = entry.value;
+                sessionStart = entry.startTime;
+            }
+            sessionLast = entry.startTime;
+            VITALS.cls = Math.max(VITALS.cls || 0, Math.round(sessionValue * 10000) / 10000);
+        });
+
+        observeEntries('event', entry => {
+            if (!entry.interactionId) return;
+            interactionDurations[entry.interactionId] = Math.max(interactionDurations[entry.interactionId] || 0, entry.duration);
+            const durations = Object.keys(interactionDurations).map(id => interactionDurations[id]).sort((a, b) => b - a);
+            VITALS.inp = Math.round(durations[Math.min(Math.floor(durations.length / 50), durations.length - 1)]);
+        }, { durationThreshold: 40 });
+
+        const navigation = performance.getEntriesByType && performance.getEntriesByType('navigation')[0];
+        if (navigation) {
+            VITALS.ttfb = Math.round(Math.max(navigation.responseStart - (navigation.activationStart || 0), 0));
+        }
+    }
+
+    // =============================================================================
+    // PAGE SUMMARY BEACON
+    // =============================================================================
+
+    // Sent on every hide, so one page view can send several summaries: the
+    // server keeps the last one per pageViewId
+    const PAGE_VIEW_ID = Date.now().toString(36) + Math.random().toString(36).slice(2, 10);
+    let summarySent = false; // Since the page was last shown
+
+    function buildPageSummary() {
+        // Images are for the diagnostics panel only — a gallery would crowd out the scripts
+        const urls = Object.keys(STATE.decisions).filter(url => STATE.decisions[url].kind !== 'image');
+        const buckets = {};
+        urls.forEach(url => {
+            const bucket = STATE.decisions[url].bucket;
+            buckets[bucket] = (buckets[bucket] || 0) + 1;
+        });
+
+        const summary = {
+            pageViewId: PAGE_VIEW_ID,
+            page: location.origin + location.pathname,
+            platform: STATE.platform,
+            manifestSource: STATE.manifestSource,
+            manifestVersion: (STATE.manifest && STATE.manifest.version) || null,
+            active: STATE.performanceMarks['init-complete'] !== undefined, // false when the loader stood down
+            userInteracted: STATE.userInteracted,
+            vitals: VITALS,
+            buckets: buckets,
+            scripts: [],
+            truncated: false,
+            marks: {
+                manifestLoaded: roundMark('manifest-loaded'),
+                initComplete: roundMark('init-complete'),
+                userInteraction: roundMark('user-interaction')
+            }
+        };
+
+        // URLs go in, in classification order, while the serialized summary fits;
+        // the envelope sendTelemetry() adds is a few hundred bytes on top
+        let size = byteLength(JSON.stringify(summary));
+        for (const url of urls) {
+            const script = Object.assign({ url: summaryUrl(url) }, STATE.decisions[url]);
+            size += byteLength(JSON.stringify(script)) + 1; // + the separating comma
+            if (size > SUMMARY_MAX_BYTES) {
+                summary.truncated = true;
+                break;
+            }
+            summary.scripts.push(script);
+        }
+        return summary;
+    }
+
+    function roundMark(name) {
+        const value = STATE.performanceMarks[name];
+        return value === undefined ? null : Math.round(value);
+    }
+
+    // Sent each time the page is hidden (or unloaded without a visibilitychange):
+    // a hidden tab may never come back, while one that does keeps adding to its
+    // vitals — so every hide sends, and the latest summary is the one that counts
+    function sendPageSummary() {
+        if (summarySent) return;
+        summarySent = true;
+        sendTelemetry('page_summary', buildPageSummary());
+    }
+
+    function setupPageSummary() {
+        observeVitals();
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') sendPageSummary();
+            else summarySent = false;
+        });
+        window.addEventListener('pagehide', sendPageSummary);
+    }
+
+    // =============================================================================
+    // MANIFEST FETCH HELPERS
     // =============================================================================
 
-    function fetchWithTimeout(url, ms) {
+    function fetchWithTimeout(url, ms, init) {
         var controller = new AbortController();
         var id = setTimeout(function () { controller.abort(); }, ms);
-        return fetch(url, { signal: controller.signal })
+        return fetch(url, Object.assign({ signal: controller.signal }, init))
             .finally(function () { clearTimeout(id); });
     }
 
@@ -263,28 +547,131 @@
         return 'NETWORK_ERROR';
     }
 
-    function loadManifest() {
-        const manifestAttr = CONFIG.scriptTag.getAttribute('data-manifest');
+    // =============================================================================
+    // MANIFEST FETCH SETTINGS — script tag attributes, then last good manifest
+    // =============================================================================
 
-        if (!manifestAttr) {
-            console.error('[SpeedLayer-DO] No data-manifest attribute found');
-            return Promise.resolve(null);
+    // manifestTimeout/manifestRetries live in the manifest, which is not loaded yet
+    // when we need them — so the last successful manifest's values are kept here
+    const FETCH_SETTINGS_KEY = 'speed-layer:fetch-settings:' + CONFIG.domain;
+
+    function readStorage(key) {
+        try {
+            const raw = window.localStorage.getItem(key);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null; // Storage disabled (privacy mode, sandboxed iframe) or corrupt entry
+        }
+    }
+
+    function writeStorage(key, value) {
+        try {
+            if (value === null) {
+                window.localStorage.removeItem(key);
+            } else {
+                window.localStorage.setItem(key, JSON.stringify(value));
+            }
+        } catch (e) {
+            // Quota exceeded or storage disabled — settings fall back to defaults
         }
+    }
 
-        CONFIG.manifestUrl = manifestAttr.endsWith('/')
-            ? `${manifestAttr}${CONFIG.domain}.json`
-            : `${manifestAttr}/${CONFIG.domain}.json`;
+    function firstNumber(...values) {
+        for (const value of values) {
+            if (value === null || value === undefined || value === '') continue;
+            const n = Number(value);
+            if (isFinite(n)) return n;
+        }
+        return undefined;
+    }
 
-        log('Loading manifest from:', CONFIG.manifestUrl);
+    /**
+     * Resolve manifest fetch settings: data-manifest-timeout / data-manifest-retries
+     * on the script tag win, then the cached values from the last good manifest,
+     * then defaults. Clamped to the ranges manifest.schema.json allows.
+     */
+    function resolveFetchSettings() {
+        const tag = CONFIG.scriptTag;
+        const cached = readStorage(FETCH_SETTINGS_KEY) || {};
+
+        const timeout = firstNumber(tag && tag.getAttribute('data-manifest-timeout'), cached.manifestTimeout, CONFIG.manifestTimeout);
+        const retries = firstNumber(tag && tag.getAttribute('data-manifest-retries'), cached.manifestRetries, CONFIG.manifestRetries);
+
+        CONFIG.manifestTimeout = Math.max(500, timeout);
+        CONFIG.manifestRetries = Math.min(5, Math.max(0, Math.floor(retries)));
+    }
+
+    function rememberFetchSettings(manifest) {
+        const hasSettings = manifest.manifestTimeout !== undefined || manifest.manifestRetries !== undefined;
+        writeStorage(FETCH_SETTINGS_KEY, hasSettings ? {
+            manifestTimeout: manifest.manifestTimeout,
+            manifestRetries: manifest.manifestRetries
+        } : null);
+    }
+
+    // =============================================================================
+    // MANIFEST CACHE — stale-while-revalidate via localStorage
+    // =============================================================================
+
+    const MANIFEST_CACHE_KEY = 'speed-layer:manifest:' + CONFIG.domain + ':' + EDITION.version;
+    const DEFAULT_CACHE_MAX_AGE = 24 * 60 * 60 * 1000;
+
+    /**
+     * Return the cached manifest for this domain if it was fetched from the same
+     * URL and is younger than its own manifestCacheMaxAge (0 disables the cache).
+     */
+    function readCachedManifest() {
+        const entry = readStorage(MANIFEST_CACHE_KEY);
+        if (!entry || !entry.manifest || entry.url !== CONFIG.manifestUrl) return null;
+
+        const maxAge = typeof entry.manifest.manifestCacheMaxAge === 'number'
+            ? entry.manifest.manifestCacheMaxAge
+            : DEFAULT_CACHE_MAX_AGE;
+        const age = Date.now() - entry.fetchedAt;
+
+        if (!(age >= 0 && age <= maxAge)) {
+            log('Cached manifest too old (' + Math.round(age / 1000) + 's), fetching fresh copy');
+            return null;
+        }
+        return entry;
+    }
+
+    function cacheManifest(manifest) {
+        if (manifest.manifestCacheMaxAge === 0) {
+            writeStorage(MANIFEST_CACHE_KEY, null);
+            return;
+        }
+        writeStorage(MANIFEST_CACHE_KEY, {
+            url: CONFIG.manifestUrl,
+            version: manifest.version || null,
+            fetchedAt: Date.now(),
+            manifest: manifest
+        });
+    }
+
+    function clearManifestCache() {
+        writeStorage(MANIFEST_CACHE_KEY, null);
+        writeStorage(FETCH_SETTINGS_KEY, null);
+    }
+
+    // =============================================================================
+    // MANIFEST LOADING — with timeout, error classification, and retry
+    // =============================================================================
 
-        var maxAttempts = 3;
-        var timeoutMs = 5000;
+    /**
+     * Fetch one manifest file, retrying with exponential backoff. Resolves with
+     * the parsed JSON; rejects with the last error, tagged with _errorType,
+     * _attempt and _httpStatus for telemetry.
+     */
+    function fetchManifestFile(url) {
+        var maxAttempts = CONFIG.manifestRetries + 1;
+        var timeoutMs = CONFIG.manifestTimeout;
         var attempt = 0;
 
         function tryFetch() {
             attempt++;
             var httpStatus = null;
-            return fetchWithTimeout(CONFIG.manifestUrl, timeoutMs)
+            return fetchWithTimeout(url, timeoutMs)
                 .then(function (response) {
                     httpStatus = response.status;
                     if (!response.ok) {
@@ -294,12 +681,6 @@
                     }
                     return response.json();
                 })
-                .then(function (manifest) {
-                    STATE.manifest = manifest;
-                    STATE.manifestLoaded = true;
-                    log('Manifest loaded successfully', manifest);
-                    return manifest;
-                })
                 .catch(function (err) {
                     var status = err._httpStatus || httpStatus;
                     var errorType = classifyFetchError(err, status);
@@ -307,38 +688,228 @@
 
                     if (!noRetry && attempt < maxAttempts) {
                         var backoff = Math.pow(2, attempt - 1) * 1000;
-                        log('[SpeedLayer-DO] Manifest fetch ' + errorType + ', retry ' + attempt + '/' + maxAttempts + ' in ' + backoff + 'ms');
+                        log('Manifest fetch ' + errorType + ', retry ' + attempt + '/' + maxAttempts + ' in ' + backoff + 'ms');
                         return new Promise(function (resolve) {
                             setTimeout(function () { resolve(tryFetch()); }, backoff);
                         });
                     }
 
-                    console.warn('[SpeedLayer-DO] Failed to load manifest:', err.message);
-                    sendTelemetry('manifest_error', {
-                        errorType: errorType,
-                        url: CONFIG.manifestUrl,
-                        attempt: attempt,
-                        httpStatus: status
-                    });
-
-                    // DealerOn-specific safe fallback
-                    STATE.manifest = {
-                        allowScripts: ['dealeron.js', 'dlron.us', 'jquery', 'bootstrap'],
-                        deferScripts: ['analytics', 'tracking', 'gtag', 'gtm', 'googletagmanager', 'facebook', 'doubleclick'],
-                        delayedScripts: ['carcodesms', 'harmoniq', 'sincrod', 'personalization'],
-                        preconnect: [],
-                        preload: [],
-                        debug: false,
-                        disableInterception: true // Safe default for DealerOn (ComplyAuto compatibility)
-                    };
-                    STATE.manifestLoaded = true;
-                    return STATE.manifest;
+                    // All retries exhausted (or no-retry error)
+                    err._errorType = errorType;
+                    err._attempt = attempt;
+                    err._httpStatus = status;
+                    throw err;
                 });
         }
 
         return tryFetch();
     }
 
+    /**
+     * Fetch this host's manifest. An alias host's file is a pointer
+     * ({ domain, aliasOf }) to the manifest that serves it, fetched next — one
+     * hop only. The result is cached under this host's URL, so later page views
+     * skip the pointer.
+     */
+    function fetchManifest() {
+        return fetchManifestFile(CONFIG.manifestUrl).then(function (manifest) {
+            if (!manifest || typeof manifest.aliasOf !== 'string') return manifest;
+            if (!/^[a-z0-9.-]+$/.test(manifest.aliasOf)) {
+                throw Object.assign(new Error('Invalid alias target: ' + manifest.aliasOf), { _errorType: 'INVALID_ALIAS', _attempt: 1 });
+            }
+            log('Host is an alias of ' + manifest.aliasOf + ', loading its manifest');
+            return fetchManifestFile(CONFIG.manifestBase + manifest.aliasOf + '.json').then(function (target) {
+                if (target && typeof target.aliasOf === 'string') {
+                    throw Object.assign(new Error('Alias chain: ' + manifest.aliasOf + ' is itself an alias'), { _errorType: 'INVALID_ALIAS', _attempt: 1 });
+                }
+                return target;
+            });
+        });
+    }
+
+    function onManifestFetched(manifest) {
+        cacheManifest(manifest);
+        rememberFetchSettings(manifest);
+    }
+
+    function reportManifestError(err) {
+        console.warn(EDITION.logPrefix, 'Failed to load manifest:', err.message);
+        sendTelemetry('manifest_error', {
+            errorType: err._errorType,
+            url: CONFIG.manifestUrl,
+            attempt: err._attempt,
+            httpStatus: err._httpStatus
+        });
+    }
+
+    /**
+     * Background refresh after serving from cache. The fresh copy is only stored;
+     * it takes effect on the next page view so this one stays consistent.
+     */
+    function revalidateManifest() {
+        fetchManifest()
+            .then(function (manifest) {
+                onManifestFetched(manifest);
+                mark('manifest-revalidated');
+                log('Manifest revalidated in background (applies on next page view)');
+            })
+            .catch(reportManifestError);
+    }
+
+    function loadManifest() {
+        var manifestAttr = CONFIG.scriptTag.getAttribute('data-manifest');
+
+        if (!manifestAttr) {
+            console.error(EDITION.logPrefix, 'No data-manifest attribute found');
+            return Promise.resolve(null);
+        }
+
+        CONFIG.manifestBase = manifestAttr.endsWith('/') ? manifestAttr : manifestAttr + '/';
+        CONFIG.manifestUrl = CONFIG.manifestBase + CONFIG.domain + '.json';
+
+        resolveFetchSettings();
+
+        var cached = readCachedManifest();
+        if (cached) {
+            STATE.manifest = cached.manifest;
+            STATE.manifestLoaded = true;
+            STATE.manifestSource = 'cache';
+            log('Manifest loaded from cache (age ' + Math.round((Date.now() - cached.fetchedAt) / 1000) + 's)', cached.manifest);
+            revalidateManifest();
+            return Promise.resolve(STATE.manifest);
+        }
+
+        log('Loading manifest from:', CONFIG.manifestUrl);
+        log('Manifest fetch: ' + CONFIG.manifestTimeout + 'ms timeout, ' + CONFIG.manifestRetries + ' retries');
+
+        return fetchManifest()
+            .then(function (manifest) {
+                STATE.manifest = manifest;
+                STATE.manifestLoaded = true;
+                STATE.manifestSource = 'network';
+                onManifestFetched(manifest);
+                log('Manifest loaded successfully', manifest);
+                return manifest;
+            })
+            .catch(function (err) {
+                reportManifestError(err);
+
+                // Safe fallback from the bundle's own platform plug-in
+                STATE.manifest = JSON.parse(JSON.stringify(resolvePlatform(null).fallbackManifest));
+                STATE.manifestLoaded = true;
+                STATE.manifestSource = 'fallback';
+                return STATE.manifest;
+            });
+    }
+
+    // =============================================================================
+    // CONTROL — global kill switch and per-visitor overrides
+    // =============================================================================
+
+    // ?speedlayer=off|debug|force sets a cookie so the mode follows this visitor
+    // around the site; ?speedlayer=clear removes it
+    const VISITOR_MODES = ['off', 'debug', 'force'];
+    const VISITOR_COOKIE = 'speedlayer';
+    const VISITOR_COOKIE_MAX_AGE = 24 * 60 * 60; // seconds
+
+    // The control manifest is the way to pause sites fast, so it is cached briefly
+    // and revalidated beside the manifest — never waited on: a pause it brings
+    // after the page is set up stands Speed Layer down there and then
+    const CONTROL_CACHE_KEY = 'speed-layer:control';
+    const CONTROL_CACHE_MAX_AGE = 60 * 1000;
+    const CONTROL_TIMEOUT = 1500;
+
+    function setVisitorCookie(value, maxAge) {
+        document.cookie = VISITOR_COOKIE + '=' + value + '; path=/; max-age=' + maxAge + '; SameSite=Lax';
+    }
+
+    /**
+     * This visitor's override, or null: `off` stands down before touching the
+     * page, `debug` logs as if the manifest had "debug": true, `force` runs even
+     * when the control manifest or "enabled": false would pause the site.
+     */
+    function readVisitorMode() {
+        var param = null;
+        try {
+            param = new URLSearchParams(window.location.search).get(VISITOR_COOKIE);
+        } catch (e) {
+            // No query string support — the cookie still works
+        }
+        if (param === 'clear') {
+            setVisitorCookie('', 0);
+            return null;
+        }
+        if (VISITOR_MODES.indexOf(param) !== -1) {
+            setVisitorCookie(param, VISITOR_COOKIE_MAX_AGE);
+            return param;
+        }
+        var match = document.cookie.match(/(?:^|;\s*)speedlayer=([a-z]+)/);
+        return match && VISITOR_MODES.indexOf(match[1]) !== -1 ? match[1] : null;
+    }
+
+    /**
+     * data-control on the script tag, else control.json beside the manifest directory.
+     */
+    function resolveControlUrl() {
+        var attr = CONFIG.scriptTag && CONFIG.scriptTag.getAttribute('data-control');
+        if (attr) return attr;
+        return CONFIG.manifestBase ? CONFIG.manifestBase + '../control.json' : null;
+    }
+
+    /**
+     * The control manifest as this browser last saw it, and whether that copy is
+     * still within CONTROL_CACHE_MAX_AGE: { control, fresh }. No cached copy is
+     * { control: null, fresh: false }, and no control URL counts as fresh.
+     */
+    function readCachedControl() {
+        if (!CONFIG.controlUrl) return { control: null, fresh: true };
+        var cached = readStorage(CONTROL_CACHE_KEY);
+        if (!cached || cached.url !== CONFIG.controlUrl) return { control: null, fresh: false };
+        var age = Date.now() - cached.fetchedAt;
+        return { control: cached.control, fresh: age >= 0 && age <= CONTROL_CACHE_MAX_AGE };
+    }
+
+    /**
+     * Fetch the control manifest (revalidating any HTTP-cached copy) and cache it.
+     * Resolves null when there is none or it can't be had in time — a missing
+     * control file never pauses a site.
+     */
+    function fetchControl() {
+        return fetchWithTimeout(CONFIG.controlUrl, CONTROL_TIMEOUT, { cache: 'no-cache' })
+            .then(function (response) {
+                if (response.status === 404) return null;
+                if (!response.ok) throw new Error('HTTP ' + response.status);
+                return response.json();
+            })
+            .then(function (control) {
+                writeStorage(CONTROL_CACHE_KEY, { url: CONFIG.controlUrl, fetchedAt: Date.now(), control: control });
+                return control;
+            })
+            .catch(function (err) {
+                log('Control manifest unavailable (' + (err.name === 'AbortError' ? 'timed out' : err.message) + '), carrying on');
+                return null;
+            });
+    }
+
+    /**
+     * What the control manifest pauses on this page — "everywhere", this host, or
+     * the site it is an alias of — or null when it lets Speed Layer run.
+     */
+    function controlPause(control, manifest) {
+        if (!control) return null;
+        if (control.disabled === true) return 'everywhere';
+        var domains = Array.isArray(control.domains) ? control.domains : [];
+        if (domains.indexOf(CONFIG.domain) !== -1) return CONFIG.domain;
+        if (manifest.domain && domains.indexOf(manifest.domain) !== -1) return manifest.domain;
+        return null;
+    }
+
+    function logControlPause(paused, control) {
+        info('⏸ Speed Layer is DISABLED by the control manifest ' + (paused === 'everywhere' ? 'everywhere' : 'for: ' + paused));
+        if (control.message) info(control.message);
+        info('Site will load normally without script deferral');
+    }
+
     // =============================================================================
     // RESOURCE OPTIMIZATION - ENHANCED
     // =============================================================================
@@ -394,20 +965,15 @@
     }
 
     function optimizeFonts() {
-        // Optimize Google Fonts
-        document.querySelectorAll('link[href*="fonts.googleapis.com"]').forEach(link => {
-            if (!link.href.includes('display=')) {
-                link.href += (link.href.includes('?') ? '&' : '?') + 'display=swap';
-                log('Optimized Google font loading:', link.href);
-            }
-        });
+        const hosts = ['fonts.googleapis.com'].concat((activePlatform && activePlatform.fontHosts) || []);
 
-        // Optimize Adobe Typekit fonts (common on DealerOn sites)
-        document.querySelectorAll('link[href*="typekit.net"]').forEach(link => {
-            if (!link.href.includes('display=')) {
-                link.href += (link.href.includes('?') ? '&' : '?') + 'display=swap';
-                log('Optimized Typekit font loading:', link.href);
-            }
+        hosts.forEach(host => {
+            document.querySelectorAll(`link[href*="${host}"]`).forEach(link => {
+                if (!link.href.includes('display=')) {
+                    link.href += (link.href.includes('?') ? '&' : '?') + 'display=swap';
+                    log('Optimized font loading:', link.href);
+                }
+            });
         });
     }
 
@@ -428,21 +994,111 @@
             const element = originalCreateElement.call(document, tagName);
 
             if (tagName.toLowerCase() === 'script') {
+                // Track if script has been handled
+                let scriptHandled = false;
+
                 const scriptProxy = new Proxy(element, {
+                    get(target, property) {
+                        // Return the target itself for special symbol properties
+                        if (typeof property === 'symbol') {
+                            return Reflect.get(target, property);
+                        }
+
+                        const value = Reflect.get(target, property);
+
+                        // If it's a function, wrap it to maintain proper context
+                        if (typeof value === 'function') {
+                            return function(...args) {
+                                return Reflect.apply(value, target, args);
+                            };
+                        }
+
+                        return value;
+                    },
                     set(target, property, value) {
-                        if (property === 'src' && value) {
+                        if (property === 'src' && value && !scriptHandled) {
+                            scriptHandled = true;
                             log('Script src detected:', value);
 
+                            if (!STATE.manifestLoaded) {
+                                if (!shouldHoldScript(value)) {
+                                    recordDecision(value, 'pass');
+                                    Reflect.set(target, property, value);
+                                    return true;
+                                }
+                                log('⏳ Holding script until manifest loads (via Proxy):', value);
+                                recordDecision(value, 'held');
+                                enqueue(STATE.heldScripts, {
+                                    element: target,
+                                    src: value,
+                                    attributes: Array.from(target.attributes || [])
+                                });
+                                return true;
+                            }
+
+                            if (shouldBlockScript(value)) {
+                                log('🚫 Blocking script (via Proxy):', value);
+                                recordDecision(value, 'block');
+                                // Do not set src — script element will never load
+                                return true;
+                            }
+
+                            const facade = findFacade(value, ['chat']);
+                            if (facade) {
+                                log('💬 Holding script behind facade (via Proxy):', value);
+                                recordDecision(value, 'facade');
+                                queueForFacade({
+                                    element: target,
+                                    src: value,
+                                    attributes: Array.from(target.attributes || [])
+                                }, facade);
+
+                                // Prevent the script from loading by not setting src
+                                return true;
+                            }
+
+                            const rule = findScriptRule(value);
+                            if (rule) {
+                                log(`⏸ Holding script for ${rule.trigger} (via Proxy):`, value);
+                                recordDecision(value, 'rule');
+                                queueForRule({
+                                    element: target,
+                                    src: value,
+                                    type: target.type || 'text/javascript',
+                                    async: target.async,
+                                    defer: target.defer,
+                                    attributes: Array.from(target.attributes || [])
+                                }, rule);
+
+                                // Prevent the script from loading by not setting src
+                                return true;
+                            }
+
+                            if (waitsForConsent(value)) {
+                                log('🔒 Holding script until consent (via Proxy):', value);
+                                recordDecision(value, 'consent');
+                                enqueue(STATE.queuedConsentScripts, {
+                                    element: target,
+                                    src: value,
+                                    attributes: Array.from(target.attributes || [])
+                                });
+
+                                // Prevent the script from loading by not setting src
+                                return true;
+                            }
+
                             if (shouldAllowScript(value)) {
                                 log('✓ Allowing script immediately:', value);
-                                target[property] = value;
+                                recordDecision(value, 'allow');
+                                Reflect.set(target, property, value);
                                 return true;
                             }
 
                             if (shouldDelayScript(value)) {
                                 log('⏰ Delaying script (via Proxy):', value);
+                                recordDecision(value, 'delay');
 
-                                STATE.queuedDelayedScripts.push({
+                                enqueue(STATE.queuedDelayedScripts, {
                                     element: target,
                                     src: value,
                                     type: target.type || 'text/javascript',
@@ -451,13 +1107,15 @@
                                     attributes: Array.from(target.attributes || [])
                                 });
 
+                                // Prevent the script from loading by not setting src
                                 return true;
                             }
 
                             if (shouldDeferScript(value)) {
                                 log('⏸ Deferring script (via Proxy):', value);
+                                recordDecision(value, 'defer');
 
-                                STATE.queuedScripts.push({
+                                enqueue(STATE.queuedScripts, {
                                     element: target,
                                     src: value,
                                     type: target.type || 'text/javascript',
@@ -466,12 +1124,24 @@
                                     attributes: Array.from(target.attributes || [])
                                 });
 
+                                // Prevent the script from loading by not setting src
                                 return true;
                             }
+
+                            recordDecision(value, 'pass');
                         }
 
-                        target[property] = value;
+                        Reflect.set(target, property, value);
                         return true;
+                    },
+                    has(target, property) {
+                        return Reflect.has(target, property);
+                    },
+                    ownKeys(target) {
+                        return Reflect.ownKeys(target);
+                    },
+                    getOwnPropertyDescriptor(target, property) {
+                        return Reflect.getOwnPropertyDescriptor(target, property);
                     }
                 });
 
@@ -491,38 +1161,196 @@
         if (originalCreateElement) {
             document.createElement = originalCreateElement;
             proxyInterceptionActive = false;
-            log('Proxy interception disabled (ComplyAuto compatibility mode)');
-            log('DOM observer remains active for catching dynamically added scripts');
+            log('Proxy interception disabled (keeping DOM observer)');
         }
     }
 
-    function observeScripts() {
-        const observer = new MutationObserver(mutations => {
-            mutations.forEach(mutation => {
-                mutation.addedNodes.forEach(node => {
-                    if (node.nodeType !== 1) return;
-
-                    if (node.tagName === 'SCRIPT' && node.src) {
+    let domObserver = null;
+    let observerRequested = false;
+
+    /**
+     * Start the DOM observer now, or on DOMContentLoaded while the document is
+     * still parsing (unless `immediate`, used to catch parser-inserted scripts).
+     * Safe to call more than once.
+     */
+    function startObserver(markName, immediate) {
+        if (domObserver) return;
+
+        if (document.readyState === 'loading' && !immediate) {
+            if (observerRequested) return;
+            observerRequested = true;
+            document.addEventListener('DOMContentLoaded', () => {
+                observeScripts();
+                mark(markName);
+            });
+        } else {
+            // Also upgrades a start still waiting for DOMContentLoaded
+            observerRequested = true;
+            observeScripts();
+            mark(markName);
+        }
+    }
+
+    function stopObserver() {
+        if (!domObserver) return;
+        domObserver.disconnect();
+        domObserver = null;
+        STATE.observerActive = false;
+        log('DOM observer stopped');
+    }
+
+    function observeScripts() {
+        if (!observerRequested || domObserver) return; // Stood down, or already started early
+
+        const observer = new MutationObserver(mutations => {
+            mutations.forEach(mutation => {
+                mutation.addedNodes.forEach(node => {
+                    if (node.nodeType !== 1) return;
+
+                    if (node.tagName === 'SCRIPT' && !node.src) {
+                        if (STATE.processedElements.has(node)) return;
+                        STATE.processedElements.add(node);
+
+                        // Before the manifest, only bootstrap rules can hold an inline script
+                        let trigger;
+                        let rule = null;
+                        if (STATE.manifestLoaded) {
+                            rule = findInlineRule(node);
+                            if (!rule) return;
+                            trigger = rule.trigger || 'idle';
+                        } else {
+                            if (!CONFIG.bootstrapDefer || !matchesPattern(node.textContent, CONFIG.bootstrapDefer)) return;
+                            trigger = 'held';
+                        }
+                        log('Observer: ⏸ Deferring inline script until ' + trigger, node.id || node.textContent.slice(0, 60));
+
+                        // Rewrite the type in place so the script keeps its document position
+                        const item = {
+                            element: node,
+                            trigger: trigger,
+                            originalType: node.getAttribute('type'),
+                            rule: rule,
+                            label: node.id ? '#' + node.id : node.textContent.replace(/\s+/g, ' ').trim().slice(0, 80)
+                        };
+                        STATE.queuedInlineScripts.push(item);
+                        STATE.deferredInlineScripts.push(item);
+                        node.type = DEFERRED_INLINE_TYPE;
+                        return;
+                    }
+
+                    if (node.tagName === 'SCRIPT' && node.src) {
                         if (STATE.processedElements.has(node)) return;
                         STATE.processedElements.add(node);
 
                         const src = node.src;
 
+                        if (!STATE.manifestLoaded) {
+                            if (!shouldHoldScript(src)) {
+                                recordDecision(src, 'pass');
+                                return;
+                            }
+                            log('Observer: ⏳ Holding script until manifest loads', src);
+                            recordDecision(src, 'held');
+
+                            const originalType = node.getAttribute('type');
+                            const parent = node.parentNode;
+                            const nextSibling = node.nextSibling;
+
+                            node.type = HELD_SCRIPT_TYPE;
+                            node.src = '';
+                            node.removeAttribute('src');
+                            node.remove();
+
+                            enqueue(STATE.heldScripts, {
+                                element: node,
+                                src: src,
+                                originalType: originalType,
+                                parent: parent,
+                                nextSibling: nextSibling
+                            });
+                            return;
+                        }
+
                         if (shouldBlockScript(src)) {
                             log('Observer: 🚫 Blocking script (permanently removed):', src);
+                            recordDecision(src, 'block');
                             node.src = '';
                             node.removeAttribute('src');
                             node.remove();
                             return;
                         }
 
+                        const facade = findFacade(src, ['chat']);
+                        if (facade) {
+                            log('Observer: 💬 Holding script behind facade', src);
+                            recordDecision(src, 'facade');
+
+                            const parent = node.parentNode;
+                            const nextSibling = node.nextSibling;
+
+                            node.src = '';
+                            node.removeAttribute('src');
+                            node.remove();
+
+                            queueForFacade({
+                                element: node,
+                                src: src,
+                                parent: parent,
+                                nextSibling: nextSibling
+                            }, facade);
+                            return;
+                        }
+
+                        const rule = findScriptRule(src);
+                        if (rule) {
+                            log(`Observer: ⏸ Holding script for ${rule.trigger}`, src);
+                            recordDecision(src, 'rule');
+
+                            const parent = node.parentNode;
+                            const nextSibling = node.nextSibling;
+
+                            node.src = '';
+                            node.removeAttribute('src');
+                            node.remove();
+
+                            queueForRule({
+                                element: node,
+                                src: src,
+                                parent: parent,
+                                nextSibling: nextSibling
+                            }, rule);
+                            return;
+                        }
+
+                        if (waitsForConsent(src)) {
+                            log('Observer: 🔒 Holding script until consent', src);
+                            recordDecision(src, 'consent');
+
+                            const parent = node.parentNode;
+                            const nextSibling = node.nextSibling;
+
+                            node.src = '';
+                            node.removeAttribute('src');
+                            node.remove();
+
+                            enqueue(STATE.queuedConsentScripts, {
+                                element: node,
+                                src: src,
+                                parent: parent,
+                                nextSibling: nextSibling
+                            });
+                            return;
+                        }
+
                         if (shouldAllowScript(src)) {
                             log('Observer: ✓ Allowing script', src);
+                            recordDecision(src, 'allow');
                             return;
                         }
 
                         if (shouldDelayScript(src)) {
-                            log('Observer: ⏰ Delaying script (10s)', src);
+                            log('Observer: ⏰ Delaying script', src);
+                            recordDecision(src, 'delay');
 
                             const originalSrc = node.src;
                             const parent = node.parentNode;
@@ -532,7 +1360,7 @@
                             node.removeAttribute('src');
                             node.remove();
 
-                            STATE.queuedDelayedScripts.push({
+                            enqueue(STATE.queuedDelayedScripts, {
                                 element: node,
                                 src: originalSrc,
                                 parent: parent,
@@ -543,6 +1371,7 @@
 
                         if (shouldDeferScript(src)) {
                             log('Observer: ⏸ Deferring script', src);
+                            recordDecision(src, 'defer');
 
                             const originalSrc = node.src;
                             const parent = node.parentNode;
@@ -552,28 +1381,86 @@
                             node.removeAttribute('src');
                             node.remove();
 
-                            STATE.queuedScripts.push({
+                            enqueue(STATE.queuedScripts, {
                                 element: node,
                                 src: originalSrc,
                                 parent: parent,
                                 nextSibling: nextSibling
                             });
+                            return;
                         }
+
+                        recordDecision(src, 'pass');
                     }
 
                     if (node.tagName === 'IFRAME' && node.src) {
                         if (STATE.processedElements.has(node)) return;
                         STATE.processedElements.add(node);
 
+                        const facade = findFacade(node.src, ['chat', 'video']);
+                        if (facade && facade.type === 'video') {
+                            log('Observer: ▶ Replacing iframe with video facade', node.src);
+                            recordDecision(node.src, 'facade', 'iframe');
+                            replaceIframeWithFacade(node, facade);
+                            return;
+                        }
+                        if (facade) {
+                            log('Observer: 💬 Holding iframe behind facade', node.src);
+                            recordDecision(node.src, 'facade', 'iframe');
+
+                            const originalSrc = node.src;
+                            const parent = node.parentNode;
+                            const nextSibling = node.nextSibling;
+
+                            node.src = '';
+                            node.removeAttribute('src');
+                            node.remove();
+
+                            queueForFacade({
+                                element: node,
+                                src: originalSrc,
+                                parent: parent,
+                                nextSibling: nextSibling,
+                                isIframe: true
+                            }, facade);
+                            return;
+                        }
+
+                        // Rules apply to iframes too (e.g., a chat widget's frame)
+                        const rule = findScriptRule(node.src);
+                        if (rule) {
+                            log(`Observer: ⏸ Holding iframe for ${rule.trigger}`, node.src);
+                            recordDecision(node.src, 'rule', 'iframe');
+
+                            const originalSrc = node.src;
+                            const parent = node.parentNode;
+                            const nextSibling = node.nextSibling;
+
+                            node.src = '';
+                            node.removeAttribute('src');
+                            node.remove();
+
+                            queueForRule({
+                                element: node,
+                                src: originalSrc,
+                                parent: parent,
+                                nextSibling: nextSibling,
+                                isIframe: true
+                            }, rule);
+                            return;
+                        }
+
                         // Check if iframe should be allowed immediately (e.g., chat widgets)
                         if (shouldAllowScript(node.src)) {
                             log('✓ Allowing iframe immediately:', node.src);
+                            recordDecision(node.src, 'allow', 'iframe');
                             return;
                         }
 
                         // Check if iframe should be delayed
                         if (shouldDelayScript(node.src)) {
-                            log('Observer: ⏰ Delaying iframe (10s)', node.src);
+                            log('Observer: ⏰ Delaying iframe', node.src);
+                            recordDecision(node.src, 'delay', 'iframe');
 
                             const originalSrc = node.src;
                             const parent = node.parentNode;
@@ -583,7 +1470,7 @@
                             node.removeAttribute('src');
                             node.remove();
 
-                            STATE.queuedDelayedScripts.push({
+                            enqueue(STATE.queuedDelayedScripts, {
                                 element: node,
                                 src: originalSrc,
                                 parent: parent,
@@ -598,6 +1485,7 @@
 
                         if (!isAboveFold) {
                             log('Lazy loading iframe:', node.src);
+                            recordDecision(node.src, 'lazy', 'iframe');
 
                             const originalSrc = node.src;
                             node.src = '';
@@ -623,6 +1511,7 @@
                         if (!isAboveFold && !node.dataset.speedLayerProcessed) {
                             node.dataset.speedLayerProcessed = 'true';
                             node.loading = 'lazy';
+                            recordDecision(node.src, 'lazy', 'image');
                             log('Applied lazy loading to image');
                         }
                     }
@@ -635,117 +1524,921 @@
             subtree: true
         });
 
+        domObserver = observer;
         STATE.observerActive = true;
         mark('observer-active');
-        log('Enhanced DOM observer active (DealerOn mode)');
+        log('Enhanced DOM observer active');
     }
 
     // =============================================================================
     // DEFERRED RESOURCE EXECUTION
     // =============================================================================
 
-    function executeQueuedScripts() {
-        if (STATE.queuedScripts.length === 0) return;
+    /**
+     * Safely inserts an element into the DOM with validation and fallback
+     * @param {Node} newElement - The element to insert
+     * @param {Node} parent - The preferred parent node
+     * @param {Node} nextSibling - The sibling to insert before (can be null)
+     * @param {Node} fallbackParent - Fallback parent if primary insertion fails
+     * @returns {boolean} - True if insertion succeeded
+     */
+    function safeInsert(newElement, parent, nextSibling, fallbackParent) {
+        try {
+            // Validate the element is a proper Node
+            if (!(newElement instanceof Node)) {
+                console.warn(EDITION.logPrefix, 'Invalid node, skipping insertion');
+                return false;
+            }
 
-        log(`Executing ${STATE.queuedScripts.length} queued scripts`);
-        mark('scripts-execution-start');
+            if (parent && parent.isConnected) {
+                // The sibling may itself have been deferred and removed since
+                parent.insertBefore(newElement, nextSibling && nextSibling.parentNode === parent ? nextSibling : null);
+                return true;
+            }
+        } catch (error) {
+            console.warn(EDITION.logPrefix, 'insertBefore failed:', error.message);
+        }
 
-        STATE.queuedScripts.forEach(item => {
-            const { element, src, parent, nextSibling } = item;
+        // Fallback to appending to fallback parent
+        try {
+            if (fallbackParent) {
+                fallbackParent.appendChild(newElement);
+                return true;
+            }
+        } catch (error) {
+            console.error(EDITION.logPrefix, 'Failed to insert element:', error);
+            return false;
+        }
 
-            // Use originalCreateElement to bypass Proxy interception
-            const newScript = originalCreateElement ? originalCreateElement.call(document, 'script') : document.createElement('script');
-            newScript.src = src;
+        return false;
+    }
+
+    /**
+     * Build the runnable copy of a queued or held script. A held script gets its
+     * original type back instead of the neutral one.
+     */
+    function createReleasedScript(item) {
+        const { element, src } = item;
+
+        // Use originalCreateElement to bypass Proxy interception
+        const newScript = originalCreateElement ? originalCreateElement.call(document, 'script') : document.createElement('script');
+        newScript.src = src;
+        STATE.processedElements.add(newScript); // Released copies must not be re-queued by the observer
+
+        try {
+            Array.from(element.attributes || []).forEach(attr => {
+                if (attr.name === 'src') return;
+                if (attr.name === 'type' && attr.value === HELD_SCRIPT_TYPE) return;
+                newScript.setAttribute(attr.name, attr.value);
+            });
+            if (item.originalType) newScript.setAttribute('type', item.originalType);
+        } catch (error) {
+            log('Warning: Could not copy attributes from original element');
+        }
+
+        return newScript;
+    }
+
+    function createReleasedIframe(item) {
+        const { element, src } = item;
+
+        // Use originalCreateElement to bypass Proxy interception
+        const newIframe = originalCreateElement ? originalCreateElement.call(document, 'iframe') : document.createElement('iframe');
+        newIframe.src = src;
+        STATE.processedElements.add(newIframe);
 
+        try {
             Array.from(element.attributes || []).forEach(attr => {
                 if (attr.name !== 'src') {
-                    newScript.setAttribute(attr.name, attr.value);
+                    newIframe.setAttribute(attr.name, attr.value);
                 }
             });
+        } catch (error) {
+            log('Warning: Could not copy attributes from original iframe element');
+        }
 
-            if (parent && parent.isConnected) {
-                parent.insertBefore(newScript, nextSibling);
+        return newIframe;
+    }
+
+    // =============================================================================
+    // ORDERED RELEASE — one script at a time, honoring manifest dependsOn
+    // =============================================================================
+
+    let queueCounter = 0;
+    let releaseChain = Promise.resolve();
+    const pendingRelease = [];   // Items handed to releaseInOrder() but not started yet
+    const scriptLoads = {};      // src -> Promise settled with 'load' | 'error' | 'timeout'
+
+    // Stamp queue position so releases can follow the original document order
+    function enqueue(queue, item) {
+        item.order = ++queueCounter;
+        queue.push(item);
+    }
+
+    /**
+     * Release items one after another in their original order. Each script is
+     * inserted only once the previous one has loaded, failed or timed out, since
+     * dynamically inserted scripts would otherwise race each other. Batches are
+     * chained, so a later trigger never overtakes an earlier one. `releasedBy`
+     * names the trigger for telemetry (defaults to the log label).
+     */
+    function releaseInOrder(items, label, releasedBy) {
+        const batch = items.slice().sort((a, b) => (a.order || 0) - (b.order || 0));
+        batch.forEach(item => {
+            item.releasedBy = releasedBy || label;
+            pendingRelease.push(item);
+        });
+
+        releaseChain = releaseChain.then(() => batch.reduce(
+            (previous, item) => previous.then(() => releaseItem(item, label)),
+            Promise.resolve()
+        ));
+        return releaseChain;
+    }
+
+    function releaseItem(item, label) {
+        const index = pendingRelease.indexOf(item);
+        if (index !== -1) pendingRelease.splice(index, 1);
+
+        // Every release path ends here, so this is where consent is enforced
+        if (!hasConsent(item.src)) {
+            log(`🔒 ${label} ${item.isIframe ? 'iframe' : 'script'} waiting for consent:`, item.src);
+            STATE.queuedConsentScripts.push(item);
+            return Promise.resolve();
+        }
+
+        recordRelease(item);
+        if (item.isIframe) {
+            // Iframes never gate other scripts — insert and move on
+            if (safeInsert(createReleasedIframe(item), item.parent, item.nextSibling, document.body)) {
+                log(`✓ Executed ${label} iframe:`, item.src);
             } else {
-                document.head.appendChild(newScript);
+                log(`✗ Failed to execute ${label} iframe:`, item.src);
+            }
+            return Promise.resolve();
+        }
+
+        return waitForDependencies(item, label).then(() => loadScript(item, label));
+    }
+
+    /**
+     * Insert a script and settle when it has loaded or failed (or after
+     * CONFIG.scriptLoadTimeout, so one hung vendor can't stall the queue).
+     * Timings go to STATE.performanceMarks as script-release/load/error/timeout:<src>.
+     */
+    function loadScript(item, label) {
+        if (scriptLoads[item.src]) return scriptLoads[item.src]; // Already released as a dependency
+
+        scriptLoads[item.src] = new Promise(resolve => {
+            const newScript = createReleasedScript(item);
+            let timer = null;
+
+            const settle = outcome => {
+                if (timer === null) return;
+                clearTimeout(timer);
+                timer = null;
+                mark(`script-${outcome}:${item.src}`);
+                recordOutcome(item.src, outcome);
+                log(outcome === 'load' ? `✓ Executed ${label} script:` : `✗ ${label} script ${outcome}:`, item.src);
+                resolve(outcome);
+            };
+
+            newScript.addEventListener('load', () => settle('load'));
+            newScript.addEventListener('error', () => settle('error'));
+            timer = setTimeout(() => settle('timeout'), CONFIG.scriptLoadTimeout);
+
+            mark(`script-release:${item.src}`);
+            if (!safeInsert(newScript, item.parent, item.nextSibling, document.head)) {
+                settle('error');
+            }
+        });
+
+        return scriptLoads[item.src];
+    }
+
+    /**
+     * manifest.dependsOn maps a script pattern to the patterns it needs first,
+     * e.g. { "fbevents-config": ["fbevents.js"] }. A dependency still sitting in
+     * a queue is released ahead of its dependant; one already released is
+     * awaited. Dependencies Speed Layer never saw don't block.
+     */
+    function waitForDependencies(item, label) {
+        const dependsOn = (STATE.manifest && STATE.manifest.dependsOn) || {};
+        const needed = [];
+        Object.keys(dependsOn).forEach(pattern => {
+            if (matchesPattern(item.src, [pattern])) {
+                needed.push(...[].concat(dependsOn[pattern]));
             }
+        });
+        if (needed.length === 0) return Promise.resolve();
 
-            log('✓ Executed deferred script:', src);
+        const waits = [];
+        const isDependency = candidate => !candidate.isIframe && candidate !== item && matchesPattern(candidate.src, needed);
+
+        [STATE.queuedScripts, STATE.queuedDelayedScripts, STATE.queuedRuleScripts].forEach(queue => {
+            queue.filter(isDependency).forEach(dep => {
+                queue.splice(queue.indexOf(dep), 1);
+                log(`Releasing dependency early for ${item.src}:`, dep.src);
+                waits.push(releaseItem(dep, label));
+            });
         });
+        pendingRelease.filter(isDependency).forEach(dep => {
+            log(`Releasing dependency early for ${item.src}:`, dep.src);
+            waits.push(releaseItem(dep, label));
+        });
+        Object.keys(scriptLoads).forEach(src => {
+            if (src !== item.src && matchesPattern(src, needed)) waits.push(scriptLoads[src]);
+        });
+
+        return Promise.all(waits);
+    }
+
+    /**
+     * Once the manifest is known, re-check every held script: blocked ones are
+     * dropped, facade/rule/deferred/delayed ones move to their queues, the rest run now
+     * in the order they were held.
+     */
+    function reclassifyHeldScripts() {
+        STATE.queuedInlineScripts.forEach(item => {
+            if (item.trigger !== 'held') return;
+            const rule = findInlineRule(item.element, item.originalType);
+            item.rule = rule;
+            item.trigger = rule ? (rule.trigger || 'idle') : 'release';
+        });
+        executeInlineScripts('release');
+
+        const held = STATE.heldScripts;
+        STATE.heldScripts = [];
+        if (held.length === 0) return;
+
+        log(`Re-checking ${held.length} script(s) held before the manifest loaded`);
+        mark('held-scripts-reclassified');
+
+        const release = [];
+        held.forEach(item => {
+            const facade = findFacade(item.src, ['chat']);
+            const rule = findScriptRule(item.src);
+            if (shouldBlockScript(item.src)) {
+                log('Held: 🚫 Blocking script', item.src);
+                recordDecision(item.src, 'block');
+            } else if (facade) {
+                log('Held: 💬 Keeping script behind facade', item.src);
+                recordDecision(item.src, 'facade');
+                queueForFacade(item, facade);
+            } else if (rule) {
+                log(`Held: ⏸ Keeping script for ${rule.trigger}`, item.src);
+                recordDecision(item.src, 'rule');
+                queueForRule(item, rule);
+            } else if (shouldAllowScript(item.src)) {
+                log('Held: ✓ Releasing allowed script', item.src);
+                recordDecision(item.src, 'allow');
+                release.push(item);
+            } else if (shouldDelayScript(item.src)) {
+                log('Held: ⏰ Keeping script delayed', item.src);
+                recordDecision(item.src, 'delay');
+                STATE.queuedDelayedScripts.push(item); // keeps its original order
+            } else if (shouldDeferScript(item.src)) {
+                log('Held: ⏸ Keeping script deferred', item.src);
+                recordDecision(item.src, 'defer');
+                STATE.queuedScripts.push(item); // keeps its original order
+            } else {
+                log('Held: ✓ Releasing unmatched script', item.src);
+                recordDecision(item.src, 'pass');
+                release.push(item);
+            }
+        });
+        releaseInOrder(release, 'held', 'manifest');
+    }
+
+    function releaseHeldScripts() {
+        executeInlineScripts('held');
+
+        const held = STATE.heldScripts;
+        STATE.heldScripts = [];
+        releaseInOrder(held, 'held', 'force');
+    }
+
+    function executeQueuedScripts(trigger) {
+        if (STATE.queuedScripts.length === 0) return;
+
+        log(`Executing ${STATE.queuedScripts.length} queued scripts`);
+        mark('scripts-execution-start');
 
+        const items = STATE.queuedScripts;
         STATE.queuedScripts = [];
-        mark('scripts-execution-complete');
+        releaseInOrder(items, 'deferred', trigger).then(() => mark('scripts-execution-complete'));
     }
 
-    function executeQueuedIframes() {
-        if (STATE.queuedIframes.length === 0) return;
+    /**
+     * Run deferred inline scripts for a trigger ('idle', 'delayed', 'interaction',
+     * or 'held'/'release' from pre-manifest mode; null = all) in their original
+     * document order. Each one is replaced by a fresh copy with its original type,
+     * since a script whose type was rewritten will not run again on its own.
+     * `releasedBy` (default: the trigger) is what the diagnostics panel shows.
+     */
+    function executeInlineScripts(trigger, releasedBy) {
+        runInlineScripts(STATE.queuedInlineScripts.filter(item => !trigger || item.trigger === trigger), releasedBy || trigger || 'all');
+    }
 
-        log(`Loading ${STATE.queuedIframes.length} queued iframes`);
+    function runInlineScripts(ready, releasedBy) {
+        if (ready.length === 0) return;
+
+        STATE.queuedInlineScripts = STATE.queuedInlineScripts.filter(item => ready.indexOf(item) === -1);
+        log(`Executing ${ready.length} deferred inline scripts (${releasedBy})`);
+
+        ready.sort((a, b) => (a.element.compareDocumentPosition(b.element) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
 
-        STATE.queuedIframes.forEach(item => {
-            const { element, src } = item;
-            if (element.isConnected) {
-                element.src = src;
-                log('✓ Loaded iframe:', src);
+        ready.forEach(item => {
+            const { element, originalType } = item;
+            item.releasedAt = Math.round(performance.now());
+            item.releasedBy = releasedBy;
+            const newScript = originalCreateElement ? originalCreateElement.call(document, 'script') : document.createElement('script');
+            STATE.processedElements.add(newScript);
+
+            Array.from(element.attributes).forEach(attr => {
+                if (attr.name !== 'type') newScript.setAttribute(attr.name, attr.value);
+            });
+            if (originalType) newScript.setAttribute('type', originalType);
+            newScript.text = element.text;
+
+            if (element.parentNode) {
+                element.parentNode.replaceChild(newScript, element);
+            } else {
+                document.head.appendChild(newScript);
             }
+            log('✓ Executed deferred inline script:', element.id || element.text.slice(0, 60));
         });
+    }
 
+    function executeQueuedIframes(trigger) {
+        if (STATE.queuedIframes.length === 0) return;
+
+        log(`Loading ${STATE.queuedIframes.length} queued iframes`);
+
+        STATE.queuedIframes.forEach(item => loadLazyIframe(item, trigger));
         STATE.queuedIframes = [];
     }
 
-    function executeDelayedScripts() {
+    function loadLazyIframe(item, trigger) {
+        const { element, src } = item;
+        if (!element.isConnected) return;
+        element.src = src;
+        item.releasedBy = trigger;
+        recordRelease(item);
+        log('✓ Loaded iframe:', src);
+    }
+
+    function executeDelayedScripts(trigger) {
         if (STATE.queuedDelayedScripts.length === 0) return;
 
         log(`Executing ${STATE.queuedDelayedScripts.length} delayed scripts`);
         mark('delayed-scripts-execution-start');
 
-        STATE.queuedDelayedScripts.forEach(item => {
-            const { element, src, parent, nextSibling, isIframe } = item;
+        const items = STATE.queuedDelayedScripts;
+        STATE.queuedDelayedScripts = [];
+        releaseInOrder(items, 'delayed', trigger).then(() => mark('delayed-scripts-execution-complete'));
+    }
 
-            if (isIframe) {
-                // Use originalCreateElement to bypass Proxy interception
-                const newIframe = originalCreateElement ? originalCreateElement.call(document, 'iframe') : document.createElement('iframe');
-                newIframe.src = src;
+    // =============================================================================
+    // TRIGGER RULES — manifest `rules`: { pattern, trigger }
+    // =============================================================================
 
-                Array.from(element.attributes || []).forEach(attr => {
-                    if (attr.name !== 'src') {
-                        newIframe.setAttribute(attr.name, attr.value);
-                    }
-                });
+    /**
+     * Split a rule trigger into kind and argument: interaction, idle,
+     * timeout:<ms>, visible:<css selector>, event:<window event>, scroll:<percent>.
+     * Returns null for anything else.
+     */
+    function parseTrigger(trigger) {
+        if (typeof trigger !== 'string') return null;
+        const colon = trigger.indexOf(':');
+        const kind = colon === -1 ? trigger : trigger.slice(0, colon);
+        const arg = colon === -1 ? '' : trigger.slice(colon + 1).trim(); // Selectors may contain ':'
+
+        if (kind === 'interaction' || kind === 'idle') return colon === -1 ? { kind, arg } : null;
+        if (!arg) return null;
+        if ((kind === 'timeout' || kind === 'scroll') && !/^\d+$/.test(arg)) return null;
+        if (['timeout', 'visible', 'event', 'scroll'].indexOf(kind) === -1) return null;
+        return { kind, arg };
+    }
 
-                if (parent && parent.isConnected) {
-                    parent.insertBefore(newIframe, nextSibling);
-                } else {
-                    document.body.appendChild(newIframe);
-                }
+    // idle and timeout rules also go on first interaction, like deferScripts and
+    // delayedScripts; visible/event/scroll rules wait for their own condition
+    function releasesOnInteraction(trigger) {
+        const parsed = parseTrigger(trigger);
+        return !!parsed && (parsed.kind === 'interaction' || parsed.kind === 'idle' || parsed.kind === 'timeout');
+    }
+
+    function triggerHasFired(trigger) {
+        if (STATE.firedTriggers[trigger]) return true;
+        return STATE.userInteracted && releasesOnInteraction(trigger);
+    }
+
+    /**
+     * Queue an item under its rule's trigger. An unreadable trigger falls back to
+     * idle; a trigger that already fired releases the item straight away.
+     */
+    function queueForRule(item, rule) {
+        if (parseTrigger(rule.trigger)) {
+            item.trigger = rule.trigger;
+        } else {
+            console.warn(EDITION.logPrefix, 'Unknown rule trigger, using idle:', rule.trigger);
+            item.trigger = 'idle';
+        }
+
+        enqueue(STATE.queuedRuleScripts, item);
+        if (triggerHasFired(item.trigger)) {
+            executeRuleScripts(trigger => trigger === item.trigger, item.trigger);
+        }
+    }
+
+    function executeRuleScripts(filter, label) {
+        const ready = STATE.queuedRuleScripts.filter(item => filter(item.trigger));
+        if (ready.length === 0) return;
+
+        STATE.queuedRuleScripts = STATE.queuedRuleScripts.filter(item => ready.indexOf(item) === -1);
+        log(`Executing ${ready.length} rule script(s) (${label})`);
+        releaseInOrder(ready, label);
+    }
+
+    function fireRuleTrigger(trigger) {
+        if (STATE.firedTriggers[trigger]) return;
 
-                log('✓ Executed delayed iframe:', src);
+        STATE.firedTriggers[trigger] = true;
+        mark(`trigger:${trigger}`);
+        log('Rule trigger fired:', trigger);
+        executeRuleScripts(itemTrigger => itemTrigger === trigger, trigger);
+    }
+
+    /**
+     * Fire once any element matching `selector` comes near the viewport (same
+     * margin as lazy loading). Elements not parsed yet are looked up again at
+     * DOMContentLoaded and load; if none exist then, the rule waits for
+     * forceLoadAll().
+     */
+    function watchVisible(selector, fire) {
+        if (!('IntersectionObserver' in window)) {
+            fire();
+            return;
+        }
+
+        let targets;
+        try {
+            targets = document.querySelectorAll(selector);
+        } catch (error) {
+            console.warn(EDITION.logPrefix, 'Invalid selector in visible trigger, releasing now:', selector);
+            fire();
+            return;
+        }
+
+        if (targets.length === 0) {
+            if (document.readyState === 'loading') {
+                document.addEventListener('DOMContentLoaded', () => watchVisible(selector, fire), { once: true });
+            } else if (document.readyState !== 'complete') {
+                window.addEventListener('load', () => watchVisible(selector, fire), { once: true });
             } else {
-                // Use originalCreateElement to bypass Proxy interception
-                const newScript = originalCreateElement ? originalCreateElement.call(document, 'script') : document.createElement('script');
-                newScript.src = src;
+                log('visible trigger: no element matches', selector);
+            }
+            return;
+        }
 
-                Array.from(element.attributes || []).forEach(attr => {
-                    if (attr.name !== 'src') {
-                        newScript.setAttribute(attr.name, attr.value);
-                    }
-                });
+        const margin = Math.round((CONFIG.lazyLoadThreshold - 1) * 100);
+        const observer = new IntersectionObserver(entries => {
+            if (!entries.some(entry => entry.isIntersecting)) return;
+            observer.disconnect();
+            fire();
+        }, { rootMargin: `${margin}% 0px` });
+        targets.forEach(target => observer.observe(target));
+    }
 
-                if (parent && parent.isConnected) {
-                    parent.insertBefore(newScript, nextSibling);
-                } else {
-                    document.head.appendChild(newScript);
+    function watchScroll(percent, fire) {
+        const onScroll = () => {
+            const scrollable = document.documentElement.scrollHeight - window.innerHeight;
+            const depth = scrollable > 0 ? (window.scrollY / scrollable) * 100 : 100;
+            if (depth < percent) return;
+            window.removeEventListener('scroll', onScroll);
+            fire();
+        };
+        window.addEventListener('scroll', onScroll, { passive: true });
+    }
+
+    function armRuleTriggers() {
+        const armed = {};
+
+        (STATE.manifest.rules || []).forEach(rule => {
+            const trigger = rule && rule.trigger;
+            const parsed = parseTrigger(trigger);
+            if (!parsed || armed[trigger]) return;
+            armed[trigger] = true;
+
+            const fire = () => fireRuleTrigger(trigger);
+            switch (parsed.kind) {
+                case 'timeout':
+                    setTimeout(fire, parseInt(parsed.arg, 10));
+                    break;
+                case 'visible':
+                    watchVisible(parsed.arg, fire);
+                    break;
+                case 'event':
+                    window.addEventListener(parsed.arg, fire, { once: true });
+                    break;
+                case 'scroll':
+                    watchScroll(parseInt(parsed.arg, 10), fire);
+                    break;
+                default:
+                    break; // interaction and idle ride on the built-in triggers
+            }
+        });
+
+        const count = Object.keys(armed).length;
+        if (count) log(`Rule triggers armed: ${count}`);
+    }
+
+    // =============================================================================
+    // FACADES — click-to-load placeholders for heavy chat and video widgets
+    // =============================================================================
+
+    const FACADE_CLASS = 'speed-layer-facade';
+    const facadeGroups = new Map();  // chat facade -> { items, placeholder, activated }
+    const videoFacades = [];         // { placeholder, iframe, src } still showing a thumbnail
+
+    const FACADE_CSS = [
+        `.${FACADE_CLASS}--chat{position:fixed;bottom:20px;z-index:2147483000;width:60px;height:60px;padding:0;border:0;border-radius:50%;background:#1a73e8;color:#fff;box-shadow:0 2px 12px rgba(0,0,0,.3);cursor:pointer;display:flex;align-items:center;justify-content:center}`,
+        `.${FACADE_CLASS}--right{right:20px}`,
+        `.${FACADE_CLASS}--left{left:20px}`,
+        `.${FACADE_CLASS}--chat svg{width:28px;height:28px;fill:currentColor}`,
+        `.${FACADE_CLASS}--loading{opacity:.6;cursor:progress}`,
+        `.${FACADE_CLASS}--video{position:relative;max-width:100%;background:#000 center/cover no-repeat;cursor:pointer}`,
+        `.${FACADE_CLASS}--video button{position:absolute;top:50%;left:50%;width:68px;height:48px;transform:translate(-50%,-50%);border:0;border-radius:12px;background:rgba(0,0,0,.7);cursor:pointer}`,
+        `.${FACADE_CLASS}--video button::before{content:'';position:absolute;top:50%;left:55%;transform:translate(-50%,-50%);border-style:solid;border-width:10px 0 10px 18px;border-color:transparent transparent transparent #fff}`
+    ].join('');
+
+    const CHAT_ICON = '<svg viewBox="0 0 24 24" aria-hidden="true"><path d="M4 4h16a2 2 0 0 1 2 2v10a2 2 0 0 1-2 2H8l-4 4V6a2 2 0 0 1 2-2z"/></svg>';
+
+    function injectFacadeStyles() {
+        if (document.getElementById(`${FACADE_CLASS}-styles`)) return;
+
+        const style = document.createElement('style');
+        style.id = `${FACADE_CLASS}-styles`;
+        style.textContent = FACADE_CSS;
+        document.head.appendChild(style);
+    }
+
+    function whenBodyReady(callback) {
+        if (document.body) {
+            callback();
+        } else {
+            document.addEventListener('DOMContentLoaded', callback, { once: true });
+        }
+    }
+
+    // Resolves with the first element matching `selector`, or null after `timeout`
+    function waitForElement(selector, timeout) {
+        const started = Date.now();
+        return new Promise(resolve => {
+            const check = () => {
+                let element = null;
+                try {
+                    element = document.querySelector(selector);
+                } catch (error) {
+                    resolve(null); // Invalid selector
+                    return;
                 }
+                if (element || Date.now() - started >= timeout) {
+                    resolve(element);
+                    return;
+                }
+                setTimeout(check, 100);
+            };
+            check();
+        });
+    }
 
-                log('✓ Executed delayed script:', src);
+    /**
+     * Hold a script or iframe behind its chat facade. The first one drawn for a
+     * facade puts the launcher button on the page; everything matching loads
+     * together when it is clicked.
+     */
+    function queueForFacade(item, facade) {
+        let group = facadeGroups.get(facade);
+        if (!group) {
+            group = { items: [], placeholder: null, activated: false };
+            facadeGroups.set(facade, group);
+        }
+
+        enqueue(group.items, item);
+        if (group.activated) {
+            releaseInOrder(group.items.splice(0), 'facade');
+            return;
+        }
+        if (!group.placeholder) {
+            group.placeholder = drawChatFacade(facade, group);
+        }
+    }
+
+    function drawChatFacade(facade, group) {
+        injectFacadeStyles();
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `${FACADE_CLASS} ${FACADE_CLASS}--chat ${FACADE_CLASS}--${facade.position === 'bottom-left' ? 'left' : 'right'}`;
+        button.setAttribute('aria-label', facade.label || 'Open chat');
+        button.title = facade.label || 'Open chat';
+        button.innerHTML = CHAT_ICON;
+        if (facade.color) button.style.background = facade.color;
+
+        button.addEventListener('click', () => activateChatFacade(facade, group, true));
+        whenBodyReady(() => document.body.appendChild(button));
+        mark(`facade-shown:${facade.pattern}`);
+        log('Facade drawn for:', facade.pattern);
+        return button;
+    }
+
+    /**
+     * Load everything behind a chat facade. With `replayClick`, wait for the
+     * widget's own launcher (facade.launcher) and click it so the visitor's click
+     * opens the chat; the placeholder goes away once the widget is ready.
+     */
+    function activateChatFacade(facade, group, replayClick) {
+        if (group.activated) return;
+        group.activated = true;
+
+        mark(`facade-activated:${facade.pattern}`);
+        log('Facade activated:', facade.pattern);
+
+        const placeholder = group.placeholder;
+        if (placeholder) {
+            placeholder.classList.add(`${FACADE_CLASS}--loading`);
+            placeholder.setAttribute('aria-busy', 'true');
+        }
+
+        releaseInOrder(group.items.splice(0), 'facade', replayClick ? 'facade' : 'force').then(() => {
+            if (!replayClick || !facade.launcher) return null;
+            return waitForElement(facade.launcher, CONFIG.facadeReadyTimeout);
+        }).then(launcher => {
+            if (placeholder) placeholder.remove();
+            if (launcher) {
+                launcher.click();
+                log('Facade click replayed on:', facade.launcher);
+            } else if (replayClick && facade.launcher) {
+                log('Facade launcher not found in time:', facade.launcher);
             }
         });
+    }
 
-        STATE.queuedDelayedScripts = [];
-        mark('delayed-scripts-execution-complete');
+    // YouTube embeds get their thumbnail for free; anything else needs facade.thumbnail
+    function videoThumbnail(src, facade) {
+        if (facade.thumbnail) return facade.thumbnail;
+        const youtube = src.match(/youtube(?:-nocookie)?\.com\/embed\/([\w-]{11})/);
+        return youtube ? `https://i.ytimg.com/vi/${youtube[1]}/hqdefault.jpg` : null;
+    }
+
+    /**
+     * Swap a video iframe for a same-sized thumbnail with a play button. A click
+     * puts the iframe back with autoplay so the visitor doesn't have to click twice.
+     */
+    function replaceIframeWithFacade(iframe, facade) {
+        injectFacadeStyles();
+
+        const src = iframe.src;
+        const placeholder = document.createElement('div');
+        placeholder.className = `${FACADE_CLASS} ${FACADE_CLASS}--video`;
+        placeholder.style.width = iframe.getAttribute('width') ? `${iframe.getAttribute('width')}px` : '100%';
+        if (iframe.getAttribute('height')) {
+            placeholder.style.height = `${iframe.getAttribute('height')}px`;
+        } else {
+            placeholder.style.aspectRatio = '16 / 9';
+        }
+        const thumbnail = videoThumbnail(src, facade);
+        if (thumbnail) placeholder.style.backgroundImage = `url("${thumbnail}")`;
+
+        const play = document.createElement('button');
+        play.type = 'button';
+        play.setAttribute('aria-label', facade.label || iframe.title || 'Play video');
+        placeholder.appendChild(play);
+
+        iframe.src = '';
+        iframe.removeAttribute('src');
+        iframe.replaceWith(placeholder);
+
+        const entry = { placeholder, iframe, src };
+        videoFacades.push(entry);
+        placeholder.addEventListener('click', () => restoreVideoFacade(entry, true), { once: true });
+        mark(`facade-shown:${facade.pattern}`);
+    }
+
+    function restoreVideoFacade(entry, autoplay, releasedBy) {
+        const index = videoFacades.indexOf(entry);
+        if (index === -1) return;
+        videoFacades.splice(index, 1);
+        recordRelease({ src: entry.src, releasedBy: releasedBy || (autoplay ? 'facade' : 'force') });
+
+        let src = entry.src;
+        if (autoplay) {
+            src += (src.includes('?') ? '&' : '?') + 'autoplay=1';
+            const allow = entry.iframe.getAttribute('allow') || '';
+            if (!allow.includes('autoplay')) {
+                entry.iframe.setAttribute('allow', allow ? `${allow}; autoplay` : 'autoplay');
+            }
+        }
+        entry.iframe.src = src;
+        entry.placeholder.replaceWith(entry.iframe);
+        log('✓ Video facade replaced with iframe:', entry.src);
+    }
+
+    function activateAllFacades() {
+        facadeGroups.forEach((group, facade) => activateChatFacade(facade, group, false));
+        videoFacades.slice().forEach(entry => restoreVideoFacade(entry, false));
+    }
+
+    // =============================================================================
+    // CONSENT — IAB TCF v2, IAB GPP, Global Privacy Control, ComplyAuto
+    // =============================================================================
+
+    const CONSENT_PURPOSES = ['functional', 'analytics', 'advertising', 'personalization'];
+
+    // TCF v2 purpose IDs that must all be consented for each of our purposes
+    const TCF_PURPOSE_IDS = {
+        functional: [1],
+        analytics: [1, 8, 9],
+        advertising: [1, 2, 3, 4, 7],
+        personalization: [1, 5, 6]
+    };
+
+    // US GPP section fields: 1 = opted out, 2 = did not opt out, 0 = not applicable
+    const GPP_OPT_OUT_FIELDS = ['SaleOptOut', 'SharingOptOut', 'TargetedAdvertisingOptOut'];
+
+    function consentConfig() {
+        return (STATE.manifest && STATE.manifest.consent) || null;
+    }
+
+    function consentPurpose(src) {
+        const config = consentConfig();
+        if (!config || !config.purposes || !src) return null;
+        return Object.keys(config.purposes).find(purpose => matchesPattern(src, [].concat(config.purposes[purpose]))) || null;
+    }
+
+    /**
+     * Consent for one purpose across all sources: false if any source denies it,
+     * true if one grants it, null while a detected CMP hasn't answered yet,
+     * otherwise manifest consent.default ("granted" unless set to "denied").
+     */
+    function consentStatus(purpose) {
+        const signals = STATE.consent.signals;
+        const sources = Object.keys(signals);
+
+        if (sources.some(source => signals[source] && signals[source][purpose] === false)) return false;
+        if (sources.some(source => signals[source] && signals[source][purpose] === true)) return true;
+        if (sources.some(source => signals[source] === null)) return null;
+        return consentConfig().default !== 'denied';
+    }
+
+    function hasConsent(src) {
+        if (!STATE.consent.active) return true;
+        const purpose = consentPurpose(src);
+        return !purpose || consentStatus(purpose) === true;
+    }
+
+    // Queued scripts are checked again on release, so only scripts that would
+    // load right now (allowed or unmatched) need holding at interception time
+    function waitsForConsent(src) {
+        return !hasConsent(src) && !shouldDelayScript(src) && !shouldDeferScript(src);
+    }
+
+    function getConsentState() {
+        const purposes = {};
+        CONSENT_PURPOSES.forEach(purpose => {
+            purposes[purpose] = STATE.consent.active ? consentStatus(purpose) : null;
+        });
+        return { active: STATE.consent.active, purposes: purposes, signals: STATE.consent.signals };
+    }
+
+    function setConsentSignals(source, signals) {
+        STATE.consent.signals[source] = signals;
+        mark(`consent:${source}`);
+        log(`Consent from ${source}:`, signals);
+        releaseConsentedScripts();
+    }
+
+    function releaseConsentedScripts() {
+        const ready = STATE.queuedConsentScripts.filter(item => hasConsent(item.src));
+        if (ready.length === 0) return;
+
+        STATE.queuedConsentScripts = STATE.queuedConsentScripts.filter(item => ready.indexOf(item) === -1);
+        log(`Consent granted for ${ready.length} held script(s)`);
+        // Scripts held at interception now load as they would have without consent
+        // gating; those re-held on release from a trigger queue keep their bucket
+        ready.forEach(item => {
+            const entry = STATE.decisions[item.src];
+            if (entry && entry.bucket === 'consent') recordDecision(item.src, shouldAllowScript(item.src) ? 'allow' : 'pass');
+        });
+        releaseInOrder(ready, 'consented', 'consent');
+    }
+
+    function watchTcf() {
+        STATE.consent.signals.tcf = null;
+        window.__tcfapi('addEventListener', 2, (tcData, success) => {
+            if (!success || !tcData) return;
+            if (tcData.gdprApplies === false) {
+                setConsentSignals('tcf', {});
+                return;
+            }
+            if (tcData.eventStatus !== 'tcloaded' && tcData.eventStatus !== 'useractioncomplete') return;
+
+            const consents = (tcData.purpose && tcData.purpose.consents) || {};
+            const signals = {};
+            Object.keys(TCF_PURPOSE_IDS).forEach(purpose => {
+                signals[purpose] = TCF_PURPOSE_IDS[purpose].every(id => consents[id] === true);
+            });
+            setConsentSignals('tcf', signals);
+        });
+    }
+
+    // US state/national sections only speak to advertising (sale, sharing, targeting)
+    function gppSignals(pingData) {
+        const parsed = pingData.parsedSections || {};
+        let answered = false;
+        let optedOut = false;
+
+        Object.keys(parsed).filter(name => name.indexOf('us') === 0).forEach(name => {
+            [].concat(parsed[name]).forEach(section => {
+                GPP_OPT_OUT_FIELDS.forEach(field => {
+                    if (!section || (section[field] !== 1 && section[field] !== 2)) return;
+                    answered = true;
+                    if (section[field] === 1) optedOut = true;
+                });
+            });
+        });
+        return answered ? { advertising: !optedOut } : {};
+    }
+
+    function watchGpp() {
+        STATE.consent.signals.gpp = null;
+        window.__gpp('addEventListener', (event, success) => {
+            if (!success || !event || !event.pingData) return;
+            if (event.pingData.signalStatus !== 'ready') return;
+            setConsentSignals('gpp', gppSignals(event.pingData));
+        });
+    }
+
+    /**
+     * ComplyAuto adapter, configured per site in manifest consent.complyAuto:
+     * `global` is the dotted path of the consent object it exposes, `event` the
+     * window event fired when it changes, and `purposeMap` translates its
+     * category names to ours. Boolean categories become signals.
+     */
+    function watchComplyAuto(config) {
+        STATE.consent.signals.complyauto = null;
+
+        const read = () => {
+            const value = config.global.split('.').reduce((object, key) => (object == null ? undefined : object[key]), window);
+            if (!value || typeof value !== 'object') return;
+
+            const purposeMap = config.purposeMap || {};
+            const signals = {};
+            CONSENT_PURPOSES.forEach(purpose => {
+                const category = purposeMap[purpose] || purpose;
+                if (typeof value[category] === 'boolean') signals[purpose] = value[category];
+            });
+            setConsentSignals('complyauto', signals);
+        };
+
+        if (config.event) window.addEventListener(config.event, read);
+        read();
+    }
+
+    function detectConsentSources() {
+        const signals = STATE.consent.signals;
+        const config = consentConfig();
+
+        if (!('gpc' in signals) && navigator.globalPrivacyControl === true) {
+            setConsentSignals('gpc', { advertising: false });
+        }
+        if (!('tcf' in signals) && typeof window.__tcfapi === 'function') watchTcf();
+        if (!('gpp' in signals) && typeof window.__gpp === 'function') watchGpp();
+        if (!('complyauto' in signals) && config.complyAuto && config.complyAuto.global) watchComplyAuto(config.complyAuto);
+    }
+
+    /**
+     * Turn on consent gating when the manifest has a `consent` block. CMP stubs
+     * normally load before the loader; sources that appear later are picked up
+     * at DOMContentLoaded.
+     */
+    function initConsent() {
+        if (!consentConfig()) return;
+
+        STATE.consent.active = true;
+        detectConsentSources();
+        if (document.readyState === 'loading') {
+            document.addEventListener('DOMContentLoaded', detectConsentSources, { once: true });
+        }
+
+        mark('consent-ready');
+        const sources = Object.keys(STATE.consent.signals);
+        log('Consent sources:', sources.length ? sources.join(', ') : `none (default: ${consentConfig().default || 'granted'})`);
     }
 
     function onUserInteraction(event) {
-        if (STATE.userInteracted) return;
+        if (STATE.userInteracted || isDiagnosticsEvent(event)) return;
 
         STATE.userInteracted = true;
         mark('user-interaction');
@@ -755,9 +2448,12 @@
             document.removeEventListener(eventType, onUserInteraction, { capture: true, passive: true });
         });
 
-        executeQueuedScripts();
-        executeQueuedIframes();
-        executeDelayedScripts();
+        executeQueuedScripts('interaction');
+        executeInlineScripts(null, 'interaction');
+        executeQueuedIframes('interaction');
+        executeDelayedScripts('interaction');
+        fireRuleTrigger('interaction');
+        executeRuleScripts(releasesOnInteraction, 'interaction');
     }
 
     function onIdle() {
@@ -768,8 +2464,10 @@
         log('Idle callback fired');
 
         if (!STATE.userInteracted) {
-            executeQueuedScripts();
-            executeQueuedIframes();
+            executeQueuedScripts('idle');
+            executeInlineScripts('idle');
+            executeQueuedIframes('idle');
+            fireRuleTrigger('idle');
         }
     }
 
@@ -778,10 +2476,11 @@
 
         STATE.delayedCallbackFired = true;
         mark('delayed-callback');
-        log('Delayed callback fired (10s)');
+        log('Delayed callback fired');
 
         if (!STATE.userInteracted) {
-            executeDelayedScripts();
+            executeDelayedScripts('delayed');
+            executeInlineScripts('delayed');
         }
     }
 
@@ -807,15 +2506,159 @@
             setTimeout(onIdle, 1000);
         }, { once: true });
 
+        armRuleTriggers();
+
         mark('triggers-setup');
         log('Triggers configured (defer: ' + CONFIG.idleTimeout + 'ms, delayed: ' + CONFIG.delayedTimeout + 'ms)');
     }
 
     function forceLoadAll() {
         log('Force loading all resources');
-        executeQueuedScripts();
-        executeQueuedIframes();
-        executeDelayedScripts();
+        releaseHeldScripts();
+        executeQueuedScripts('force');
+        executeInlineScripts(null, 'force');
+        executeQueuedIframes('force');
+        executeDelayedScripts('force');
+        executeRuleScripts(() => true, 'force');
+        activateAllFacades();
+    }
+
+    /**
+     * Step aside for this page view: restore createElement, stop observing and
+     * hand back anything that was queued before the manifest said so.
+     */
+    function standDown() {
+        disableProxyInterception();
+        observerRequested = false;
+        stopObserver();
+        forceLoadAll();
+    }
+
+    // =============================================================================
+    // EXTRAS — diagnostics panel and discover mode, loaded on demand
+    // =============================================================================
+
+    // src/extras.js, built into loader-extras.js beside the loader bundles. Few
+    // page views need it, so it is fetched the first time the panel is opened or
+    // a manifest turns on discover mode. ?v= keeps a cached copy from an older
+    // core from being handed this one's internals
+    const EXTRAS_FILE = 'loader-extras.js';
+    const EXTRAS_FACTORY = '__SPEED_LAYER_EXTRAS__'; // Set by loader-extras.js (see cli/commands/build.js)
+
+    // Rendered in a shadow root on an element of its own, so the site's CSS can't
+    // reach it and ours can't leak out
+    const DIAGNOSTICS_TAG = 'speed-layer-diagnostics';
+    const DIAGNOSTICS_PARAM = 'speedlayer-diagnostics';
+
+    // Handed to the loader-extras.js factory, the way PLATFORM_CONTEXT is handed to plug-ins
+    const EXTRAS_CONTEXT = {
+        EDITION: EDITION,
+        STATE: STATE,
+        CONFIG: CONFIG,
+        BEACON_MAX_BYTES: BEACON_MAX_BYTES,
+        DIAGNOSTICS_TAG: DIAGNOSTICS_TAG,
+        facadeGroups: facadeGroups,
+        videoFacades: videoFacades,
+        log: log,
+        info: info,
+        byteLength: byteLength,
+        summaryUrl: summaryUrl,
+        readStorage: readStorage,
+        writeStorage: writeStorage,
+        matchesPattern: matchesPattern,
+        whenBodyReady: whenBodyReady,
+        consentPurpose: consentPurpose,
+        findScriptRule: findScriptRule,
+        findFacade: findFacade,
+        releaseInOrder: releaseInOrder,
+        releaseHeldScripts: releaseHeldScripts,
+        executeQueuedScripts: executeQueuedScripts,
+        executeDelayedScripts: executeDelayedScripts,
+        executeRuleScripts: executeRuleScripts,
+        executeInlineScripts: executeInlineScripts,
+        runInlineScripts: runInlineScripts,
+        executeQueuedIframes: executeQueuedIframes,
+        loadLazyIframe: loadLazyIframe,
+        activateAllFacades: activateAllFacades,
+        restoreVideoFacade: restoreVideoFacade,
+        forceLoadAll: forceLoadAll
+    };
+
+    let extrasLoading = null;
+
+    /**
+     * Fetch loader-extras.js once, from beside this bundle, and resolve with its
+     * API ({ startDiscovery, toggleDiagnostics }), or null when it can't load.
+     */
+    function loadExtras() {
+        if (extrasLoading) return extrasLoading;
+        extrasLoading = new Promise(resolve => {
+            const base = CONFIG.scriptTag && CONFIG.scriptTag.src;
+            if (!base) {
+                console.warn(EDITION.logPrefix, 'Inline loader: no URL to load ' + EXTRAS_FILE + ' from');
+                resolve(null);
+                return;
+            }
+
+            // Use originalCreateElement to bypass Proxy interception
+            const script = originalCreateElement ? originalCreateElement.call(document, 'script') : document.createElement('script');
+            script.src = new URL(EXTRAS_FILE, base).href + '?v=' + encodeURIComponent(CORE_VERSION);
+            STATE.processedElements.add(script);
+            // Removed once it has run, so discover mode doesn't report it
+            script.onload = () => {
+                script.remove();
+                const factory = window[EXTRAS_FACTORY];
+                resolve(typeof factory === 'function' ? factory(EXTRAS_CONTEXT) : null);
+            };
+            script.onerror = () => {
+                script.remove();
+                console.warn(EDITION.logPrefix, 'Failed to load', script.src);
+                resolve(null);
+            };
+            (document.head || document.documentElement).appendChild(script);
+        });
+        return extrasLoading;
+    }
+
+    /**
+     * Open or close the diagnostics panel (loading it first if need be).
+     */
+    function toggleDiagnostics() {
+        loadExtras().then(extras => {
+            if (extras) extras.toggleDiagnostics();
+        });
+    }
+
+    // Discover mode reports from loader-extras.js; nothing is watched until it loads
+    function startDiscovery(manifest) {
+        loadExtras().then(extras => {
+            if (extras) extras.startDiscovery(manifest);
+        });
+    }
+
+    function isDiagnosticsShortcut(event) {
+        return event.type === 'keydown' && event.altKey && event.shiftKey && event.code === 'KeyD';
+    }
+
+    /**
+     * Using the panel (or its shortcut) is not the visitor interacting with the
+     * page: it must not fire the interaction trigger and release everything.
+     */
+    function isDiagnosticsEvent(event) {
+        return isDiagnosticsShortcut(event) || (!!event.target && event.target.localName === DIAGNOSTICS_TAG);
+    }
+
+    function setupDiagnostics() {
+        document.addEventListener('keydown', event => {
+            if (isDiagnosticsShortcut(event)) toggleDiagnostics();
+        });
+        let requested = false;
+        try {
+            requested = new URLSearchParams(window.location.search).has(DIAGNOSTICS_PARAM);
+        } catch (e) {
+            // No query string support — the shortcut still works
+        }
+        if (requested) toggleDiagnostics();
     }
 
     // =============================================================================
@@ -824,41 +2667,84 @@
 
     function init() {
         mark('init-start');
-        console.log('[SpeedLayer-DO] Initializing for DealerOn CMS:', CONFIG.domain);
+        info('Initializing for:', CONFIG.domain);
 
-        // PHASE 1: Start Proxy interception immediately (before manifest loads)
-        // This catches early scripts that load during manifest fetch
-        interceptScripts();
-        console.log('[SpeedLayer-DO] Phase 1: Proxy interception started (catching early scripts)');
+        CONFIG.visitorMode = readVisitorMode();
+        if (CONFIG.visitorMode === 'off') {
+            info('⏸ Speed Layer is OFF for this visitor (speedlayer=off)');
+            info('To undo, visit any page with ?speedlayer=clear');
+            return;
+        }
+        if (CONFIG.visitorMode) info('Visitor override: speedlayer=' + CONFIG.visitorMode + ' (undo with ?speedlayer=clear)');
+
+        setupPageSummary();
+        setupDiagnostics();
+
+        // PHASE 1: Boot-time interception, chosen per bundle (manifest not known yet)
+        CONFIG.bootstrapDefer = readBootstrapRules();
+        if (CONFIG.bootstrapDefer) {
+            // Observe from here on so scripts later in the HTML are held too
+            document.addEventListener('beforescriptexecute', onBeforeScriptExecute, true);
+            startObserver('dom-observer-bootstrap', true);
+            info('Phase 1: Pre-manifest mode - holding scripts matching', CONFIG.bootstrapDefer);
+        }
+        if (EDITION.earlyInterception) {
+            interceptScripts();
+            info('Phase 1: Proxy interception started (catching early scripts)');
+        }
+        if (EDITION.earlyObserver) {
+            startObserver('dom-observer-early');
+            info('Phase 1: DOM observer started early');
+        }
 
-        // PHASE 2: Load manifest and conditionally adjust interception
-        loadManifest().then(manifest => {
+        // PHASE 2: Load manifest and hand platform decisions to its plug-in. The
+        // control manifest (skipped when this visitor forces Speed Layer on) is
+        // read from cache now and, when that copy is stale, revalidated alongside
+        // (its default URL sits beside the manifest base loadManifest() sets)
+        const manifestLoaded = loadManifest();
+        CONFIG.controlUrl = CONFIG.visitorMode === 'force' ? null : resolveControlUrl();
+        const cachedControl = readCachedControl();
+        const latestControl = cachedControl.fresh ? null : fetchControl();
+
+        manifestLoaded.then(manifest => {
             if (!manifest) {
-                console.error('[SpeedLayer-DO] Failed to initialize - no manifest');
+                console.error(EDITION.logPrefix, 'Failed to initialize - no manifest');
+                standDown();
+                return;
+            }
+
+            activePlatform = resolvePlatform(manifest.platform);
+            STATE.platform = activePlatform.name;
+            log('Platform plug-in:', activePlatform.name);
+
+            // The kill switch wins over the site's own manifest
+            const paused = controlPause(cachedControl.control, manifest);
+            if (paused) {
+                logControlPause(paused, cachedControl.control);
+                standDown();
                 return;
             }
 
             // Check if Speed Layer is enabled for this domain
-            if (manifest.enabled === false) {
-                console.log('[SpeedLayer-DO] ⏸ Speed Layer is DISABLED in manifest for:', CONFIG.domain);
-                console.log('[SpeedLayer-DO] Site will load normally without script deferral');
-                console.log('[SpeedLayer-DO] To enable, set "enabled": true in manifest');
-                // Disable Proxy to let everything load normally
-                disableProxyInterception();
+            if (manifest.enabled === false && CONFIG.visitorMode !== 'force') {
+                info('⏸ Speed Layer is DISABLED in manifest for:', CONFIG.domain);
+                info('Site will load normally without script deferral');
+                info('To enable, set "enabled": true in manifest');
+                standDown();
                 return;
             }
+            if (manifest.enabled === false) info('Manifest says "enabled": false — running anyway (speedlayer=force)');
 
-            // Check if Speed Layer should run on current page
-            if (!shouldRunOnCurrentPage()) {
-                console.log('[SpeedLayer-DO] 📄 Speed Layer NOT configured to run on this page:', window.location.pathname);
-                console.log('[SpeedLayer-DO] Page mode:', manifest.pages?.mode || 'all');
-                console.log('[SpeedLayer-DO] Page patterns:', manifest.pages?.patterns || 'none');
-                console.log('[SpeedLayer-DO] Site will load normally without script deferral on this page');
-                // Disable Proxy to let everything load normally
-                disableProxyInterception();
+            if (activePlatform.shouldRun && !activePlatform.shouldRun(PLATFORM_CONTEXT)) {
+                standDown();
+                return;
+            }
+
+            if (manifest.mode === 'discover') {
+                standDown();
+                startDiscovery(manifest);
                 return;
             }
-            console.log('[SpeedLayer-DO] ✓ Page check passed - Speed Layer will run on:', window.location.pathname);
 
             // Apply custom idle timeout from manifest
             if (manifest.idleTimeout) {
@@ -872,41 +2758,169 @@
                 log('Custom delayed timeout configured:', CONFIG.delayedTimeout + 'ms');
             }
 
-            // Check if we should disable Proxy interception (but keep DOM observer)
-            // This is typically needed for ComplyAuto compatibility on DealerOn sites
-            if (manifest.disableInterception) {
-                disableProxyInterception();
-                log('Phase 2: Proxy interception disabled (ComplyAuto compatibility mode)');
-                log('DOM observer will still catch dynamically added scripts');
-            } else {
-                log('Phase 2: Proxy interception confirmed active');
-            }
+            activePlatform.configureInterception(PLATFORM_CONTEXT);
 
             mark('manifest-loaded');
 
+            initConsent();
+            reclassifyHeldScripts();
+
             applyPreconnects();
             applyPreloads();
             injectCriticalCSS();
             optimizeFonts();
 
-            // Always start DOM observer (safe for all sites)
-            if (document.readyState === 'loading') {
-                document.addEventListener('DOMContentLoaded', () => {
-                    observeScripts();
-                    mark('dom-ready');
-                });
-            } else {
-                observeScripts();
-            }
+            // Always run the DOM observer (safe for all sites). Inline deferral needs
+            // it right away: parser-inserted inline scripts run as soon as they're parsed
+            startObserver('dom-ready', (manifest.deferInlineScripts || []).length > 0);
 
             setupTriggers();
 
+            // A pause only the revalidated control manifest knows about still
+            // hands everything back on this page view
+            if (latestControl) {
+                latestControl.then(control => {
+                    const pausedNow = controlPause(control, manifest);
+                    if (!pausedNow) return;
+                    logControlPause(pausedNow, control);
+                    standDown();
+                });
+            }
+
             mark('init-complete');
-            log('Speed Layer DealerOn Edition initialized successfully');
+            log('Speed Layer initialized successfully');
             log('Performance marks:', STATE.performanceMarks);
         });
     }
 
+    registerPlatform({
+        name: 'generic',
+
+        fallbackManifest: {
+            allowScripts: [],
+            deferScripts: ['analytics', 'tracking', 'gtag', 'facebook', 'doubleclick', 'googlesyndication'],
+            delayedScripts: [],
+            preconnect: [],
+            preload: [],
+            debug: false
+        },
+
+        fontHosts: [],
+
+        configureInterception(ctx) {
+            const manifest = ctx.state.manifest;
+
+            if (manifest.enableInterception === true) {
+                ctx.interceptScripts();
+                ctx.info('Phase 2: Proxy interception ENABLED (opt-in)');
+            } else if (manifest.disableInterception === true) {
+                ctx.disableProxyInterception();
+                ctx.info('Phase 2: Proxy interception DISABLED (manifest)');
+            } else if (!ctx.isInterceptionActive()) {
+                ctx.info('Phase 2: Proxy interception DISABLED (default)');
+                ctx.info('Relying on DOM observer only for maximum compatibility');
+            }
+        }
+    });
+
+    function matchesPagePattern(pathname, pattern) {
+        // Exact match
+        if (pathname === pattern) return true;
+
+        // Wildcard match (e.g., "/inventory/*")
+        if (pattern.includes('*')) {
+            const regexPattern = pattern
+                .replace(/\*/g, '.*')
+                .replace(/\//g, '\\/');
+            const regex = new RegExp(`^${regexPattern}$`);
+            return regex.test(pathname);
+        }
+
+        // Starts with match
+        if (pattern.endsWith('/') && pathname.startsWith(pattern)) {
+            return true;
+        }
+
+        return false;
+    }
+
+    registerPlatform({
+        name: 'DealerOn',
+
+        // DealerOn-specific safe fallback
+        fallbackManifest: {
+            allowScripts: ['dealeron.js', 'dlron.us', 'jquery', 'bootstrap'],
+            deferScripts: ['analytics', 'tracking', 'gtag', 'gtm', 'googletagmanager', 'facebook', 'doubleclick'],
+            delayedScripts: ['carcodesms', 'harmoniq', 'sincrod', 'personalization'],
+            preconnect: [],
+            preload: [],
+            debug: false,
+            disableInterception: true // Safe default for DealerOn (ComplyAuto compatibility)
+        },
+
+        fontHosts: ['typekit.net'],
+
+        shouldRun(ctx) {
+            const manifest = ctx.state.manifest;
+            const currentPath = window.location.pathname;
+
+            if (!manifest.pages) {
+                // No page config = run on all pages (default behavior)
+                return true;
+            }
+
+            const mode = manifest.pages.mode || 'all';
+            const patterns = manifest.pages.patterns || [];
+            let runs;
+
+            ctx.log('Page detection:', {
+                mode: mode,
+                currentPath: currentPath,
+                patterns: patterns
+            });
+
+            if (mode === 'all') {
+                // Mode: "all" - run on all pages
+                ctx.log('Page mode: ALL - running on all pages');
+                runs = true;
+            } else if (mode === 'include') {
+                // Mode: "include" - only run on matching pages (whitelist)
+                runs = patterns.some(pattern => matchesPagePattern(currentPath, pattern));
+                ctx.log(runs ? '✓ Page INCLUDED - Speed Layer will run' : '✗ Page NOT in include list - Speed Layer will NOT run');
+            } else if (mode === 'exclude') {
+                // Mode: "exclude" - run on all pages EXCEPT matching ones (blacklist)
+                runs = !patterns.some(pattern => matchesPagePattern(currentPath, pattern));
+                ctx.log(runs ? '✓ Page not in exclude list - Speed Layer will run' : '✗ Page EXCLUDED - Speed Layer will NOT run');
+            } else {
+                // Unknown mode - default to running
+                ctx.info('Unknown page mode - defaulting to run:', mode);
+                runs = true;
+            }
+
+            if (runs) {
+                ctx.info('✓ Page check passed - Speed Layer will run on:', currentPath);
+            } else {
+                ctx.info('📄 Speed Layer NOT configured to run on this page:', currentPath);
+                ctx.info('Page mode:', mode);
+                ctx.info('Page patterns:', patterns.length ? patterns : 'none');
+                ctx.info('Site will load normally without script deferral on this page');
+            }
+            return runs;
+        },
+
+        configureInterception(ctx) {
+            // ComplyAuto compatibility: keep the DOM observer, drop the Proxy
+            if (ctx.state.manifest.disableInterception) {
+                ctx.disableProxyInterception();
+                ctx.log('Phase 2: Proxy interception disabled (ComplyAuto compatibility mode)');
+                ctx.log('DOM observer will still catch dynamically added scripts');
+            } else {
+                ctx.interceptScripts();
+                ctx.log('Phase 2: Proxy interception confirmed active');
+            }
+        }
+    });
+
     init();
 
 })();
@@ -0,0 +1,265 @@
+'use strict';
+/**
+ * auth.js — Authentication and role-based access for the admin API.
+ *
+ * Users live in a local JSON file (SPEED_LAYER_USERS, default data/users.json),
+ * managed with `speed-layer user`. A request is authenticated by an API token
+ * (Authorization: Bearer sl_…) or by the session cookie set at login.
+ *
+ * Roles are cumulative: viewer (read) < editor (create, update, enable/disable)
+ * < admin (delete, telemetry rejections). Each manifest belongs to a dealer
+ * `group`; a user only sees and changes manifests in their `groups`. "*" means
+ * every group, and is the only way to reach manifests that have no group.
+ *
+ * Environment:
+ *   SPEED_LAYER_USERS  users file (default: data/users.json)
+ *   SESSION_TTL_HOURS  session lifetime (default: 12)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { createLimiter } = require('./rate-limit');
+
+const USERS_FILE = process.env.SPEED_LAYER_USERS || path.join(__dirname, '..', 'data', 'users.json');
+const SESSION_TTL_MS = (parseFloat(process.env.SESSION_TTL_HOURS) || 12) * 60 * 60 * 1000;
+const SESSION_COOKIE = 'sl_session';
+const TOKEN_PREFIX = 'sl_';
+const ROLES = ['viewer', 'editor', 'admin'];
+const ALL_GROUPS = '*';
+
+// =============================================================================
+// Users file — re-read when it changes, so CLI edits apply without a restart
+// =============================================================================
+
+let _users = null;
+let _usersMtime = 0;
+
+function loadUsers() {
+  if (!fs.existsSync(USERS_FILE)) return [];
+  const mtime = fs.statSync(USERS_FILE).mtimeMs;
+  if (!_users || mtime !== _usersMtime) {
+    const data = JSON.parse(fs.readFileSync(USERS_FILE, 'utf8'));
+    _users = Array.isArray(data.users) ? data.users : [];
+    _usersMtime = mtime;
+  }
+  return _users;
+}
+
+/**
+ * Write the users file atomically (temp file → rename), readable by the owner only.
+ */
+function saveUsers(users) {
+  fs.mkdirSync(path.dirname(USERS_FILE), { recursive: true });
+  const tmpPath = USERS_FILE + '.tmp';
+  fs.writeFileSync(tmpPath, JSON.stringify({ users }, null, 2) + '\n', { encoding: 'utf8', mode: 0o600 });
+  fs.renameSync(tmpPath, USERS_FILE);
+  _users = null;
+}
+
+function findUser(username) {
+  return loadUsers().find(u => u.username === username) || null;
+}
+
+// =============================================================================
+// Secrets — scrypt for passwords, SHA-256 for API tokens (they're random)
+// =============================================================================
+
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verifyPassword(password, stored) {
+  const [scheme, salt, hash] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+/**
+ * A new API token. The plain token is shown once; only its hash is stored.
+ */
+function createToken(label) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(24).toString('base64url');
+  return {
+    token,
+    record: { id: crypto.randomBytes(4).toString('hex'), label: label || null, hash: sha256(token), createdAt: new Date().toISOString() }
+  };
+}
+
+function findUserByToken(token) {
+  const hash = sha256(token);
+  return loadUsers().find(u => (u.tokens || []).some(t => t.hash === hash)) || null;
+}
+
+// =============================================================================
+// Sessions (in memory — a restart signs everyone out)
+// =============================================================================
+
+const sessions = new Map(); // id → { username, expires }
+
+function createSession(username) {
+  const id = crypto.randomBytes(32).toString('base64url');
+  sessions.set(id, { username, expires: Date.now() + SESSION_TTL_MS });
+  return id;
+}
+
+// Other apps on the host can set cookies that aren't valid percent-encoding
+// (a stray "%"); those are kept as sent rather than failing the request
+function parseCookies(header) {
+  const cookies = {};
+  String(header || '').split(';').forEach(part => {
+    const i = part.indexOf('=');
+    if (i <= 0) return;
+    const value = part.slice(i + 1).trim();
+    try {
+      cookies[part.slice(0, i).trim()] = decodeURIComponent(value);
+    } catch {
+      cookies[part.slice(0, i).trim()] = value;
+    }
+  });
+  return cookies;
+}
+
+function sessionCookie(req, id, maxAgeMs) {
+  return [
+    `${SESSION_COOKIE}=${id}`,
+    'Path=/',
+    'HttpOnly',
+    'SameSite=Strict',
+    `Max-Age=${Math.floor(maxAgeMs / 1000)}`,
+    ...(req.secure ? ['Secure'] : [])
+  ].join('; ');
+}
+
+setInterval(() => {
+  const now = Date.now();
+  for (const [id, session] of sessions) if (session.expires < now) sessions.delete(id);
+}, 10 * 60 * 1000).unref();
+
+// =============================================================================
+// Access checks
+// =============================================================================
+
+function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function canAccessGroup(user, group) {
+  const groups = (user && user.groups) || [];
+  return groups.includes(ALL_GROUPS) || (!!group && groups.includes(group));
+}
+
+function canAccess(user, manifest) {
+  return canAccessGroup(user, manifest && manifest.group);
+}
+
+function publicUser(user, via) {
+  return { username: user.username, role: user.role, groups: user.groups || [], via };
+}
+
+/**
+ * Resolve req.user from a bearer token or the session cookie.
+ * The user is looked up on every request, so removals and role changes apply at once.
+ */
+function identify(req) {
+  const header = req.get('Authorization') || '';
+  if (header.startsWith('Bearer ')) {
+    const user = findUserByToken(header.slice(7).trim());
+    return user ? publicUser(user, 'token') : null;
+  }
+
+  const id = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  const session = id && sessions.get(id);
+  if (!session || session.expires < Date.now()) return null;
+  const user = findUser(session.username);
+  return user ? publicUser(user, 'session') : null;
+}
+
+// Cookies ride along on cross-site requests; SameSite=Strict stops that in
+// current browsers, and this check covers the rest for unsafe methods
+function crossSiteWrite(req) {
+  if (['GET', 'HEAD', 'OPTIONS'].includes(req.method)) return false;
+  const origin = req.get('Origin');
+  if (!origin) return false;
+  try {
+    return new URL(origin).host !== req.get('Host');
+  } catch {
+    return true;
+  }
+}
+
+/**
+ * Middleware: authenticate, then require at least `role`.
+ */
+function requireRole(role) {
+  return (req, res, next) => {
+    const user = identify(req);
+    if (!user) return res.status(401).json({ error: 'Authentication required' });
+    if (user.via === 'session' && crossSiteWrite(req)) return res.status(403).json({ error: 'Cross-site request refused' });
+    if (!hasRole(user, role)) return res.status(403).json({ error: `Requires the ${role} role` });
+    req.user = user;
+    next();
+  };
+}
+
+// =============================================================================
+// Login / logout handlers
+// =============================================================================
+
+const DUMMY_HASH = hashPassword(crypto.randomBytes(16).toString('hex'));
+
+// 10 attempts per IP + username, then one every 30 seconds
+const loginLimiter = createLimiter({ burst: 10, ratePerSec: 1 / 30 });
+
+function login(req, res) {
+  const { username, password } = req.body || {};
+  if (typeof username !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: 'username and password required' });
+  }
+  if (!loginLimiter.take(`${req.ip}|${username}`)) {
+    return res.status(429).json({ error: 'Too many login attempts — try again later' });
+  }
+
+  const user = findUser(username);
+  // Unknown users still pay for a hash, so response time doesn't reveal which names exist
+  const valid = user ? verifyPassword(password, user.passwordHash) : (verifyPassword(password, DUMMY_HASH), false);
+  if (!valid) {
+    return res.status(401).json({ error: 'Invalid username or password' });
+  }
+
+  const id = createSession(user.username);
+  res.set('Set-Cookie', sessionCookie(req, id, SESSION_TTL_MS));
+  res.json(publicUser(user, 'session'));
+}
+
+function logout(req, res) {
+  const id = parseCookies(req.get('Cookie'))[SESSION_COOKIE];
+  if (id) sessions.delete(id);
+  res.set('Set-Cookie', sessionCookie(req, '', 0));
+  res.status(204).end();
+}
+
+module.exports = {
+  USERS_FILE,
+  ROLES,
+  ALL_GROUPS,
+  loadUsers,
+  saveUsers,
+  findUser,
+  hashPassword,
+  createToken,
+  hasRole,
+  canAccessGroup,
+  canAccess,
+  requireRole,
+  login,
+  logout
+};
@@ -0,0 +1,86 @@
+'use strict';
+/**
+ * control.js — The global control manifest: Speed Layer's kill switch.
+ *
+ * Every loader fetches control.json next to its own manifest and stands down
+ * when it says so — everywhere ("disabled": true) or on the hosts listed in
+ * "domains" — without anyone touching a site's manifest. Loaders keep it for
+ * a minute at most. Publishing it (publisher.publishControl) purges the CDN
+ * copy; this server also serves it at GET /control.json with a short cache
+ * for embeds whose data-control points here.
+ *
+ * Environment:
+ *   CONTROL_FILE  the control manifest (default: control.json beside MANIFEST_DIR)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const io = require('./manifest-io');
+
+const CONTROL_FILE = process.env.CONTROL_FILE || path.join(io.MANIFEST_DIR, '..', 'control.json');
+const MAX_AGE_SECONDS = 60;
+
+const DEFAULTS = { disabled: false, domains: [], message: null, updatedAt: null, updatedBy: null };
+
+const SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    disabled: { type: 'boolean' },
+    domains: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', pattern: '^[a-z0-9][a-z0-9.-]*$', maxLength: 253 }
+    },
+    message: { type: ['string', 'null'], maxLength: 500 }
+  }
+};
+
+let _validate = null;
+
+/**
+ * The control manifest, with defaults for anything missing (no file means
+ * Speed Layer runs everywhere).
+ */
+function read() {
+  if (!fs.existsSync(CONTROL_FILE)) return Object.assign({}, DEFAULTS);
+  return Object.assign({}, DEFAULTS, JSON.parse(fs.readFileSync(CONTROL_FILE, 'utf8')));
+}
+
+/**
+ * Check a change ({ disabled, domains, message }): { valid, errors: [{ path, message }] }.
+ */
+function validate(data) {
+  if (!_validate) _validate = new Ajv({ allErrors: true }).compile(SCHEMA);
+  const valid = _validate(data);
+  return {
+    valid,
+    errors: valid ? [] : _validate.errors.map(e => ({ path: e.instancePath || '/', message: e.message }))
+  };
+}
+
+/**
+ * Apply a change and write the file (atomic). Fields left out keep their
+ * current value. Returns { ok, control } or { ok: false, errors }.
+ */
+function save(change, actor) {
+  const check = validate(change);
+  if (!check.valid) return { ok: false, errors: check.errors };
+  const control = Object.assign(read(), change, { updatedAt: new Date().toISOString(), updatedBy: actor });
+  control.domains = control.domains.slice().sort();
+  fs.writeFileSync(CONTROL_FILE + '.tmp', JSON.stringify(control, null, 2) + '\n', 'utf8');
+  fs.renameSync(CONTROL_FILE + '.tmp', CONTROL_FILE);
+  return { ok: true, control };
+}
+
+/**
+ * What the control manifest pauses of a site: "everywhere", or the first of
+ * its hosts (domain, then aliases) it lists; null when the site runs.
+ */
+function pausedOn(control, domain, aliases = []) {
+  if (control.disabled) return 'everywhere';
+  return [domain].concat(aliases).find(host => control.domains.includes(host)) || null;
+}
+
+module.exports = { CONTROL_FILE, MAX_AGE_SECONDS, read, validate, save, pausedOn };
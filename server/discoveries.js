@@ -0,0 +1,162 @@
+'use strict';
+/**
+ * discoveries.js — What sites in discover mode load, and the lists it suggests.
+ *
+ * A loader whose manifest says "mode": "discover" holds nothing and reports
+ * every script and iframe URL (origin + path) and every origin an inline
+ * script references. Reports are merged into one inventory per site
+ * (data/discoveries/<domain>.json), deduplicated by kind and URL, with when
+ * each was first and last seen and on which pages. propose() matches the
+ * inventory against the platform template's lists to suggest the site's
+ * allow/defer/delayed split; what no template pattern matches is left for
+ * a person to place.
+ *
+ * Environment:
+ *   DISCOVERIES_DIR  storage directory (default: data/discoveries)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const resolver = require('./manifest-resolve');
+const { matches } = require('./manifest-lint');
+const templates = require('./templates');
+
+const DISCOVERIES_DIR = process.env.DISCOVERIES_DIR || path.join(__dirname, '..', 'data', 'discoveries');
+const MAX_ENTRIES = 2000;
+const MAX_PAGES = 5;
+
+// Checked in the loader's order; the first list with a matching pattern wins
+const LISTS = [
+  { key: 'blockScripts', bucket: 'block' },
+  { key: 'allowScripts', bucket: 'allow' },
+  { key: 'delayedScripts', bucket: 'delay' },
+  { key: 'deferScripts', bucket: 'defer' }
+];
+
+function inventoryPath(domain) {
+  if (!/^[a-z0-9][a-z0-9.-]*$/.test(String(domain))) throw new Error('Invalid domain name');
+  return path.join(DISCOVERIES_DIR, domain + '.json');
+}
+
+/**
+ * A site's inventory ({ domain, reports, updatedAt, entries }), empty when
+ * nothing was reported yet.
+ */
+function read(domain) {
+  const filePath = inventoryPath(domain);
+  if (!fs.existsSync(filePath)) return { domain, reports: 0, updatedAt: null, entries: [] };
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Merge one loader report ({ domain, page, items: [{ kind, url, late }] })
+ * into the site's inventory (atomic write). Returns how many entries were new.
+ * Once an inventory holds MAX_ENTRIES, new URLs are dropped.
+ */
+function record(domain, report) {
+  const inventory = read(domain);
+  const byKey = new Map(inventory.entries.map(e => [e.kind + ' ' + e.url, e]));
+  const now = new Date().toISOString();
+  let added = 0;
+
+  report.items.forEach(item => {
+    let entry = byKey.get(item.kind + ' ' + item.url);
+    if (!entry) {
+      if (byKey.size >= MAX_ENTRIES) return;
+      entry = { kind: item.kind, url: item.url, firstSeen: now, lastSeen: now, reports: 0, late: false, hosts: [], pages: [] };
+      byKey.set(item.kind + ' ' + item.url, entry);
+      inventory.entries.push(entry);
+      added++;
+    }
+    entry.lastSeen = now;
+    entry.reports++;
+    entry.late = entry.late || !!item.late;
+    if (!entry.hosts.includes(report.domain)) entry.hosts.push(report.domain);
+    if (report.page && entry.pages.length < MAX_PAGES && !entry.pages.includes(report.page)) entry.pages.push(report.page);
+  });
+
+  inventory.reports++;
+  inventory.updatedAt = now;
+  fs.mkdirSync(DISCOVERIES_DIR, { recursive: true });
+  const filePath = inventoryPath(domain);
+  fs.writeFileSync(filePath + '.tmp', JSON.stringify(inventory, null, 2) + '\n', 'utf8');
+  fs.renameSync(filePath + '.tmp', filePath);
+  return added;
+}
+
+/**
+ * Forget a site's inventory (e.g. after its scripts changed). Returns whether
+ * there was one.
+ */
+function clear(domain) {
+  const filePath = inventoryPath(domain);
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+/**
+ * The template a site's lists are proposed from: the one it extends, else
+ * one for its platform, else "generic"; null when there is none.
+ */
+function templateFor({ extends: name, platform: sitePlatform }) {
+  if (name) return name;
+  const platform = String(sitePlatform || '').toLowerCase();
+  const names = templates.list();
+  const forPlatform = platform && names.find(name => String((templates.get(name) || {}).platform || '').toLowerCase() === platform);
+  return forPlatform || (names.includes('generic') ? 'generic' : null);
+}
+
+/**
+ * The inventory with each entry placed by the template's lists ({ bucket,
+ * pattern }, both null when nothing matches), and the lists that placement
+ * adds up to: the template patterns that matched a script or iframe, in the
+ * template's order. Inline origins are placed for reference only — the lists
+ * apply to script and iframe URLs. `manifest` is the site's as written.
+ */
+function propose(domain, manifest) {
+  const inventory = read(domain);
+  let resolved = manifest;
+  try { resolved = resolver.resolve(manifest); } catch { /* broken template: reported below */ }
+  const template = templateFor({ extends: manifest.extends, platform: resolved.platform });
+  let lists = {};
+  let templateError = null;
+  if (template) {
+    try {
+      lists = resolver.flatten(template);
+    } catch (err) {
+      templateError = err.message;
+    }
+  }
+
+  const used = new Set();
+  const entries = inventory.entries.map(entry => {
+    for (const { key, bucket } of LISTS) {
+      const pattern = (lists[key] || []).find(p => matches(entry.url, p));
+      if (pattern === undefined) continue;
+      if (entry.kind !== 'inline') used.add(key + '\n' + pattern);
+      return Object.assign({}, entry, { bucket, pattern });
+    }
+    return Object.assign({}, entry, { bucket: null, pattern: null });
+  });
+
+  const proposal = {};
+  ['blockScripts', 'allowScripts', 'deferScripts', 'delayedScripts'].forEach(key => {
+    const picked = (lists[key] || []).filter(p => used.has(key + '\n' + p));
+    if (picked.length || key !== 'blockScripts') proposal[key] = picked;
+  });
+
+  return {
+    domain,
+    mode: resolved.mode || 'optimize',
+    template,
+    templateError,
+    reports: inventory.reports,
+    updatedAt: inventory.updatedAt,
+    entries,
+    unplaced: entries.filter(e => e.kind !== 'inline' && !e.bucket).length,
+    proposal
+  };
+}
+
+module.exports = { DISCOVERIES_DIR, MAX_ENTRIES, read, record, clear, propose };
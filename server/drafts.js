@@ -0,0 +1,336 @@
+'use strict';
+/**
+ * drafts.js — Reviewed, optionally scheduled manifest changes.
+ *
+ * An edit is saved as a draft instead of the live manifest. Someone other than
+ * the author approves (or rejects) its diff; an approved draft is then
+ * published at once or at a scheduled time — written as the manifest (a new
+ * history revision) and pushed to the CDN through the publisher.
+ *
+ *   pending → approved → scheduled → published
+ *          ↘ rejected    ↘ failed (live manifest changed since the draft was based on it)
+ *
+ * Editing a pending, rejected or failed draft sends it back to pending and
+ * clears any approval, so what goes live is always exactly what was reviewed.
+ * One JSON file per draft (data/drafts/<id>.json), shared by the CLI and the
+ * server; the server runs the schedule.
+ *
+ * Environment:
+ *   DRAFTS_DIR               storage directory (default: data/drafts)
+ *   DRAFT_SCHEDULER_SECONDS  how often due drafts are published (default: 30)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const io = require('./manifest-io');
+const history = require('./manifest-history');
+const publisher = require('./publisher');
+
+const DRAFTS_DIR = process.env.DRAFTS_DIR || path.join(__dirname, '..', 'data', 'drafts');
+const SCHEDULER_INTERVAL_MS = (parseFloat(process.env.DRAFT_SCHEDULER_SECONDS) || 30) * 1000;
+const STATUSES = ['pending', 'approved', 'scheduled', 'published', 'rejected', 'failed', 'withdrawn'];
+const OPEN_STATUSES = ['pending', 'approved', 'scheduled', 'rejected', 'failed'];
+const EDITABLE_STATUSES = ['pending', 'rejected', 'failed'];
+
+// Errors carry the HTTP status the API answers with
+function draftError(message, status, extra) {
+  return Object.assign(new Error(message), { status }, extra);
+}
+
+function draftPath(id) {
+  if (!/^[a-f0-9]{8}$/.test(String(id))) throw draftError('Invalid draft id', 400);
+  return path.join(DRAFTS_DIR, id + '.json');
+}
+
+function save(draft) {
+  fs.mkdirSync(DRAFTS_DIR, { recursive: true });
+  const filePath = draftPath(draft.id);
+  const tmpPath = filePath + '.tmp';
+  draft.updatedAt = new Date().toISOString();
+  fs.writeFileSync(tmpPath, JSON.stringify(draft, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmpPath, filePath);
+  return draft;
+}
+
+// =============================================================================
+// Queries
+// =============================================================================
+
+/**
+ * A draft by id, or null.
+ */
+function get(id) {
+  const filePath = draftPath(id);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * Drafts, newest first. `status` is one status, a list, or 'all'
+ * (default: the open ones — not yet published or withdrawn).
+ */
+function list({ domain, status } = {}) {
+  if (!fs.existsSync(DRAFTS_DIR)) return [];
+  const statuses = status === 'all' ? STATUSES : [].concat(status || OPEN_STATUSES);
+  return fs.readdirSync(DRAFTS_DIR)
+    .filter(f => /^[a-f0-9]{8}\.json$/.test(f))
+    .map(f => {
+      try { return JSON.parse(fs.readFileSync(path.join(DRAFTS_DIR, f), 'utf8')); } catch { return null; }
+    })
+    .filter(d => d && (!domain || d.domain === domain) && statuses.includes(d.status))
+    .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * The draft plus what review needs: its diff against the manifest it was
+ * based on, and whether the live manifest has moved on since (`stale`).
+ */
+function describe(draft) {
+  const live = io.readManifest(draft.domain);
+  const liveEtag = live ? io.etag(live) : null;
+  return Object.assign({}, draft, {
+    diff: history.diff(draft.baseManifest || {}, draft.manifest),
+    stale: OPEN_STATUSES.includes(draft.status) && liveEtag !== draft.baseEtag
+  });
+}
+
+// =============================================================================
+// Authoring
+// =============================================================================
+
+function describeErrors(errors) {
+  return errors.map(e => `${e.path} ${e.message}`).join('; ');
+}
+
+function validate(domain, manifest) {
+  if (!manifest || manifest.domain !== domain) throw draftError(`Manifest domain must be ${domain}`, 400);
+  const result = io.validateManifest(manifest);
+  if (!result.valid) {
+    throw draftError(`Manifest does not match the schema: ${describeErrors(result.errors)}`, 400, { errors: result.errors });
+  }
+  const aliasErrors = io.checkAliases(domain, manifest);
+  if (aliasErrors.length) throw draftError(`Invalid aliases: ${describeErrors(aliasErrors)}`, 400, { errors: aliasErrors });
+}
+
+/**
+ * Start a draft. `baseEtag` is the version of the live manifest the edit
+ * started from (null for a new site); a mismatch is a 412 like a PUT.
+ * Left out, the draft is based on the current live manifest.
+ */
+function create(domain, manifest, { actor, via, reason, baseEtag }) {
+  validate(domain, manifest);
+  const live = io.readManifest(domain);
+  const liveEtag = live ? io.etag(live) : null;
+  if (baseEtag !== undefined && baseEtag !== liveEtag) {
+    throw draftError('Manifest was changed since you loaded it', 412, { etag: liveEtag, manifest: live });
+  }
+  const now = new Date().toISOString();
+  return save({
+    id: crypto.randomBytes(4).toString('hex'),
+    domain,
+    status: 'pending',
+    author: actor,
+    via: via || null,
+    reason: reason || null,
+    createdAt: now,
+    updatedAt: now,
+    baseEtag: liveEtag,
+    baseManifest: live,
+    manifest,
+    review: null,
+    scheduledFor: null,
+    published: null,
+    error: null
+  });
+}
+
+/**
+ * Replace a draft's content. Back to pending, approval cleared. With
+ * `baseEtag` (the live version the edit started from) the draft is rebased
+ * onto that version — how a failed draft catches up with the live manifest.
+ */
+function update(id, manifest, { reason, baseEtag }) {
+  const draft = requireDraft(id);
+  if (!EDITABLE_STATUSES.includes(draft.status)) {
+    throw draftError(`A ${draft.status} draft can't be edited`, 409);
+  }
+  validate(draft.domain, manifest);
+  if (baseEtag !== undefined) {
+    const live = io.readManifest(draft.domain);
+    const liveEtag = live ? io.etag(live) : null;
+    if (baseEtag !== liveEtag) {
+      throw draftError('Manifest was changed since you loaded it', 412, { etag: liveEtag, manifest: live });
+    }
+    Object.assign(draft, { baseEtag: liveEtag, baseManifest: live });
+  }
+  Object.assign(draft, { manifest, status: 'pending', review: null, error: null });
+  if (reason !== undefined) draft.reason = reason || null;
+  return save(draft);
+}
+
+/**
+ * Take a draft out of the queue (kept on disk as withdrawn).
+ */
+function withdraw(id) {
+  const draft = requireDraft(id);
+  if (!OPEN_STATUSES.includes(draft.status)) throw draftError(`A ${draft.status} draft can't be withdrawn`, 409);
+  Object.assign(draft, { status: 'withdrawn', scheduledFor: null });
+  return save(draft);
+}
+
+function requireDraft(id) {
+  const draft = get(id);
+  if (!draft) throw draftError(`No draft ${id}`, 404);
+  return draft;
+}
+
+// =============================================================================
+// Review and scheduling
+// =============================================================================
+
+/**
+ * Approve or reject a pending draft. Authors can't review their own drafts
+ * unless `allowSelf` (admins, and the CLI).
+ */
+function review(id, { actor, decision, comment, allowSelf }) {
+  const draft = requireDraft(id);
+  if (draft.status !== 'pending') throw draftError(`Only pending drafts can be reviewed (this one is ${draft.status})`, 409);
+  if (draft.author === actor && !allowSelf) throw draftError('You can\'t review your own draft — ask another editor', 403);
+  draft.review = { decision, by: actor, at: new Date().toISOString(), comment: comment || null };
+  draft.status = decision === 'approve' ? 'approved' : 'rejected';
+  return save(draft);
+}
+
+/**
+ * Publish an approved draft at `at` (a Date), or take it off the schedule
+ * when `at` is null.
+ */
+function schedule(id, at, { actor }) {
+  const draft = requireDraft(id);
+  if (!['approved', 'scheduled'].includes(draft.status)) {
+    throw draftError(`Only approved drafts can be scheduled (this one is ${draft.status})`, 409);
+  }
+  if (at && at.getTime() < Date.now() - 60 * 1000) throw draftError('The scheduled time is in the past', 400);
+  Object.assign(draft, at
+    ? { status: 'scheduled', scheduledFor: at.toISOString(), scheduledBy: actor }
+    : { status: 'approved', scheduledFor: null, scheduledBy: null });
+  return save(draft);
+}
+
+// =============================================================================
+// Publishing
+// =============================================================================
+
+/**
+ * Make an approved (or scheduled) draft live: write it as the manifest, then
+ * publish to the CDN. Fails — and marks the draft failed — if the live
+ * manifest changed after the draft was based on it; the author edits (rebases)
+ * the draft and it goes through review again.
+ * Resolves the updated draft; its `published.publish` holds the CDN outcome.
+ */
+async function apply(id, { actor }) {
+  const draft = requireDraft(id);
+  if (!['approved', 'scheduled'].includes(draft.status)) {
+    throw draftError(`Only approved drafts can be published (this one is ${draft.status})`, 409);
+  }
+
+  const live = io.readManifest(draft.domain);
+  if ((live ? io.etag(live) : null) !== draft.baseEtag) {
+    const last = history.list(draft.domain)[0];
+    draft.status = 'failed';
+    draft.error = `The live manifest changed after this draft was made${last ? ` (rev ${last.rev} by ${last.actor})` : ''} — update the draft and have it reviewed again`;
+    save(draft);
+    throw draftError(draft.error, 409, { draft });
+  }
+
+  const result = io.writeManifest(draft.domain, draft.manifest, {
+    action: live ? 'update' : 'create',
+    actor: draft.author,
+    via: 'draft',
+    reason: draft.reason,
+    draft: { id: draft.id, approvedBy: draft.review.by, publishedBy: actor }
+  });
+  if (!result.ok) {
+    // The schema changed, or an alias was taken, since the draft was validated
+    draft.status = 'failed';
+    draft.error = `The draft no longer validates: ${describeErrors(result.errors)}`;
+    save(draft);
+    throw draftError(draft.error, 400, { errors: result.errors, draft });
+  }
+
+  let outcome;
+  try {
+    outcome = await publisher.publish({ actor, domains: [draft.domain] });
+  } catch (err) {
+    outcome = { ok: false, error: err.message };
+  }
+  draft.status = 'published';
+  draft.error = null;
+  draft.published = {
+    by: actor,
+    at: new Date().toISOString(),
+    rev: result.rev,
+    publish: { ok: outcome.ok, commit: outcome.commit || null, error: outcome.error || null }
+  };
+  return save(draft);
+}
+
+/**
+ * Publish every scheduled draft whose time has come. Failures are recorded on
+ * the draft; returns the drafts handled.
+ */
+async function runDue(now = Date.now()) {
+  const due = list({ status: 'scheduled' })
+    .filter(d => Date.parse(d.scheduledFor) <= now)
+    .sort((a, b) => a.scheduledFor.localeCompare(b.scheduledFor));
+  const handled = [];
+  for (const draft of due) {
+    try {
+      handled.push(await apply(draft.id, { actor: draft.scheduledBy || 'scheduler' }));
+    } catch (err) {
+      handled.push(err.draft || Object.assign(draft, { error: err.message }));
+    }
+  }
+  return handled;
+}
+
+/**
+ * Run the schedule every DRAFT_SCHEDULER_SECONDS (and once now, to catch up
+ * on anything that fell due while the server was down).
+ */
+function startScheduler(log = console) {
+  let running = false;
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      for (const d of await runDue()) {
+        if (d.status === 'published') log.log(`[Speed Layer API] Published scheduled draft ${d.id} (${d.domain})`);
+        else log.error(`[Speed Layer API] Scheduled draft ${d.id} (${d.domain}) failed: ${d.error}`);
+      }
+    } catch (err) {
+      log.error('[Speed Layer API] Draft scheduler failed:', err.message);
+    }
+    running = false;
+  };
+  tick();
+  return setInterval(tick, SCHEDULER_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  DRAFTS_DIR,
+  STATUSES,
+  OPEN_STATUSES,
+  get,
+  list,
+  describe,
+  create,
+  update,
+  withdraw,
+  review,
+  schedule,
+  apply,
+  runDue,
+  startScheduler
+};
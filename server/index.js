@@ -6,32 +6,185 @@ const fs = require('fs');
 const yaml = require('js-yaml');
 const swaggerUi = require('swagger-ui-express');
 const io = require('./manifest-io');
+const resolver = require('./manifest-resolve');
+const linter = require('./manifest-lint');
+const templates = require('./templates');
+const vendors = require('./vendors');
+const auth = require('./auth');
+const history = require('./manifest-history');
+const telemetry = require('./telemetry-store');
+const telemetryGuard = require('./telemetry-guard');
+const publisher = require('./publisher');
+const drafts = require('./drafts');
+const control = require('./control');
+const discoveries = require('./discoveries');
 
 const app = express();
-app.use(express.json());
+
+// Behind a proxy/CDN, set TRUST_PROXY (e.g. "1") so req.ip — used for the
+// per-IP telemetry rate limit — is the client, not the proxy
+if (process.env.TRUST_PROXY) {
+  const hops = parseInt(process.env.TRUST_PROXY, 10);
+  app.set('trust proxy', isNaN(hops) ? process.env.TRUST_PROXY : hops);
+}
+
+// Beacons (telemetry, discoveries) read their own body (size cap, text/plain bodies)
+const jsonParser = express.json();
+const BEACON_PATH = /^\/api\/(telemetry|sites\/[^/]+\/discoveries)$/;
+app.use((req, res, next) => (BEACON_PATH.test(req.path) ? next() : jsonParser(req, res, next)));
 
 // Serve admin UI
 app.use('/admin', express.static(path.join(__dirname, '..', 'admin')));
 
 // Load OpenAPI spec for Swagger UI
 const openApiSpec = yaml.load(fs.readFileSync(path.join(__dirname, 'openapi.yaml'), 'utf8'));
-app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec));
+app.use('/api/docs', swaggerUi.serve, swaggerUi.setup(openApiSpec, {
+  swaggerOptions: { withCredentials: true, persistAuthorization: true }
+}));
+
+// =============================================================================
+// Access scoping — users only reach manifests in their dealer groups
+// =============================================================================
+
+// An alias host (example.com for www.example.com) addresses the site whose
+// manifest serves it, on every /:domain route
+app.param('domain', (req, res, next, domain) => {
+  try {
+    req.params.domain = io.resolveDomain(domain);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  next();
+});
+
+// Domains whose manifests the user may see; null means all of them
+function scopedDomains(user) {
+  if (user.groups.includes(auth.ALL_GROUPS)) return null;
+  return io.listManifests().filter(d => auth.canAccess(user, io.readManifest(d)));
+}
+
+// The manifest for :domain, or null after sending 404/403
+function readScoped(req, res) {
+  const manifest = io.readManifest(req.params.domain);
+  if (!manifest) {
+    res.status(404).json({ error: 'Not found' });
+    return null;
+  }
+  if (!auth.canAccess(req.user, manifest)) {
+    res.status(403).json({ error: `${req.params.domain} is not in your dealer groups` });
+    return null;
+  }
+  return manifest;
+}
+
+// Who/why for the history log. The reason travels in X-Change-Reason
+// (URI-encoded) because PUT/POST bodies are the manifest itself.
+const MAX_REASON_LENGTH = 500;
+function changeBy(req, action, extra) {
+  let reason = req.get('X-Change-Reason') || null;
+  if (reason) {
+    try { reason = decodeURIComponent(reason); } catch { /* keep as sent */ }
+    reason = reason.trim().slice(0, MAX_REASON_LENGTH) || null;
+  }
+  return Object.assign({ action, actor: req.user.username, via: req.user.via, reason }, extra);
+}
+
+// Optimistic concurrency: a write names the version it was based on in
+// If-Match (the ETag from GET). Sends 428/412 and returns false otherwise;
+// a 412 carries the current manifest so the editor can merge.
+function checkIfMatch(req, res, manifest, { required = true } = {}) {
+  const current = io.etag(manifest);
+  const header = req.get('If-Match');
+  if (!header) {
+    if (!required) return true;
+    res.status(428).set('ETag', current).json({ error: 'If-Match required — send the ETag from GET /api/sites/:domain', etag: current });
+    return false;
+  }
+  const tags = header.split(',').map(t => t.trim());
+  if (tags.includes('*') || tags.includes(current)) return true;
+
+  const last = history.list(req.params.domain)[0];
+  res.status(412).set('ETag', current).json({
+    error: 'Manifest was changed since you loaded it',
+    etag: current,
+    manifest,
+    lastChange: last ? { rev: last.rev, action: last.action, actor: last.actor, at: last.at, reason: last.reason } : null
+  });
+  return false;
+}
+
+// Editors' changes to live manifests go through drafts and review unless
+// REVIEW_REQUIRED=false. Admins can still save directly; enable/disable and
+// rollback stay direct so a site can be paused or reverted at once.
+const REVIEW_REQUIRED = process.env.REVIEW_REQUIRED !== 'false';
+function directEdit(req, res, next) {
+  if (REVIEW_REQUIRED && !auth.hasRole(req.user, 'admin')) {
+    return res.status(403).json({ error: 'Changes need review — save a draft with POST /api/sites/:domain/drafts' });
+  }
+  next();
+}
+
+function groupError(user, group) {
+  return group
+    ? `Dealer group "${group}" is not one of yours (${user.groups.join(', ')})`
+    : `A dealer group is required (one of: ${user.groups.join(', ')})`;
+}
 
 // =============================================================================
-// Telemetry ring buffer (in-memory, last 1000 events)
+// Telemetry store (NDJSON on disk) — retention enforced at start and every 6h
 // =============================================================================
-const RING_SIZE = 1000;
-const telemetryRing = [];
+const MAX_RECENT = 1000;
+const PRUNE_INTERVAL_MS = 6 * 60 * 60 * 1000;
+const DEFAULT_SUMMARY_RANGE_MS = 7 * 24 * 60 * 60 * 1000;
+
+function pruneTelemetry() {
+  try {
+    const removed = telemetry.prune();
+    if (removed) console.log(`[Speed Layer API] Pruned ${removed} telemetry file(s) older than ${telemetry.RETENTION_DAYS} days`);
+  } catch (err) {
+    console.error('[Speed Layer API] Telemetry prune failed:', err.message);
+  }
+}
+
+// Accepts epoch milliseconds or anything Date can parse (e.g. 2025-01-31)
+function parseTime(value) {
+  if (value === undefined || value === '') return undefined;
+  const ms = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+  return isNaN(ms) ? null : ms;
+}
+
+// =============================================================================
+// POST /api/auth/login — Start a session (sets the sl_session cookie)
+// =============================================================================
+app.post('/api/auth/login', auth.login);
+
+// =============================================================================
+// POST /api/auth/logout — End the session
+// =============================================================================
+app.post('/api/auth/logout', auth.logout);
+
+// =============================================================================
+// GET /api/auth/me — The signed-in user, role and dealer groups
+// =============================================================================
+app.get('/api/auth/me', auth.requireRole('viewer'), (req, res) => {
+  res.json(req.user);
+});
 
 // =============================================================================
-// GET /api/sites — Summary list
+// GET /api/sites — Summary list (sites in the user's dealer groups)
 // =============================================================================
-app.get('/api/sites', (req, res) => {
+app.get('/api/sites', auth.requireRole('viewer'), (req, res) => {
   try {
     const domains = io.listManifests();
-    const summaries = domains.map(d => {
+    const current = control.read();
+    const summaries = [];
+    domains.forEach(d => {
       const manifest = io.readManifest(d);
-      return manifest ? io.summarize(manifest) : { domain: d, error: 'unreadable' };
+      if (!manifest) {
+        if (req.user.groups.includes(auth.ALL_GROUPS)) summaries.push({ domain: d, error: 'unreadable' });
+      } else if (auth.canAccess(req.user, manifest)) {
+        summaries.push(Object.assign(io.summarize(manifest), { paused: control.pausedOn(current, d, manifest.aliases) }));
+      }
     });
     res.json(summaries);
   } catch (err) {
@@ -42,81 +195,584 @@ app.get('/api/sites', (req, res) => {
 // =============================================================================
 // POST /api/sites — Create a new manifest
 // =============================================================================
-app.post('/api/sites', (req, res) => {
+app.post('/api/sites', auth.requireRole('editor'), (req, res) => {
   const data = req.body;
   if (!data || !data.domain) return res.status(400).json({ error: 'domain field required' });
+  if (!auth.canAccessGroup(req.user, data.group)) return res.status(403).json({ error: groupError(req.user, data.group) });
 
+  let owner;
+  try {
+    owner = io.resolveDomain(data.domain);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
   if (io.readManifest(data.domain)) {
     return res.status(409).json({ error: `Manifest for ${data.domain} already exists` });
   }
+  if (owner !== data.domain) {
+    return res.status(409).json({ error: `${data.domain} is an alias of ${owner} — edit that site instead` });
+  }
 
-  const result = io.writeManifest(data.domain, data);
+  const result = io.writeManifest(data.domain, data, changeBy(req, 'create'));
   if (!result.ok) return res.status(400).json({ errors: result.errors });
-  res.status(201).json({ ok: true, domain: data.domain });
+  const etag = io.etag(data);
+  res.status(201).set('ETag', etag).json({ ok: true, domain: data.domain, rev: result.rev, etag });
 });
 
 // =============================================================================
-// GET /api/sites/:domain — Full manifest
+// GET /api/sites/:domain — Full manifest (ETag for If-Match on writes)
 // =============================================================================
-app.get('/api/sites/:domain', (req, res) => {
-  const manifest = io.readManifest(req.params.domain);
-  if (!manifest) return res.status(404).json({ error: 'Not found' });
-  res.json(manifest);
+app.get('/api/sites/:domain', auth.requireRole('viewer'), (req, res) => {
+  const manifest = readScoped(req, res);
+  if (!manifest) return;
+  res.set('ETag', io.etag(manifest)).json(manifest);
 });
 
 // =============================================================================
-// PUT /api/sites/:domain — Replace manifest
+// GET /api/sites/:domain/resolved — The manifest as published: templates
+// merged in, vendors expanded (the same as the raw view when there is neither)
 // =============================================================================
-app.put('/api/sites/:domain', (req, res) => {
-  if (!io.readManifest(req.params.domain)) {
-    return res.status(404).json({ error: 'Not found' });
+app.get('/api/sites/:domain/resolved', auth.requireRole('viewer'), (req, res) => {
+  const manifest = readScoped(req, res);
+  if (!manifest) return;
+  try {
+    res.json(resolver.resolve(manifest));
+  } catch (err) {
+    // Its template was deleted or broken since the manifest was saved
+    res.status(409).json({ error: err.message, published: io.readResolved(req.params.domain) });
   }
+});
+
+// =============================================================================
+// GET /api/sites/:domain/lint — Overlapping, broad, duplicate and bad
+// patterns and unused preconnects in the saved manifest; POST lints an
+// unsaved edit of it (the body) instead
+// =============================================================================
+
+// Lints a manifest as written once resolved; ?minLength= is the shortest
+// plain pattern not reported as broad
+function sendLint(req, res, manifest) {
+  const minLength = req.query.minLength === undefined ? linter.DEFAULT_MIN_LENGTH : parseInt(req.query.minLength, 10);
+  if (!(minLength >= 0)) return res.status(400).json({ error: 'minLength must be a number' });
+  let resolved;
+  try {
+    resolved = resolver.resolve(manifest);
+  } catch (err) {
+    return res.status(409).json({ error: err.message });
+  }
+  const findings = linter.lint(resolved, { minLength });
+  res.json({
+    domain: req.params.domain,
+    errors: findings.filter(f => f.severity === 'error').length,
+    warnings: findings.filter(f => f.severity === 'warning').length,
+    findings
+  });
+}
+
+app.get('/api/sites/:domain/lint', auth.requireRole('viewer'), (req, res) => {
+  const manifest = readScoped(req, res);
+  if (manifest) sendLint(req, res, manifest);
+});
+
+app.post('/api/sites/:domain/lint', auth.requireRole('viewer'), (req, res) => {
+  if (!readScoped(req, res)) return;
   const data = req.body;
-  const result = io.writeManifest(req.params.domain, data);
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return res.status(400).json({ error: 'Body must be a manifest object' });
+  sendLint(req, res, data);
+});
+
+// =============================================================================
+// PUT /api/sites/:domain — Replace manifest (If-Match required; admins only
+// while review is required)
+// =============================================================================
+app.put('/api/sites/:domain', auth.requireRole('editor'), directEdit, (req, res) => {
+  const current = readScoped(req, res);
+  if (!current || !checkIfMatch(req, res, current)) return;
+  const data = req.body;
+  // Moving a site to another group needs access to both
+  if (!auth.canAccessGroup(req.user, data && data.group)) {
+    return res.status(403).json({ error: groupError(req.user, data && data.group) });
+  }
+  const result = io.writeManifest(req.params.domain, data, changeBy(req, 'update'));
   if (!result.ok) return res.status(400).json({ errors: result.errors });
-  res.json({ ok: true });
+  const etag = io.etag(data);
+  res.set('ETag', etag).json({ ok: true, rev: result.rev, etag });
 });
 
 // =============================================================================
-// DELETE /api/sites/:domain
+// DELETE /api/sites/:domain (If-Match honoured when sent)
 // =============================================================================
-app.delete('/api/sites/:domain', (req, res) => {
-  const deleted = io.deleteManifest(req.params.domain);
+app.delete('/api/sites/:domain', auth.requireRole('admin'), (req, res) => {
+  const current = readScoped(req, res);
+  if (!current || !checkIfMatch(req, res, current, { required: false })) return;
+  const deleted = io.deleteManifest(req.params.domain, changeBy(req, 'delete'));
   if (!deleted) return res.status(404).json({ error: 'Not found' });
   res.status(204).end();
 });
 
 // =============================================================================
-// POST /api/sites/:domain/enable — SET enabled: true
+// POST /api/sites/:domain/enable — SET enabled: true (If-Match required)
 // =============================================================================
-app.post('/api/sites/:domain/enable', (req, res) => {
-  const manifest = io.readManifest(req.params.domain);
-  if (!manifest) return res.status(404).json({ error: 'Not found' });
+app.post('/api/sites/:domain/enable', auth.requireRole('editor'), (req, res) => {
+  const manifest = readScoped(req, res);
+  if (!manifest || !checkIfMatch(req, res, manifest)) return;
   manifest.enabled = true;
-  io.writeManifest(req.params.domain, manifest);
-  res.json({ ok: true, domain: req.params.domain, enabled: true });
+  const result = io.writeManifest(req.params.domain, manifest, changeBy(req, 'enable'));
+  if (!result.ok) return res.status(400).json({ errors: result.errors });
+  const etag = io.etag(manifest);
+  res.set('ETag', etag).json({ ok: true, domain: req.params.domain, enabled: true, rev: result.rev, etag });
 });
 
 // =============================================================================
-// POST /api/sites/:domain/disable — SET enabled: false
+// POST /api/sites/:domain/disable — SET enabled: false (If-Match required)
 // =============================================================================
-app.post('/api/sites/:domain/disable', (req, res) => {
-  const manifest = io.readManifest(req.params.domain);
-  if (!manifest) return res.status(404).json({ error: 'Not found' });
+app.post('/api/sites/:domain/disable', auth.requireRole('editor'), (req, res) => {
+  const manifest = readScoped(req, res);
+  if (!manifest || !checkIfMatch(req, res, manifest)) return;
   manifest.enabled = false;
-  io.writeManifest(req.params.domain, manifest);
-  res.json({ ok: true, domain: req.params.domain, enabled: false });
+  const result = io.writeManifest(req.params.domain, manifest, changeBy(req, 'disable'));
+  if (!result.ok) return res.status(400).json({ errors: result.errors });
+  const etag = io.etag(manifest);
+  res.set('ETag', etag).json({ ok: true, domain: req.params.domain, enabled: false, rev: result.rev, etag });
+});
+
+// =============================================================================
+// History — scoped by the current manifest, or the last version of a deleted one
+// =============================================================================
+function historyScoped(req, res) {
+  const manifest = io.readManifest(req.params.domain) || history.lastKnown(req.params.domain);
+  if (!manifest) {
+    res.status(404).json({ error: 'No history' });
+    return false;
+  }
+  if (!auth.canAccess(req.user, manifest)) {
+    res.status(403).json({ error: `${req.params.domain} is not in your dealer groups` });
+    return false;
+  }
+  return true;
+}
+
+// =============================================================================
+// GET /api/sites/:domain/history — Revisions, newest first (no snapshots)
+// =============================================================================
+app.get('/api/sites/:domain/history', auth.requireRole('viewer'), (req, res) => {
+  if (!historyScoped(req, res)) return;
+  res.json(history.list(req.params.domain));
+});
+
+// =============================================================================
+// GET /api/sites/:domain/history/:rev — One revision with its manifest
+// =============================================================================
+app.get('/api/sites/:domain/history/:rev', auth.requireRole('viewer'), (req, res) => {
+  if (!historyScoped(req, res)) return;
+  const entry = history.get(req.params.domain, parseInt(req.params.rev, 10));
+  if (!entry) return res.status(404).json({ error: `No revision ${req.params.rev}` });
+  res.json(entry);
+});
+
+// =============================================================================
+// POST /api/sites/:domain/rollback/:rev — Restore a revision as a new one
+// =============================================================================
+app.post('/api/sites/:domain/rollback/:rev', auth.requireRole('editor'), (req, res) => {
+  if (!historyScoped(req, res)) return;
+  const rev = parseInt(req.params.rev, 10);
+  const entry = history.get(req.params.domain, rev);
+  if (!entry) return res.status(404).json({ error: `No revision ${req.params.rev}` });
+  if (!entry.manifest) return res.status(400).json({ error: `Revision ${rev} is a delete — pick an earlier one` });
+  if (!auth.canAccessGroup(req.user, entry.manifest.group)) {
+    return res.status(403).json({ error: groupError(req.user, entry.manifest.group) });
+  }
+  const current = io.readManifest(req.params.domain);
+  if (current && !checkIfMatch(req, res, current, { required: false })) return;
+
+  // Re-validated on write: the schema may have changed since this revision
+  const result = io.writeManifest(req.params.domain, entry.manifest, changeBy(req, 'rollback', { rolledBackTo: rev }));
+  if (!result.ok) return res.status(400).json({ errors: result.errors });
+  const etag = io.etag(entry.manifest);
+  res.set('ETag', etag).json({ ok: true, rev: result.rev, rolledBackTo: rev, etag });
+});
+
+// =============================================================================
+// Templates — shared by every dealer group: viewers read them, admins change
+// them (a change reaches every site that extends the template on its next publish)
+// =============================================================================
+
+// The template file for :name, or null after sending 400/404
+function readTemplate(req, res) {
+  let template;
+  try {
+    template = templates.read(req.params.name);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+    return null;
+  }
+  if (!template) res.status(404).json({ error: `No template ${req.params.name}` });
+  return template;
+}
+
+// If-Match is honoured when sent; a 412 carries the current template
+function templateIfMatch(req, res, template) {
+  const current = io.etag(template);
+  const header = req.get('If-Match');
+  if (!header || header.split(',').map(t => t.trim()).some(t => t === '*' || t === current)) return true;
+  res.status(412).set('ETag', current).json({ error: 'Template was changed since you loaded it', etag: current, template });
+  return false;
+}
+
+// =============================================================================
+// GET /api/templates — Every template, with how many sites extend it
+// =============================================================================
+app.get('/api/templates', auth.requireRole('viewer'), (req, res) => {
+  try {
+    res.json(templates.list().map(io.summarizeTemplate));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// POST /api/templates — Create a template ({ name, template })
+// =============================================================================
+app.post('/api/templates', auth.requireRole('admin'), (req, res) => {
+  const { name, template } = req.body || {};
+  if (typeof name !== 'string' || !templates.NAME_RE.test(name)) {
+    return res.status(400).json({ error: 'name must be lowercase letters, digits and dashes (e.g. dealer-com)' });
+  }
+  if (!template || typeof template !== 'object' || Array.isArray(template)) {
+    return res.status(400).json({ error: 'template must be an object' });
+  }
+  if (templates.read(name)) return res.status(409).json({ error: `Template ${name} already exists` });
+
+  const result = io.writeTemplate(name, template);
+  if (!result.ok) return res.status(400).json({ errors: result.errors });
+  const etag = io.etag(template);
+  res.status(201).set('ETag', etag).json({ ok: true, name, etag });
+});
+
+// =============================================================================
+// GET /api/templates/:name — The template file, notes included (ETag for If-Match)
+// =============================================================================
+app.get('/api/templates/:name', auth.requireRole('viewer'), (req, res) => {
+  const template = readTemplate(req, res);
+  if (!template) return;
+  res.set('ETag', io.etag(template)).json(template);
+});
+
+// =============================================================================
+// PUT /api/templates/:name — Replace a template (refused if a site using it
+// would no longer resolve); re-resolves the sites that extend it
+// =============================================================================
+app.put('/api/templates/:name', auth.requireRole('admin'), (req, res) => {
+  const current = readTemplate(req, res);
+  if (!current || !templateIfMatch(req, res, current)) return;
+  const data = req.body;
+  if (!data || typeof data !== 'object' || Array.isArray(data)) return res.status(400).json({ error: 'Body must be a template object' });
+
+  const result = io.writeTemplate(req.params.name, data);
+  if (!result.ok) return res.status(400).json({ errors: result.errors });
+  const etag = io.etag(data);
+  const visible = scopedDomains(req.user);
+  res.set('ETag', etag).json({ ok: true, etag, updated: visible ? result.updated.filter(d => visible.includes(d)) : result.updated });
+});
+
+// =============================================================================
+// DELETE /api/templates/:name — Only once no site or template extends it
+// =============================================================================
+app.delete('/api/templates/:name', auth.requireRole('admin'), (req, res) => {
+  const current = readTemplate(req, res);
+  if (!current || !templateIfMatch(req, res, current)) return;
+  const result = io.deleteTemplate(req.params.name);
+  if (result.usedBy) {
+    const { sites, templates: children } = result.usedBy;
+    const visible = scopedDomains(req.user);
+    return res.status(409).json({
+      error: `Template ${req.params.name} is still extended by ${sites.length} site(s) and ${children.length} template(s)`,
+      usedBy: { sites: visible ? sites.filter(d => visible.includes(d)) : sites, templates: children }
+    });
+  }
+  if (!result.ok) return res.status(404).json({ error: `No template ${req.params.name}` });
+  res.status(204).end();
+});
+
+// =============================================================================
+// GET /api/vendors — The vendor catalog manifests name in `vendors` and
+// `categories` (changed in vendors.json, not through the API)
+// =============================================================================
+app.get('/api/vendors', auth.requireRole('viewer'), (req, res) => {
+  try {
+    res.json(Object.assign({ categories: vendors.CATEGORIES, tiers: Object.keys(vendors.TIERS) }, vendors.read()));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// GET /control.json — The control manifest for loaders (public, short cache)
+// =============================================================================
+app.get('/control.json', (req, res) => {
+  res.set({
+    'Cache-Control': `public, max-age=${control.MAX_AGE_SECONDS}`,
+    'Access-Control-Allow-Origin': '*'
+  }).json(control.read());
+});
+
+// =============================================================================
+// GET /api/control — The kill switch: paused everywhere and/or on which hosts
+// =============================================================================
+app.get('/api/control', auth.requireRole('viewer'), (req, res) => {
+  const current = control.read();
+  res.set('ETag', io.etag(current)).json(current);
+});
+
+// =============================================================================
+// PUT /api/control — Change the kill switch and publish it at once (If-Match
+// optional; a 412 carries the current control manifest)
+// =============================================================================
+app.put('/api/control', auth.requireRole('admin'), async (req, res) => {
+  const current = control.read();
+  const header = req.get('If-Match');
+  if (header && !header.split(',').map(t => t.trim()).some(t => t === '*' || t === io.etag(current))) {
+    return res.status(412).set('ETag', io.etag(current)).json({ error: 'The control manifest was changed since you loaded it', control: current });
+  }
+  const result = control.save(req.body || {}, req.user.username);
+  if (!result.ok) return res.status(400).json({ errors: result.errors });
+
+  // Saved either way: /control.json serves it now, the CDN copy after a retry
+  let published;
+  try {
+    published = await publisher.publishControl({ actor: req.user.username });
+  } catch (err) {
+    published = { ok: false, pushed: false, commit: null, purge: null, error: err.message };
+  }
+  const etag = io.etag(result.control);
+  res.set('ETag', etag).json({ control: result.control, etag, published });
+});
+
+// =============================================================================
+// Drafts — scoped by both the draft's group and the live manifest's
+// =============================================================================
+
+// The draft for :id, or null after sending 400/404/403
+function draftScoped(req, res) {
+  let draft;
+  try {
+    draft = drafts.get(req.params.id);
+  } catch (err) {
+    res.status(err.status || 500).json({ error: err.message });
+    return null;
+  }
+  if (!draft) {
+    res.status(404).json({ error: `No draft ${req.params.id}` });
+    return null;
+  }
+  if (!auth.canAccess(req.user, draft.manifest) || (draft.baseManifest && !auth.canAccess(req.user, draft.baseManifest))) {
+    res.status(403).json({ error: `${draft.domain} is not in your dealer groups` });
+    return null;
+  }
+  return draft;
+}
+
+// Authors manage their own drafts; admins anyone's
+function ownDraft(req, res, draft) {
+  if (draft.author === req.user.username || auth.hasRole(req.user, 'admin')) return true;
+  res.status(403).json({ error: `Only ${draft.author} (or an admin) can change this draft` });
+  return false;
+}
+
+function sendDraftError(res, err) {
+  const body = { error: err.message };
+  if (err.errors) body.errors = err.errors;
+  if (err.status === 412) Object.assign(body, { etag: err.etag, manifest: err.manifest });
+  if (err.draft) body.draft = drafts.describe(err.draft);
+  res.status(err.status || 500).json(body);
+}
+
+// If-Match names the live version an edit started from ("null" for a new site)
+function draftBase(req) {
+  const header = req.get('If-Match');
+  if (!header) return undefined;
+  return header.trim() === 'null' ? null : header.trim();
+}
+
+// =============================================================================
+// GET /api/drafts — Open drafts in the user's groups (?domain=, ?status=)
+// =============================================================================
+app.get('/api/drafts', auth.requireRole('viewer'), (req, res) => {
+  const status = req.query.status ? String(req.query.status).split(',') : undefined;
+  if (status && !status.every(st => st === 'all' || drafts.STATUSES.includes(st))) {
+    return res.status(400).json({ error: `status must be "all" or any of: ${drafts.STATUSES.join(', ')}` });
+  }
+  const list = drafts.list({ domain: req.query.domain, status: status && status.includes('all') ? 'all' : status })
+    .filter(d => auth.canAccess(req.user, d.manifest) && (!d.baseManifest || auth.canAccess(req.user, d.baseManifest)))
+    .map(d => {
+      const { manifest, baseManifest, ...summary } = drafts.describe(d);
+      return summary;
+    });
+  res.json(list);
+});
+
+// =============================================================================
+// POST /api/sites/:domain/drafts — Save an edit as a draft for review
+// =============================================================================
+app.post('/api/sites/:domain/drafts', auth.requireRole('editor'), (req, res) => {
+  const data = req.body;
+  const live = io.readManifest(req.params.domain);
+  if (live && !auth.canAccess(req.user, live)) {
+    return res.status(403).json({ error: `${req.params.domain} is not in your dealer groups` });
+  }
+  if (!auth.canAccessGroup(req.user, data && data.group)) {
+    return res.status(403).json({ error: groupError(req.user, data && data.group) });
+  }
+  try {
+    const change = changeBy(req, 'draft');
+    const draft = drafts.create(req.params.domain, data, { actor: change.actor, via: change.via, reason: change.reason, baseEtag: draftBase(req) });
+    res.status(201).json(drafts.describe(draft));
+  } catch (err) {
+    sendDraftError(res, err);
+  }
+});
+
+// =============================================================================
+// GET /api/drafts/:id — Draft with its manifest, base and diff
+// =============================================================================
+app.get('/api/drafts/:id', auth.requireRole('viewer'), (req, res) => {
+  const draft = draftScoped(req, res);
+  if (draft) res.json(drafts.describe(draft));
+});
+
+// =============================================================================
+// PUT /api/drafts/:id — Replace a draft's manifest (back to pending; If-Match rebases)
+// =============================================================================
+app.put('/api/drafts/:id', auth.requireRole('editor'), (req, res) => {
+  const draft = draftScoped(req, res);
+  if (!draft || !ownDraft(req, res, draft)) return;
+  if (!auth.canAccessGroup(req.user, req.body && req.body.group)) {
+    return res.status(403).json({ error: groupError(req.user, req.body && req.body.group) });
+  }
+  try {
+    const reason = req.get('X-Change-Reason') === undefined ? undefined : changeBy(req, 'draft').reason;
+    res.json(drafts.describe(drafts.update(draft.id, req.body, { reason, baseEtag: draftBase(req) })));
+  } catch (err) {
+    sendDraftError(res, err);
+  }
+});
+
+// =============================================================================
+// DELETE /api/drafts/:id — Withdraw a draft
+// =============================================================================
+app.delete('/api/drafts/:id', auth.requireRole('editor'), (req, res) => {
+  const draft = draftScoped(req, res);
+  if (!draft || !ownDraft(req, res, draft)) return;
+  try {
+    res.json(drafts.describe(drafts.withdraw(draft.id)));
+  } catch (err) {
+    sendDraftError(res, err);
+  }
+});
+
+// =============================================================================
+// POST /api/drafts/:id/approve, /reject — Review (not your own, unless admin)
+// =============================================================================
+['approve', 'reject'].forEach(decision => {
+  app.post(`/api/drafts/:id/${decision}`, auth.requireRole('editor'), (req, res) => {
+    const draft = draftScoped(req, res);
+    if (!draft) return;
+    const comment = req.body && typeof req.body.comment === 'string' ? req.body.comment.trim().slice(0, MAX_REASON_LENGTH) : null;
+    try {
+      const reviewed = drafts.review(draft.id, { actor: req.user.username, decision, comment, allowSelf: auth.hasRole(req.user, 'admin') });
+      res.json(drafts.describe(reviewed));
+    } catch (err) {
+      sendDraftError(res, err);
+    }
+  });
+});
+
+// =============================================================================
+// POST /api/drafts/:id/schedule — Publish an approved draft later ({ at: null } unschedules)
+// =============================================================================
+app.post('/api/drafts/:id/schedule', auth.requireRole('editor'), (req, res) => {
+  const draft = draftScoped(req, res);
+  if (!draft) return;
+  const at = req.body ? req.body.at : undefined;
+  let when = null;
+  if (at !== null) {
+    const ms = parseTime(at === undefined ? '' : String(at));
+    if (!ms) return res.status(400).json({ error: 'at must be a date/time (ISO 8601 or epoch ms), or null to unschedule' });
+    when = new Date(ms);
+  }
+  try {
+    res.json(drafts.describe(drafts.schedule(draft.id, when, { actor: req.user.username })));
+  } catch (err) {
+    sendDraftError(res, err);
+  }
+});
+
+// =============================================================================
+// POST /api/drafts/:id/publish — Make an approved draft live now
+// =============================================================================
+app.post('/api/drafts/:id/publish', auth.requireRole('editor'), async (req, res) => {
+  const draft = draftScoped(req, res);
+  if (!draft) return;
+  try {
+    res.json(drafts.describe(await drafts.apply(draft.id, { actor: req.user.username })));
+  } catch (err) {
+    sendDraftError(res, err);
+  }
+});
+
+// =============================================================================
+// Publishing — scoped like history, so deleted sites can be published too
+// =============================================================================
+function publishScope(user) {
+  return (domain) => auth.canAccess(user, io.readManifest(domain) || history.lastKnown(domain));
+}
+
+// =============================================================================
+// GET /api/publish — Publish state of the user's sites
+// =============================================================================
+app.get('/api/publish', auth.requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await publisher.status(publishScope(req.user)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// POST /api/publish — Commit, push and purge changed manifests
+// =============================================================================
+app.post('/api/publish', auth.requireRole('editor'), async (req, res) => {
+  let { domains } = req.body || {};
+  if (domains !== undefined && (!Array.isArray(domains) || !domains.length || !domains.every(d => typeof d === 'string'))) {
+    return res.status(400).json({ error: 'domains must be a non-empty list of domain names' });
+  }
+  // An alias publishes the site it belongs to
+  try {
+    domains = domains && domains.map(io.resolveDomain);
+  } catch (err) {
+    return res.status(400).json({ error: err.message });
+  }
+  const include = publishScope(req.user);
+  const outOfScope = (domains || []).find(d => !include(d));
+  if (outOfScope) return res.status(403).json({ error: `${outOfScope} is not in your dealer groups` });
+
+  try {
+    const result = await publisher.publish({ actor: req.user.username, domains: domains || null, include });
+    // A failed push is a 502; failed purges only delay the CDN, so still 200
+    res.status(result.ok || result.pushed ? 200 : 502).json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // =============================================================================
-// GET /api/health — CDN reachability for all sites
+// GET /api/health — CDN reachability for the user's sites
 // =============================================================================
-app.get('/api/health', async (req, res) => {
-  const CDN_BASE = 'https://cdn.jsdelivr.net/gh/Creggie/speed-layer@main/manifest/';
-  const domains = io.listManifests();
+app.get('/api/health', auth.requireRole('viewer'), async (req, res) => {
+  const domains = scopedDomains(req.user) || io.listManifests();
 
   const results = await Promise.all(domains.map(async (domain) => {
-    const url = CDN_BASE + domain + '.json';
+    const url = publisher.CDN_BASE + domain + '.json';
     const start = Date.now();
     try {
       const controller = new AbortController();
@@ -152,34 +808,136 @@ app.get('/api/health', async (req, res) => {
   res.json(results);
 });
 
+// =============================================================================
+// OPTIONS /api/sites/:domain/discoveries — CORS preflight for discover mode
+// =============================================================================
+app.options('/api/sites/:domain/discoveries', telemetryGuard.cors);
+
+// =============================================================================
+// POST /api/sites/:domain/discoveries — Scripts, iframes and inline origins a
+// loader in discover mode saw (same checks as telemetry, plus the site must be
+// in discover mode)
+// =============================================================================
+app.post('/api/sites/:domain/discoveries', telemetryGuard.cors, telemetryGuard.readBody, telemetryGuard.checkDiscovery, (req, res) => {
+  try {
+    discoveries.record(req.params.domain, req.body);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+  res.status(204).end();
+});
+
+// =============================================================================
+// GET /api/sites/:domain/discoveries — The deduplicated inventory and the
+// lists the platform template proposes for it
+// =============================================================================
+app.get('/api/sites/:domain/discoveries', auth.requireRole('viewer'), (req, res) => {
+  const manifest = readScoped(req, res);
+  if (!manifest) return;
+  res.json(discoveries.propose(req.params.domain, manifest));
+});
+
+// =============================================================================
+// DELETE /api/sites/:domain/discoveries — Start the inventory over
+// =============================================================================
+app.delete('/api/sites/:domain/discoveries', auth.requireRole('editor'), (req, res) => {
+  if (!readScoped(req, res)) return;
+  discoveries.clear(req.params.domain);
+  res.status(204).end();
+});
+
+// =============================================================================
+// OPTIONS /api/telemetry — CORS preflight for beacons from dealer sites
+// =============================================================================
+app.options('/api/telemetry', telemetryGuard.cors);
+
 // =============================================================================
 // POST /api/telemetry — Receive beacon from loader
+// (CORS, size cap, schema, known domain, rate limits — see telemetry-guard.js)
 // =============================================================================
-app.post('/api/telemetry', (req, res) => {
+app.post('/api/telemetry', telemetryGuard.cors, telemetryGuard.readBody, telemetryGuard.checkEvent, (req, res) => {
   const event = req.body;
-  if (!event) return res.status(400).json({ error: 'No body' });
-  event._receivedAt = Date.now();
-  telemetryRing.push(event);
-  if (telemetryRing.length > RING_SIZE) telemetryRing.shift();
+  try {
+    telemetry.append(event);
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
   res.status(204).end();
 });
 
 // =============================================================================
-// GET /api/telemetry — Read ring buffer
+// GET /api/telemetry — Most recent events (optionally for one domain)
 // =============================================================================
-app.get('/api/telemetry', (req, res) => {
-  const limit = Math.min(parseInt(req.query.limit) || 100, RING_SIZE);
-  res.json(telemetryRing.slice(-limit));
+app.get('/api/telemetry', auth.requireRole('viewer'), async (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit) || 100, MAX_RECENT);
+  const domains = scopedDomains(req.user);
+  if (req.query.domain && domains && !domains.includes(req.query.domain)) {
+    return res.status(403).json({ error: `${req.query.domain} is not in your dealer groups` });
+  }
+  try {
+    res.json(await telemetry.recent({ limit, domain: req.query.domain || undefined, domains: domains || undefined }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
 });
 
 // =============================================================================
-// Start server
+// GET /api/telemetry/rejections — Refused beacons by reason and domain
 // =============================================================================
-const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`[Speed Layer API] Listening on http://localhost:${PORT}`);
-  console.log(`  Swagger UI: http://localhost:${PORT}/api/docs`);
-  console.log(`  Admin UI:   http://localhost:${PORT}/admin`);
+app.get('/api/telemetry/rejections', auth.requireRole('admin'), (req, res) => {
+  res.json(telemetryGuard.getRejections());
 });
 
+// =============================================================================
+// GET /api/telemetry/summary — Counts, error rates and percentile timings
+// =============================================================================
+app.get('/api/telemetry/summary', auth.requireRole('viewer'), async (req, res) => {
+  const to = parseTime(req.query.to);
+  const from = parseTime(req.query.from);
+  if (to === null || from === null) return res.status(400).json({ error: 'from/to must be epoch ms or a date' });
+
+  const groupBy = req.query.groupBy || 'domain';
+  if (!telemetry.GROUP_BY.includes(groupBy)) {
+    return res.status(400).json({ error: `groupBy must be one of: ${telemetry.GROUP_BY.join(', ')}` });
+  }
+
+  const end = to === undefined ? Date.now() : to;
+  const start = from === undefined ? end - DEFAULT_SUMMARY_RANGE_MS : from;
+  if (start > end) return res.status(400).json({ error: 'from must be before to' });
+
+  const domains = scopedDomains(req.user);
+  if (req.query.domain && domains && !domains.includes(req.query.domain)) {
+    return res.status(403).json({ error: `${req.query.domain} is not in your dealer groups` });
+  }
+
+  try {
+    res.json(await telemetry.summarize({ from: start, to: end, domain: req.query.domain || undefined, domains: domains || undefined, groupBy }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// =============================================================================
+// Start server
+// =============================================================================
+// Tests require the app and listen on a port of their own
+if (require.main === module) {
+  const PORT = process.env.PORT || 3000;
+  pruneTelemetry();
+  setInterval(pruneTelemetry, PRUNE_INTERVAL_MS).unref();
+  drafts.startScheduler();
+
+  app.listen(PORT, () => {
+    console.log(`[Speed Layer API] Listening on http://localhost:${PORT}`);
+    if (!auth.loadUsers().length) {
+      console.warn(`  No users in ${auth.USERS_FILE} — every admin route will answer 401.`);
+      console.warn('  Create one with: speed-layer user add <name> --role admin --groups "*"');
+    }
+    console.log(`  Telemetry:  ${telemetry.TELEMETRY_DIR} (${telemetry.RETENTION_DAYS} days)`);
+    console.log(`  Publishing: ${publisher.REMOTE}/${publisher.BRANCH} → ${publisher.CDN_BASE}`);
+    console.log(`  Swagger UI: http://localhost:${PORT}/api/docs`);
+    console.log(`  Admin UI:   http://localhost:${PORT}/admin`);
+  });
+}
+
 module.exports = app;
@@ -0,0 +1,167 @@
+'use strict';
+/**
+ * manifest-history.js — Audit log and prior versions of every manifest.
+ *
+ * One append-only NDJSON file per domain (data/history/<domain>.ndjson). Each
+ * line is a revision: who made the change, when, why, a diff against the
+ * previous revision and the full manifest afterwards (null for a delete), so
+ * any revision can be restored. Manifests that predate the log get a
+ * "baseline" revision holding their content before the first recorded change.
+ *
+ * Environment:
+ *   MANIFEST_HISTORY_DIR  storage directory (default: data/history)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const HISTORY_DIR = process.env.MANIFEST_HISTORY_DIR || path.join(__dirname, '..', 'data', 'history');
+const ACTIONS = ['baseline', 'create', 'update', 'enable', 'disable', 'delete', 'rollback'];
+
+function historyPath(domain) {
+  // Same rule as manifest-io: the domain is the file name
+  const safe = domain.replace(/[^a-zA-Z0-9.\-]/g, '');
+  if (!safe || safe !== domain) throw new Error('Invalid domain name');
+  return path.join(HISTORY_DIR, safe + '.ndjson');
+}
+
+/**
+ * All revisions for a domain, oldest first (full entries, manifests included).
+ */
+function readAll(domain) {
+  const file = historyPath(domain);
+  if (!fs.existsSync(file)) return [];
+  return fs.readFileSync(file, 'utf8')
+    .split('\n')
+    .filter(Boolean)
+    .map(line => {
+      try { return JSON.parse(line); } catch { return null; } // partial write during a crash
+    })
+    .filter(Boolean);
+}
+
+// =============================================================================
+// Diff — object keys by path; string/number lists as items added/removed
+// =============================================================================
+
+function isPlainObject(v) {
+  return v !== null && typeof v === 'object' && !Array.isArray(v);
+}
+
+function isPrimitiveList(v) {
+  return Array.isArray(v) && v.every(item => item === null || typeof item !== 'object');
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Changes from `before` to `after` as a list of
+ *   { op: 'add', path, value } | { op: 'remove', path, value } | { op: 'replace', path, before, after }
+ * Paths are JSON Pointers. Items added to or removed from a list of strings
+ * (allowScripts, deferScripts …) are reported individually against the list's
+ * path; a pure reorder, or a change in a list of objects, replaces the list.
+ */
+function diff(before, after, pointer = '') {
+  if (same(before, after)) return [];
+
+  if (isPlainObject(before) && isPlainObject(after)) {
+    const changes = [];
+    const keys = new Set([...Object.keys(before), ...Object.keys(after)]);
+    for (const key of keys) {
+      const p = `${pointer}/${key.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+      if (!(key in after)) changes.push({ op: 'remove', path: p, value: before[key] });
+      else if (!(key in before)) changes.push({ op: 'add', path: p, value: after[key] });
+      else changes.push(...diff(before[key], after[key], p));
+    }
+    return changes;
+  }
+
+  if (isPrimitiveList(before) && isPrimitiveList(after)) {
+    const removed = before.filter(item => !after.includes(item));
+    const added = after.filter(item => !before.includes(item));
+    if (removed.length || added.length) {
+      return [
+        ...removed.map(value => ({ op: 'remove', path: pointer, value })),
+        ...added.map(value => ({ op: 'add', path: pointer, value }))
+      ];
+    }
+  }
+
+  return [{ op: 'replace', path: pointer || '/', before, after }];
+}
+
+// =============================================================================
+// Recording
+// =============================================================================
+
+/**
+ * Append a revision. `before` is the manifest on disk before the change
+ * (null when creating), `after` the manifest written (null when deleting).
+ * `draft` is { id, approvedBy, publishedBy } when a reviewed draft went live.
+ * Returns the new entry.
+ */
+function record(domain, { action, actor, via, reason, before, after, rolledBackTo, draft }) {
+  fs.mkdirSync(HISTORY_DIR, { recursive: true });
+  const file = historyPath(domain);
+  const entries = readAll(domain);
+  const lines = [];
+  let rev = entries.length ? entries[entries.length - 1].rev : 0;
+
+  // First recorded change to a manifest that existed before the log did
+  if (!entries.length && before) {
+    lines.push({ rev: ++rev, action: 'baseline', actor: 'system', via: null, at: new Date().toISOString(), reason: 'Content before history was recorded', diff: [], manifest: before });
+  }
+
+  const entry = {
+    rev: ++rev,
+    action,
+    actor: actor || 'unknown',
+    via: via || null,
+    at: new Date().toISOString(),
+    reason: reason || null,
+    diff: diff(before || {}, after || {}),
+    manifest: after || null
+  };
+  if (rolledBackTo !== undefined) entry.rolledBackTo = rolledBackTo;
+  if (draft !== undefined) entry.draft = draft;
+  lines.push(entry);
+
+  fs.appendFileSync(file, lines.map(l => JSON.stringify(l)).join('\n') + '\n', 'utf8');
+  return entry;
+}
+
+// =============================================================================
+// Queries
+// =============================================================================
+
+/**
+ * Revisions newest first, without the manifest snapshots.
+ */
+function list(domain) {
+  return readAll(domain)
+    .map(({ manifest, ...meta }) => Object.assign(meta, { deleted: manifest === null }))
+    .reverse();
+}
+
+/**
+ * One revision with its manifest snapshot, or null.
+ */
+function get(domain, rev) {
+  return readAll(domain).find(e => e.rev === rev) || null;
+}
+
+/**
+ * The newest manifest snapshot that isn't a delete — what a deleted site
+ * looked like (used to scope access to its history).
+ */
+function lastKnown(domain) {
+  const entries = readAll(domain);
+  for (let i = entries.length - 1; i >= 0; i--) {
+    if (entries[i].manifest) return entries[i].manifest;
+  }
+  return null;
+}
+
+module.exports = { HISTORY_DIR, ACTIONS, record, list, get, lastKnown, diff };
@@ -2,107 +2,423 @@
 /**
  * manifest-io.js — Shared atomic disk I/O for manifests.
  * Used by both the CLI and the REST API server.
+ *
+ * One manifest can serve several hosts: each name in its `aliases` gets a
+ * generated pointer file, manifest/<alias>.json = { domain, aliasOf }, which
+ * the loader follows. Pointers are written and removed with the manifest, so
+ * a site is edited in one place; they are not manifests and never listed as
+ * sites.
+ *
+ * A manifest that `extends` a platform template or names catalog vendors is
+ * kept as written in manifest-src/<domain>.json; manifest/<domain>.json holds
+ * its resolved form (see manifest-resolve), rewritten on every save and by
+ * refreshResolved() when templates or the vendor catalog change.
+ * readManifest() returns what was written — the source where there is one —
+ * and history, ETags and drafts all work on it.
+ * Template writes are validated here too, and only go through if every
+ * manifest using the template still resolves.
+ *
+ * Environment:
+ *   MANIFEST_DIR         manifest directory (default: manifest/ in this repo)
+ *   MANIFEST_SOURCE_DIR  sources of manifests that extend a template (default: manifest-src/ beside MANIFEST_DIR)
  */
 
 const fs = require('fs');
 const path = require('path');
+const crypto = require('crypto');
 const Ajv = require('ajv');
 const addFormats = require('ajv-formats');
+const history = require('./manifest-history');
+const resolver = require('./manifest-resolve');
+const templates = require('./templates');
 
-const MANIFEST_DIR = path.join(__dirname, '..', 'manifest');
+const MANIFEST_DIR = process.env.MANIFEST_DIR || path.join(__dirname, '..', 'manifest');
+const SOURCE_DIR = process.env.MANIFEST_SOURCE_DIR || path.join(MANIFEST_DIR, '..', 'manifest-src');
 const SCHEMA_PATH = path.join(__dirname, '..', 'manifest.schema.json');
 
-// AJV instance — compiled once
+// AJV instances — compiled once
 let _validate = null;
+let _validateSource = null;
+let _validateTemplate = null;
 function getValidator() {
   if (!_validate) {
     const schema = JSON.parse(fs.readFileSync(SCHEMA_PATH, 'utf8'));
     const ajv = new Ajv({ allErrors: true });
     addFormats(ajv);
     _validate = ajv.compile(schema);
+    _validateSource = ajv.compile(resolver.sourceSchema(schema));
+    _validateTemplate = ajv.compile(resolver.templateSchema(schema));
   }
   return _validate;
 }
 
-function manifestPath(domain) {
+function getSourceValidator() {
+  getValidator();
+  return _validateSource;
+}
+
+function getTemplateValidator() {
+  getValidator();
+  return _validateTemplate;
+}
+
+function safeName(domain) {
   // Sanitize domain to prevent path traversal
+  if (typeof domain !== 'string') throw new Error('Invalid domain name');
   const safe = domain.replace(/[^a-zA-Z0-9.\-]/g, '');
   if (!safe || safe !== domain) throw new Error('Invalid domain name');
-  return path.join(MANIFEST_DIR, safe + '.json');
+  return safe;
 }
 
-/**
- * List all manifest domain names (without .json extension).
- */
-function listManifests() {
+function manifestPath(domain) {
+  return path.join(MANIFEST_DIR, safeName(domain) + '.json');
+}
+
+function sourcePath(domain) {
+  return path.join(SOURCE_DIR, safeName(domain) + '.json');
+}
+
+function writeAtomic(filePath, data) {
+  fs.writeFileSync(filePath + '.tmp', JSON.stringify(data, null, 2) + '\n', 'utf8');
+  fs.renameSync(filePath + '.tmp', filePath);
+}
+
+function isAlias(data) {
+  return !!data && typeof data.aliasOf === 'string';
+}
+
+// Parsed file for a host (manifest or alias pointer), or null if missing
+function readFile(host) {
+  const filePath = manifestPath(host);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+function hostFiles() {
   return fs.readdirSync(MANIFEST_DIR)
     .filter(f => f.endsWith('.json'))
     .map(f => f.replace(/\.json$/, ''))
     .sort();
 }
 
+// Unreadable files count as manifests so callers can report them
+function peek(host) {
+  try { return readFile(host); } catch { return null; }
+}
+
+/**
+ * List all manifest domain names (without .json extension). Alias pointers
+ * are left out.
+ */
+function listManifests() {
+  return hostFiles().filter(host => !isAlias(peek(host)));
+}
+
+/**
+ * Every alias host mapped to the domain whose manifest serves it.
+ */
+function listAliases() {
+  const aliases = {};
+  hostFiles().forEach(host => {
+    const data = peek(host);
+    if (isAlias(data)) aliases[host] = data.aliasOf;
+  });
+  return aliases;
+}
+
+/**
+ * The domain whose manifest serves `host`: the aliased domain for an alias,
+ * otherwise `host` itself (whether or not it has a manifest). Throws on a
+ * name that can't be a manifest file.
+ */
+function resolveDomain(host) {
+  safeName(host);
+  const data = peek(host);
+  return isAlias(data) ? data.aliasOf : host;
+}
+
 /**
- * Read a manifest by domain name. Returns parsed object or null if not found.
+ * Read a manifest by domain name as it was written (its source when it
+ * extends a template). Returns parsed object or null if not found (or if the
+ * name is an alias — resolve it first).
  */
 function readManifest(domain) {
-  const filePath = manifestPath(domain);
-  if (!fs.existsSync(filePath)) return null;
-  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  const source = sourcePath(domain);
+  if (fs.existsSync(source)) return JSON.parse(fs.readFileSync(source, 'utf8'));
+  const data = readFile(domain);
+  return isAlias(data) ? null : data;
+}
+
+/**
+ * The manifest the loader reads for a domain — templates resolved — or null.
+ */
+function readResolved(domain) {
+  const data = readFile(domain);
+  return isAlias(data) ? null : data;
+}
+
+function schemaErrors(validate) {
+  return validate.errors.map(e => ({
+    path: e.instancePath || '(root)',
+    message: e.message
+  }));
 }
 
 /**
- * Validate a manifest object against the schema.
+ * Validate a manifest object against the schema. One that extends a
+ * template is checked as a source, one naming catalog vendors as it is;
+ * both are then resolved and checked again in full.
  * Returns { valid: true } or { valid: false, errors: [...] }
  */
 function validateManifest(data) {
   const validate = getValidator();
-  const valid = validate(data);
-  if (valid) return { valid: true };
-  return {
-    valid: false,
-    errors: validate.errors.map(e => ({
-      path: e.instancePath || '(root)',
-      message: e.message
-    }))
-  };
+  if (data && resolver.needsResolving(data)) {
+    const validateWritten = data.extends !== undefined ? getSourceValidator() : validate;
+    if (!validateWritten(data)) return { valid: false, errors: schemaErrors(validateWritten) };
+    try {
+      data = resolver.resolve(data);
+    } catch (err) {
+      return { valid: false, errors: [{ path: err.path || '/extends', message: err.message }] };
+    }
+  }
+  if (validate(data)) return { valid: true };
+  return { valid: false, errors: schemaErrors(validate) };
+}
+
+/**
+ * Check that the manifest for `domain` can claim its aliases: no alias may
+ * be the domain itself, have its own manifest or belong to another site, and
+ * the domain may not be another site's alias. Returns a list of errors in
+ * validateManifest's shape (empty when fine).
+ */
+function checkAliases(domain, data) {
+  const errors = [];
+  const own = peek(domain);
+  if (isAlias(own)) errors.push({ path: '/domain', message: `${domain} is an alias of ${own.aliasOf}` });
+
+  (data.aliases || []).forEach((alias, i) => {
+    const at = `/aliases/${i}`;
+    if (alias === domain) return errors.push({ path: at, message: 'must not be the manifest\'s own domain' });
+    let existing;
+    try {
+      existing = readFile(alias);
+    } catch {
+      return errors.push({ path: at, message: `${alias}.json is unreadable` });
+    }
+    if (!existing) return;
+    if (!isAlias(existing)) errors.push({ path: at, message: `${alias} has its own manifest — delete it first` });
+    else if (existing.aliasOf !== domain) errors.push({ path: at, message: `${alias} is already an alias of ${existing.aliasOf}` });
+  });
+  return errors;
+}
+
+// Write pointers for `aliases`, remove this domain's pointers not in it
+function syncAliases(domain, aliases, previous) {
+  aliases.forEach(alias => {
+    if (!isAlias(peek(alias))) writeAtomic(manifestPath(alias), { domain: alias, aliasOf: domain });
+  });
+  previous.filter(alias => !aliases.includes(alias)).forEach(alias => {
+    const data = peek(alias);
+    if (isAlias(data) && data.aliasOf === domain) fs.unlinkSync(manifestPath(alias));
+  });
+}
+
+// Write the manifest the loader reads, plus the source when it has anything
+// to resolve (and drop a source it no longer has)
+function writeFiles(domain, data) {
+  if (resolver.needsResolving(data)) {
+    fs.mkdirSync(SOURCE_DIR, { recursive: true });
+    writeAtomic(sourcePath(domain), data);
+  } else if (fs.existsSync(sourcePath(domain))) {
+    fs.unlinkSync(sourcePath(domain));
+  }
+  writeAtomic(manifestPath(domain), resolver.resolve(data));
 }
 
 /**
  * Write a manifest atomically (temp file → rename).
- * Validates against schema before writing.
- * Returns { ok: true } or { ok: false, errors: [...] }
+ * Validates against schema and checks its aliases before writing, then
+ * updates the alias pointers and records the revision in the history log.
+ * A manifest that extends a template or names vendors is stored as a source
+ * plus its resolved form.
+ * `change` is { action, actor, via, reason, rolledBackTo, draft }; the
+ * action defaults to create or update.
+ * Returns { ok: true, rev } or { ok: false, errors: [...] }
  */
-function writeManifest(domain, data) {
+function writeManifest(domain, data, change = {}) {
   const result = validateManifest(data);
   if (!result.valid) return { ok: false, errors: result.errors };
+  const aliasErrors = checkAliases(domain, data);
+  if (aliasErrors.length) return { ok: false, errors: aliasErrors };
+
+  const before = readManifest(domain);
+  writeFiles(domain, data);
+  syncAliases(domain, data.aliases || [], (before && before.aliases) || []);
 
-  const filePath = manifestPath(domain);
-  const tmpPath = filePath + '.tmp';
-  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
-  fs.renameSync(tmpPath, filePath);
-  return { ok: true };
+  const entry = history.record(domain, Object.assign({ action: before ? 'update' : 'create' }, change, { before, after: data }));
+  return { ok: true, rev: entry.rev };
 }
 
 /**
- * Delete a manifest file. Returns true if deleted, false if not found.
+ * Delete a manifest file and its alias pointers, recording it in the history
+ * log (the last version stays restorable). Returns true if deleted, false if
+ * not found.
  */
-function deleteManifest(domain) {
-  const filePath = manifestPath(domain);
-  if (!fs.existsSync(filePath)) return false;
-  fs.unlinkSync(filePath);
+function deleteManifest(domain, change = {}) {
+  const before = readManifest(domain);
+  if (!before) return false;
+  if (fs.existsSync(sourcePath(domain))) fs.unlinkSync(sourcePath(domain));
+  if (fs.existsSync(manifestPath(domain))) fs.unlinkSync(manifestPath(domain));
+  syncAliases(domain, [], before.aliases || []);
+  history.record(domain, Object.assign({}, change, { action: 'delete', before, after: null }));
   return true;
 }
 
 /**
- * Get a summary object for a manifest (for list endpoints).
+ * Re-resolve every manifest that has a source, so template and vendor
+ * catalog changes reach the files the loader reads. With `dryRun` nothing is written.
+ * Returns { updated: [domain], errors: [{ domain, message }] }; a manifest
+ * that no longer resolves or validates keeps its last resolved file.
+ */
+function refreshResolved({ dryRun = false } = {}) {
+  const updated = [];
+  const errors = [];
+  if (!fs.existsSync(SOURCE_DIR)) return { updated, errors };
+  fs.readdirSync(SOURCE_DIR).filter(f => f.endsWith('.json')).sort().forEach(f => {
+    const domain = f.replace(/\.json$/, '');
+    try {
+      const source = readManifest(domain);
+      const check = validateManifest(source);
+      if (!check.valid) throw new Error(check.errors.map(e => `${e.path} ${e.message}`).join('; '));
+      const resolved = resolver.resolve(source);
+      if (JSON.stringify(resolved) === JSON.stringify(readResolved(domain))) return;
+      if (!dryRun) writeAtomic(manifestPath(domain), resolved);
+      updated.push(domain);
+    } catch (err) {
+      errors.push({ domain, message: err.message });
+    }
+  });
+  return { updated, errors };
+}
+
+/**
+ * What extends template `name` directly: { sites: [domain], templates: [name] }.
+ */
+function templateUsers(name) {
+  const sites = fs.existsSync(SOURCE_DIR)
+    ? fs.readdirSync(SOURCE_DIR).filter(f => f.endsWith('.json')).map(f => f.replace(/\.json$/, ''))
+      .filter(domain => { try { return readManifest(domain).extends === name; } catch { return false; } })
+    : [];
+  return { sites, templates: templates.list().filter(t => t !== name && templates.get(t).extends === name) };
+}
+
+/**
+ * Summary of a template (for list endpoints and the add-site wizards):
+ * `platform` includes what it inherits, `sites` counts the manifests
+ * extending it.
+ */
+function summarizeTemplate(name) {
+  const raw = templates.read(name);
+  let platform = raw.platform;
+  try { platform = resolver.flatten(name).platform; } catch { /* broken chain: its own value */ }
+  return {
+    name,
+    platform: platform || null,
+    description: raw._comment || null,
+    extends: raw.extends || null,
+    sites: templateUsers(name).sites.length,
+    etag: etag(raw)
+  };
+}
+
+/**
+ * Create or replace a template, then re-resolve the manifests using it.
+ * Refused — and the old template kept — when the file doesn't match the
+ * template schema, its `extends` chain is broken, it names a vendor the
+ * catalog doesn't have, or a manifest that resolved before would no longer
+ * resolve; those errors have the site's domain as their path.
+ * Returns { ok: true, updated: [domain] } or { ok: false, errors: [...] }
+ */
+function writeTemplate(name, data) {
+  const validate = getTemplateValidator();
+  if (!validate(data)) return { ok: false, errors: schemaErrors(validate) };
+
+  const previous = templates.read(name);
+  const broken = refreshResolved({ dryRun: true }).errors.map(e => e.domain);
+  templates.save(name, data);
+
+  let errors = [];
+  try {
+    resolver.flatten(name);
+    errors = refreshResolved({ dryRun: true }).errors
+      .filter(e => !broken.includes(e.domain))
+      .map(e => ({ path: e.domain, message: e.message }));
+  } catch (err) {
+    errors = [{ path: err.path || '/extends', message: err.message }];
+  }
+  if (errors.length) {
+    if (previous) templates.save(name, previous);
+    else templates.remove(name);
+    return { ok: false, errors };
+  }
+  return { ok: true, updated: refreshResolved().updated };
+}
+
+/**
+ * Delete a template nothing extends. Returns { ok: true }, { ok: false }
+ * when there is none, or { ok: false, usedBy } while it is in use.
+ */
+function deleteTemplate(name) {
+  const usedBy = templateUsers(name);
+  if (usedBy.sites.length || usedBy.templates.length) return { ok: false, usedBy };
+  return { ok: templates.remove(name) };
+}
+
+/**
+ * Strong ETag for a manifest: a hash of its JSON as writeManifest stores it,
+ * so hand edits that only change formatting keep the same tag.
+ */
+function etag(data) {
+  return '"' + crypto.createHash('sha256').update(JSON.stringify(data)).digest('hex').slice(0, 32) + '"';
+}
+
+/**
+ * Get a summary object for a manifest (for list endpoints). Settings it
+ * inherits are read from the resolved manifest; the ETag is the source's.
  */
 function summarize(data) {
+  let resolved = data;
+  try { resolved = resolver.resolve(data); } catch { /* broken template: show what the source says */ }
   return {
     domain: data.domain,
-    platform: data.platform || null,
-    enabled: data.enabled,
-    pagesMode: data.pages ? data.pages.mode : 'all'
+    aliases: data.aliases || [],
+    extends: data.extends || null,
+    etag: etag(data),
+    group: data.group || null,
+    platform: resolved.platform || null,
+    enabled: resolved.enabled,
+    mode: resolved.mode || 'optimize',
+    pagesMode: resolved.pages ? resolved.pages.mode : 'all'
   };
 }
 
-module.exports = { listManifests, readManifest, validateManifest, writeManifest, deleteManifest, summarize };
+module.exports = {
+  MANIFEST_DIR,
+  SOURCE_DIR,
+  listManifests,
+  listAliases,
+  resolveDomain,
+  readManifest,
+  readResolved,
+  validateManifest,
+  checkAliases,
+  writeManifest,
+  deleteManifest,
+  refreshResolved,
+  templateUsers,
+  summarizeTemplate,
+  writeTemplate,
+  deleteTemplate,
+  etag,
+  summarize
+};
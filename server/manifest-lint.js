@@ -0,0 +1,192 @@
+'use strict';
+/**
+ * manifest-lint.js — Patterns that are valid but likely wrong.
+ *
+ * The loader matches a script URL against each pattern as a plain substring,
+ * or as a regex when the pattern is wrapped in slashes, and takes the first
+ * place that matches: blockScripts, chat facades, rules, allowScripts,
+ * delayedScripts, deferScripts. So a short pattern catches more than meant,
+ * and an earlier, broader pattern silently wins over a later one. lint()
+ * reports, for a resolved manifest:
+ *
+ *   error    a regex that doesn't compile (never matches) or can backtrack
+ *            catastrophically (nested quantifiers) on a long URL
+ *   warning  a pattern an earlier place always wins over; the same pattern
+ *            twice in one list; a URL pattern shorter than the minimum or
+ *            that is only a generic word; a preconnect origin no pattern,
+ *            preload or critical CSS uses
+ */
+
+const DEFAULT_MIN_LENGTH = 8;
+
+// Words that turn up in the paths of many unrelated scripts: as a whole
+// pattern they catch far more than the one script meant, whatever their length
+const GENERIC_WORDS = [
+  'ads', 'analytics', 'animate', 'banner', 'bundle', 'chat', 'embed', 'loader',
+  'modal', 'pixel', 'plugin', 'plugins', 'popup', 'script', 'scripts', 'tag',
+  'tags', 'track', 'tracker', 'tracking', 'widget', 'widgets'
+];
+
+// Where a script URL can be placed, in the loader's order. Entries of a
+// list behave the same whichever matches; facades and rules each differ
+const PLACES = [
+  { key: 'blockScripts', label: 'blockScripts' },
+  { key: 'facades', label: 'a chat facade', field: 'pattern', ordered: true },
+  { key: 'rules', label: 'a rule', field: 'pattern', ordered: true },
+  { key: 'allowScripts', label: 'allowScripts' },
+  { key: 'delayedScripts', label: 'delayedScripts' },
+  { key: 'deferScripts', label: 'deferScripts' }
+];
+
+function isRegex(pattern) {
+  return pattern.length > 2 && pattern.startsWith('/') && pattern.endsWith('/');
+}
+
+// "tracking", "/widgets/", "Analytics." — a generic word with nothing around it
+function isGenericWord(pattern) {
+  return GENERIC_WORDS.includes(pattern.toLowerCase().replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, ''));
+}
+
+/**
+ * Whether a URL matches a pattern, by the loader's rules: substring, or /regex/.
+ */
+function matches(url, pattern) {
+  if (url.includes(pattern)) return true;
+  if (isRegex(pattern)) {
+    try { return new RegExp(pattern.slice(1, -1)).test(url); } catch { return false; }
+  }
+  return false;
+}
+
+// A quantified group that itself contains a quantifier — (a+)+, (\w*x)*,
+// (.+){2,} — which backtracks exponentially when the rest doesn't match
+function nestedQuantifier(source) {
+  const groups = [];
+  let inClass = false;
+  for (let i = 0; i < source.length; i++) {
+    const c = source[i];
+    if (c === '\\') { i++; continue; }
+    if (inClass) { if (c === ']') inClass = false; continue; }
+    if (c === '[') inClass = true;
+    else if (c === '(') groups.push(false);
+    else if (c === ')') {
+      const quantified = groups.pop();
+      const next = source[i + 1];
+      if (quantified && (next === '+' || next === '*' || (next === '{' && /^\{\d+,\d*\}/.test(source.slice(i + 1))))) return true;
+      if (quantified && groups.length) groups[groups.length - 1] = true;
+    } else if ((c === '+' || c === '*' || (c === '{' && /^\{\d+,\d*\}/.test(source.slice(i)))) && groups.length) {
+      groups[groups.length - 1] = true;
+    }
+  }
+  return false;
+}
+
+// Every pattern the manifest matches URLs or inline content with: { path, pattern, url }
+function allPatterns(manifest) {
+  const out = [];
+  const add = (path, pattern, url) => { if (typeof pattern === 'string' && pattern) out.push({ path, pattern, url }); };
+  PLACES.forEach(({ key, field }) => {
+    (Array.isArray(manifest[key]) ? manifest[key] : []).forEach((item, i) => {
+      add(field ? `/${key}/${i}/${field}` : `/${key}/${i}`, field ? item && item[field] : item, true);
+    });
+  });
+  const purposes = (manifest.consent && manifest.consent.purposes) || {};
+  Object.keys(purposes).forEach(purpose => {
+    (purposes[purpose] || []).forEach((p, i) => add(`/consent/purposes/${purpose}/${i}`, p, true));
+  });
+  Object.keys(manifest.dependsOn || {}).forEach(key => {
+    add(`/dependsOn/${key}`, key, true);
+    (manifest.dependsOn[key] || []).forEach((p, i) => add(`/dependsOn/${key}/${i}`, p, true));
+  });
+  (manifest.deferInlineScripts || []).forEach((rule, i) => {
+    if (typeof rule === 'string') add(`/deferInlineScripts/${i}`, rule, false);
+    else if (rule) add(`/deferInlineScripts/${i}/contains`, rule.contains, false);
+  });
+  return out;
+}
+
+function checkRegexes(manifest, findings) {
+  allPatterns(manifest).filter(p => isRegex(p.pattern)).forEach(({ path, pattern }) => {
+    try {
+      new RegExp(pattern.slice(1, -1));
+    } catch (err) {
+      return findings.push({ path, severity: 'error', pattern, message: `${pattern} is not a valid regex (${err.message}) — the loader never matches it` });
+    }
+    if (nestedQuantifier(pattern.slice(1, -1))) {
+      findings.push({ path, severity: 'error', pattern, message: `${pattern} nests quantifiers — on a URL it doesn't match it can stall the page; drop the inner or outer quantifier` });
+    }
+  });
+}
+
+function checkPlacement(manifest, findings, minLength) {
+  const entries = [];
+  PLACES.forEach(({ key, label, field, ordered }, rank) => {
+    const seen = new Map();
+    (Array.isArray(manifest[key]) ? manifest[key] : []).forEach((item, i) => {
+      if (field && (!item || (key === 'facades' && (item.type || 'chat') !== 'chat'))) return;
+      const pattern = field ? item[field] : item;
+      if (typeof pattern !== 'string' || !pattern) return;
+      const path = field ? `/${key}/${i}/${field}` : `/${key}/${i}`;
+      if (!ordered && seen.has(pattern)) {
+        findings.push({ path, severity: 'warning', pattern, message: `"${pattern}" is already in ${key} (${seen.get(pattern)})` });
+        return;
+      }
+      seen.set(pattern, path);
+      if (!isRegex(pattern) && pattern.length < minLength) {
+        findings.push({ path, severity: 'warning', pattern, message: `"${pattern}" is shorter than ${minLength} characters — it matches any URL containing it; prefer a host or file name` });
+      } else if (!isRegex(pattern) && isGenericWord(pattern)) {
+        findings.push({ path, severity: 'warning', pattern, message: `"${pattern}" is a generic word — many scripts' URLs contain it; prefer a host or file name` });
+      }
+      entries.push({ path, pattern, rank, label, ordered, outcome: key === 'rules' ? item.trigger : key });
+    });
+  });
+
+  // Plain patterns only: whether a regex covers another can't be told here
+  entries.forEach(later => {
+    if (isRegex(later.pattern)) return;
+    const winner = entries.find(earlier => earlier !== later && !isRegex(earlier.pattern) &&
+      (earlier.rank < later.rank || (earlier.ordered && earlier.rank === later.rank && entries.indexOf(earlier) < entries.indexOf(later) && earlier.outcome !== later.outcome)) &&
+      later.pattern.includes(earlier.pattern));
+    if (!winner) return;
+    findings.push({
+      path: later.path,
+      severity: 'warning',
+      pattern: later.pattern,
+      message: winner.pattern === later.pattern
+        ? `"${later.pattern}" is also in ${winner.label} (${winner.path}), which is checked first — this entry never applies`
+        : `"${later.pattern}" never applies: every URL it matches also contains "${winner.pattern}" in ${winner.label} (${winner.path}), which is checked first`
+    });
+  });
+}
+
+function checkPreconnect(manifest, findings) {
+  // A regex that matches any URL says nothing about the origin
+  const patterns = allPatterns(manifest).filter(p => p.url && !matches('https://example.invalid/', p.pattern)).map(p => p.pattern);
+  const css = typeof manifest.criticalCssInline === 'string' ? manifest.criticalCssInline : '';
+  const preloads = (Array.isArray(manifest.preload) ? manifest.preload : []).map(p => (p && typeof p === 'object' ? p.url : p)).filter(u => typeof u === 'string');
+  (Array.isArray(manifest.preconnect) ? manifest.preconnect : []).forEach((origin, i) => {
+    let url;
+    try { url = new URL(origin); } catch { return; }
+    const used = preloads.some(p => p.startsWith(url.origin)) || css.includes(url.host) || patterns.some(p =>
+      matches(url.origin + '/', p) || (!isRegex(p) && p.includes(url.host)));
+    if (!used) {
+      findings.push({ path: `/preconnect/${i}`, severity: 'warning', pattern: origin, message: `No pattern, preload or critical CSS uses ${url.host} — drop the preconnect unless the page loads fonts or styles from it` });
+    }
+  });
+}
+
+/**
+ * Lint a resolved manifest. Returns findings, errors first:
+ * [{ path, severity: 'error'|'warning', pattern, message }] — `path` points
+ * into the resolved manifest. `minLength` is the shortest plain URL pattern
+ * not reported as broad (generic words are reported at any length).
+ */
+function lint(manifest, { minLength = DEFAULT_MIN_LENGTH } = {}) {
+  const findings = [];
+  checkRegexes(manifest, findings);
+  checkPlacement(manifest, findings, minLength);
+  checkPreconnect(manifest, findings);
+  return findings.filter(f => f.severity === 'error').concat(findings.filter(f => f.severity !== 'error'));
+}
+
+module.exports = { DEFAULT_MIN_LENGTH, GENERIC_WORDS, matches, lint };
@@ -0,0 +1,193 @@
+'use strict';
+/**
+ * manifest-resolve.js — Flatten template inheritance into the manifest the
+ * loader reads.
+ *
+ * A source manifest names a platform template in `extends` and says only how
+ * it differs. Every key it sets replaces the template's, except that a list
+ * may instead be given as { add, remove }:
+ *
+ *   { "domain": "www.example.com", "extends": "dealeron",
+ *     "deferScripts": { "add": ["chat-widget.js"], "remove": ["gtag"] } }
+ *
+ * `remove` drops equal items (strings or whole objects), `add` appends items
+ * not already there. Templates can extend templates; the chain is resolved
+ * root first. Site identity (domain, aliases, group) is never inherited.
+ *
+ * Manifests and templates can also name catalog vendors (see vendors.js)
+ * instead of listing their patterns, once the template chain is merged:
+ *
+ *   { "vendors": ["hotjar", "carcode"], "categories": { "chat": "defer" } }
+ *
+ * A vendor named in `vendors` goes in its recommended tier; `categories`
+ * puts every catalog vendor of a category in the given tier, including the
+ * named ones. The resolved manifest has their patterns in its lists instead
+ * of those two keys. A pattern the lists already hold stays where it is, so
+ * a site can always place a vendor's script itself.
+ */
+
+const templates = require('./templates');
+const vendors = require('./vendors');
+
+const SITE_KEYS = ['domain', 'aliases', 'group'];
+
+function isOverride(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value) &&
+    Object.keys(value).length > 0 && Object.keys(value).every(k => k === 'add' || k === 'remove');
+}
+
+function applyOverride(list, { add = [], remove = [] }) {
+  const key = item => JSON.stringify(item);
+  const removed = new Set(remove.map(key));
+  const out = list.filter(item => !removed.has(key(item)));
+  const present = new Set(out.map(key));
+  add.forEach(item => {
+    if (!present.has(key(item))) {
+      out.push(item);
+      present.add(key(item));
+    }
+  });
+  return out;
+}
+
+// The template chain flattened, root template first
+function resolveTemplate(name, seen) {
+  if (seen.includes(name)) throw new Error(`Template inheritance loop: ${seen.concat(name).join(' → ')}`);
+  const template = templates.get(name);
+  if (!template) throw new Error(`No template "${name}" (have: ${templates.list().join(', ') || 'none'})`);
+  return merge(template, seen.concat(name));
+}
+
+function merge(source, seen) {
+  const base = source.extends ? resolveTemplate(source.extends, seen) : {};
+  const out = {};
+  Object.keys(source).filter(k => k !== 'extends').forEach(k => {
+    const value = source[k];
+    if (isOverride(value)) {
+      if (base[k] !== undefined && !Array.isArray(base[k])) throw new Error(`${k}: add/remove only applies to lists`);
+      out[k] = applyOverride(base[k] || [], value);
+    } else {
+      out[k] = value;
+    }
+  });
+  Object.keys(base).filter(k => !(k in out) && !SITE_KEYS.includes(k)).forEach(k => { out[k] = base[k]; });
+  return out;
+}
+
+// Thrown for what a manifest says, with the JSON path that says it
+function manifestError(message, at) {
+  const err = new Error(message);
+  err.path = at;
+  return err;
+}
+
+// The manifest with the patterns of the vendors `vendors` and `categories`
+// name in its lists, instead of those two keys
+function expandVendors(manifest) {
+  const named = Array.isArray(manifest.vendors) ? manifest.vendors : [];
+  const categories = manifest.categories && typeof manifest.categories === 'object' ? manifest.categories : {};
+  const out = Object.assign({}, manifest);
+  delete out.vendors;
+  delete out.categories;
+  if (!named.length && !Object.keys(categories).length) return out;
+
+  let catalog;
+  try {
+    catalog = vendors.read().vendors;
+  } catch (err) {
+    throw manifestError(err.message, named.length ? '/vendors' : '/categories');
+  }
+  const tiers = new Map();
+  named.forEach((id, i) => {
+    const vendor = Object.prototype.hasOwnProperty.call(catalog, id) ? catalog[id] : null;
+    if (!vendor) throw manifestError(`No vendor "${id}" in the catalog`, `/vendors/${i}`);
+    tiers.set(id, categories[vendor.category] || vendor.tier);
+  });
+  Object.keys(catalog).forEach(id => {
+    const tier = categories[catalog[id].category];
+    if (tier && !tiers.has(id)) tiers.set(id, tier);
+  });
+
+  const listed = new Set();
+  Object.values(vendors.TIERS).forEach(key => { if (Array.isArray(out[key])) out[key].forEach(p => listed.add(p)); });
+  tiers.forEach((tier, id) => {
+    const key = vendors.TIERS[tier];
+    // An unknown tier or a list that isn't one: left for the schema to report
+    if (!key || (out[key] !== undefined && !Array.isArray(out[key]))) return;
+    const add = catalog[id].patterns.filter(p => !listed.has(p));
+    add.forEach(p => listed.add(p));
+    if (add.length) out[key] = (out[key] || []).concat(add);
+  });
+  return out;
+}
+
+/**
+ * Whether a manifest has anything to resolve: a template, or vendors to
+ * expand.
+ */
+function needsResolving(data) {
+  return data.extends !== undefined || data.vendors !== undefined || data.categories !== undefined;
+}
+
+/**
+ * The flattened manifest for a source manifest, vendors expanded (unchanged
+ * when there is nothing to resolve). Throws on a missing template, a loop,
+ * add/remove on a key that isn't a list, or an unknown vendor — the latter
+ * with the error's `path` set.
+ */
+function resolve(source) {
+  const merged = source.extends ? merge(source, []) : source;
+  return needsResolving(source) ? expandVendors(merged) : merged;
+}
+
+/**
+ * The schema for source manifests, derived from the manifest schema: adds
+ * `extends`, lets any list but `aliases` be an { add, remove } override and
+ * only requires `domain` and `extends` — the rest is checked on the resolved
+ * manifest.
+ */
+function sourceSchema(schema) {
+  const s = JSON.parse(JSON.stringify(schema));
+  s.required = ['domain', 'extends'];
+  Object.keys(s.properties).forEach(key => {
+    const prop = s.properties[key];
+    if (prop.type !== 'array' || SITE_KEYS.includes(key)) return;
+    const add = prop.items ? { type: 'array', items: prop.items } : { type: 'array' };
+    s.properties[key] = {
+      oneOf: [
+        prop,
+        { type: 'object', additionalProperties: false, minProperties: 1, properties: { add, remove: { type: 'array' } } }
+      ]
+    };
+  });
+  s.properties.extends = {
+    type: 'string',
+    description: 'Platform template to inherit from (templates/<name>.json)',
+    pattern: templates.NAME_RE.source
+  };
+  return s;
+}
+
+/**
+ * A template with everything it inherits merged in and its vendors
+ * expanded. Throws like resolve().
+ */
+function flatten(name) {
+  return expandVendors(resolveTemplate(name, []));
+}
+
+/**
+ * The schema for template files: a source manifest without site identity
+ * (domain, aliases, group), nothing required, and "_" notes allowed.
+ */
+function templateSchema(schema) {
+  const s = sourceSchema(schema);
+  s.title = 'Speed Layer Template';
+  s.description = 'Settings and script lists a platform\'s manifests inherit (templates/<name>.json)';
+  s.required = [];
+  SITE_KEYS.forEach(key => { delete s.properties[key]; });
+  s.patternProperties = { '^_': {} };
+  return s;
+}
+
+module.exports = { SITE_KEYS, needsResolving, resolve, flatten, sourceSchema, templateSchema, isOverride };
@@ -0,0 +1,492 @@
+'use strict';
+/**
+ * publisher.js — Publish saved manifests to the CDN through git.
+ *
+ * Sites load manifests from jsDelivr, which serves them from the git remote.
+ * Publishing commits the changed manifest files (a generated message lists
+ * each site's changes from the history log), pushes to the remote, then asks
+ * jsDelivr to purge each changed file so sites see it straight away. Alias
+ * pointer files and template sources (see manifest-io) count as part of their
+ * site. Manifests that extend a template or name vendors are re-resolved
+ * first, so template and vendor catalog changes go out with the next publish. The control manifest (the kill
+ * switch, see control.js) is published on its own by publishControl().
+ *
+ * Per-site state comes from git itself plus the last publish of that site:
+ *   modified      saved here, not committed yet
+ *   unpushed      committed, not on the remote yet (e.g. a push failed)
+ *   purge_failed  on the remote, but the CDN may serve the old file until it expires
+ *   published     on the remote and purged (or committed outside the API)
+ *
+ * Environment:
+ *   PUBLISH_REPO_DIR     git work tree holding the manifests (default: the repo containing MANIFEST_DIR)
+ *   PUBLISH_REMOTE       remote to push to (default: origin)
+ *   PUBLISH_BRANCH       branch the CDN serves (default: main)
+ *   PUBLISH_GIT_NAME     committer name (default: Speed Layer)
+ *   PUBLISH_GIT_EMAIL    committer email (default: speed-layer@localhost)
+ *   CDN_BASE             public manifest URL prefix (default: jsDelivr, Creggie/speed-layer@main)
+ *   CDN_PURGE_BASE       purge URL prefix (default: CDN_BASE on purge.jsdelivr.net; "off" to skip)
+ *   PUBLISH_STATUS_FILE  last publish per site (default: data/publish.json)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { execFile } = require('child_process');
+const io = require('./manifest-io');
+const history = require('./manifest-history');
+const control = require('./control');
+
+const REMOTE = process.env.PUBLISH_REMOTE || 'origin';
+const BRANCH = process.env.PUBLISH_BRANCH || 'main';
+const GIT_NAME = process.env.PUBLISH_GIT_NAME || 'Speed Layer';
+const GIT_EMAIL = process.env.PUBLISH_GIT_EMAIL || 'speed-layer@localhost';
+const CDN_BASE = process.env.CDN_BASE || 'https://cdn.jsdelivr.net/gh/Creggie/speed-layer@main/manifest/';
+const PURGE_BASE = process.env.CDN_PURGE_BASE === 'off'
+  ? null
+  : process.env.CDN_PURGE_BASE || CDN_BASE.replace('//cdn.jsdelivr.net/', '//purge.jsdelivr.net/');
+const STATUS_FILE = process.env.PUBLISH_STATUS_FILE || path.join(__dirname, '..', 'data', 'publish.json');
+const STATES = ['modified', 'unpushed', 'purge_failed', 'published'];
+
+const GIT_TIMEOUT_MS = 60 * 1000;
+const PURGE_TIMEOUT_MS = 10 * 1000;
+const MAX_MESSAGE_ENTRIES = 10;
+
+// =============================================================================
+// git
+// =============================================================================
+
+// Every command commits as the publisher (commit, and rebase after a rejected push)
+function git(args, cwd) {
+  const identity = ['-c', `user.name=${GIT_NAME}`, '-c', `user.email=${GIT_EMAIL}`];
+  return new Promise((resolve, reject) => {
+    execFile('git', identity.concat(args), { cwd, timeout: GIT_TIMEOUT_MS, maxBuffer: 10 * 1024 * 1024 }, (err, stdout, stderr) => {
+      if (err) {
+        // The last line that isn't advice ("hint: …") says what went wrong
+        const lines = (stderr || '').split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('hint:'));
+        const error = new Error(`git ${args[0]} failed: ${lines.pop() || err.message}`);
+        error.stderr = stderr || '';
+        reject(error);
+      } else {
+        resolve(stdout);
+      }
+    });
+  });
+}
+
+let _repo = null;
+
+// A directory relative to the work tree (it may not exist yet)
+function relativeTo(top, dir) {
+  const real = fs.existsSync(dir) ? fs.realpathSync(dir) : path.join(fs.realpathSync(path.dirname(dir)), path.basename(dir));
+  return path.relative(top, real).split(path.sep).join('/');
+}
+
+/**
+ * The work tree and the manifest and source directories relative to it (the
+ * pathspecs for every git command, so nothing else is ever committed).
+ */
+async function repo() {
+  if (!_repo) {
+    const dir = process.env.PUBLISH_REPO_DIR || (await git(['rev-parse', '--show-toplevel'], io.MANIFEST_DIR)).trim();
+    const top = fs.realpathSync(dir);
+    const manifestPath = relativeTo(top, io.MANIFEST_DIR);
+    const sourcePath = relativeTo(top, io.SOURCE_DIR);
+    _repo = { dir: top, manifestPath, sourcePath, pathspecs: [manifestPath, sourcePath] };
+  }
+  return _repo;
+}
+
+// manifest/<host>.json → { host }, manifest-src/<domain>.json → { host, source };
+// null for anything else under the directories
+function hostOf(file, { manifestPath, sourcePath }) {
+  const m = file.match(/^(.*)\/([^/]+)\.json$/);
+  if (!m) return null;
+  if (m[1] === manifestPath) return { host: m[2], source: false };
+  if (m[1] === sourcePath) return { host: m[2], source: true };
+  return null;
+}
+
+// A changed file as { domain, host, file, deleted, source }: `domain` is the
+// site — the host itself, or the site an alias pointer belongs to (a deleted
+// pointer is read back from `rev`). Source files are served by no host.
+async function change({ host, source }, file, deleted, rev, dir) {
+  if (source) return { domain: host, host: null, file, deleted, source };
+  let domain = host;
+  try {
+    const data = deleted ? JSON.parse(await git(['show', `${rev}:${file}`], dir)) : null;
+    domain = deleted ? (data && typeof data.aliasOf === 'string' ? data.aliasOf : host) : io.resolveDomain(host);
+  } catch { /* unreadable: count it as its own site */ }
+  return { domain, host, file, deleted, source };
+}
+
+// Changes grouped by site: [{ domain, deleted, hosts }]; `deleted` means the
+// site's own manifest was deleted, `hosts` are the changed files to purge
+function bySite(changes) {
+  const sites = new Map();
+  changes.forEach(c => {
+    const site = sites.get(c.domain) || { domain: c.domain, deleted: false, hosts: [] };
+    if (c.host === c.domain) site.deleted = !!c.deleted;
+    if (c.host && !site.hosts.includes(c.host)) site.hosts.push(c.host);
+    sites.set(c.domain, site);
+  });
+  return [...sites.values()];
+}
+
+/**
+ * Manifest, alias and source files that differ from HEAD: [{ domain, host, file, deleted, source }].
+ */
+async function localChanges() {
+  const r = await repo();
+  const { dir } = r;
+  const out = await git(['status', '--porcelain=v1', '-z', '--untracked-files=all', '--', ...r.pathspecs], dir);
+  const fields = out.split('\0');
+  const changes = [];
+  for (let i = 0; i < fields.length; i++) {
+    const entry = fields[i];
+    if (entry.length < 4) continue;
+    const code = entry.slice(0, 2);
+    const file = entry.slice(3);
+    if (code[0] === 'R' || code[0] === 'C') i++; // -z puts the original name next
+    const at = hostOf(file, r);
+    if (at) changes.push(await change(at, file, code.includes('D'), 'HEAD', dir));
+  }
+  return changes;
+}
+
+/**
+ * Manifests changed by local commits the remote doesn't have yet, or null
+ * when there's no remote-tracking branch to compare with (never pushed).
+ */
+async function unpushedChanges() {
+  const r = await repo();
+  const { dir } = r;
+  const ref = `refs/remotes/${REMOTE}/${BRANCH}`;
+  try {
+    await git(['rev-parse', '--verify', '--quiet', ref], dir);
+  } catch {
+    return null;
+  }
+  const out = await git(['diff', '--name-status', '-z', `${ref}...HEAD`, '--', ...r.pathspecs], dir);
+  const fields = out.split('\0').filter(Boolean);
+  const changes = [];
+  for (let i = 0; i < fields.length; i += 2) {
+    const at = hostOf(fields[i + 1], r);
+    if (at) changes.push(await change(at, fields[i + 1], fields[i] === 'D', ref, dir));
+  }
+  return changes;
+}
+
+// =============================================================================
+// Status store — the last publish of each site
+// =============================================================================
+
+function loadStore() {
+  try {
+    return JSON.parse(fs.readFileSync(STATUS_FILE, 'utf8'));
+  } catch {
+    return { sites: {}, lastRun: null };
+  }
+}
+
+// Sites whose last purge failed; publishing again retries them
+function failedPurges(store) {
+  return Object.keys(store.sites).filter(domain => store.sites[domain].purge === 'failed');
+}
+
+function saveStore(store) {
+  fs.mkdirSync(path.dirname(STATUS_FILE), { recursive: true });
+  const tmpPath = STATUS_FILE + '.tmp';
+  fs.writeFileSync(tmpPath, JSON.stringify(store, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmpPath, STATUS_FILE);
+}
+
+/**
+ * Publish state of every site that exists or has pending changes:
+ * { remote, branch, cdnBase, lastRun, sites: [{ domain, state, deleted, commit, publishedAt, actor, rev, purge, error }] }
+ * `include(domain)` limits the sites (dealer-group scoping).
+ */
+async function status(include = () => true) {
+  const [changed, unpushed] = await Promise.all([localChanges(), unpushedChanges()]);
+  const store = loadStore();
+  const byDomain = new Map();
+  io.listManifests().forEach(domain => byDomain.set(domain, { domain, deleted: false }));
+  failedPurges(store).forEach(domain => byDomain.has(domain) || byDomain.set(domain, { domain, deleted: true }));
+  bySite((unpushed || []).concat(changed)).forEach(site => {
+    // A site seen only through its alias files is deleted if it has no manifest
+    const deleted = site.hosts.includes(site.domain) ? site.deleted : !byDomain.has(site.domain);
+    byDomain.set(site.domain, { domain: site.domain, deleted });
+  });
+
+  // A template or the vendor catalog changed since these were resolved: the
+  // next publish updates them
+  const modified = new Set(changed.map(c => c.domain).concat(io.refreshResolved({ dryRun: true }).updated));
+  const ahead = new Set((unpushed || []).map(c => c.domain));
+  const sites = [...byDomain.values()]
+    .filter(site => include(site.domain))
+    .sort((a, b) => a.domain.localeCompare(b.domain))
+    .map(site => {
+      const last = store.sites[site.domain] || {};
+      let state = 'published';
+      if (modified.has(site.domain)) state = 'modified';
+      else if (ahead.has(site.domain)) state = 'unpushed';
+      else if (last.purge === 'failed') state = 'purge_failed';
+      return {
+        domain: site.domain,
+        state,
+        deleted: site.deleted,
+        commit: last.commit || null,
+        publishedAt: last.publishedAt || null,
+        actor: last.actor || null,
+        rev: last.rev || null,
+        purge: last.purge || null,
+        error: last.error || null
+      };
+    });
+
+  return { remote: REMOTE, branch: BRANCH, cdnBase: CDN_BASE, lastRun: store.lastRun, sites };
+}
+
+// =============================================================================
+// Publishing
+// =============================================================================
+
+// History entries since the site was last published, oldest first
+function pendingEntries(domain, store) {
+  const since = (store.sites[domain] || {}).rev || 0;
+  return history.list(domain).filter(e => e.rev > since && e.action !== 'baseline').reverse();
+}
+
+// `refreshed` are the sites re-resolved from a changed template or vendor catalog
+function commitMessage(changes, actor, store, refreshed) {
+  const sites = bySite(changes);
+  const names = sites.map(c => c.domain);
+  const shown = names.length > 3 ? `${names.slice(0, 3).join(', ')} and ${names.length - 3} more` : names.join(', ');
+  const lines = [`Publish ${names.length} manifest${names.length === 1 ? '' : 's'}: ${shown}`, ''];
+
+  for (const c of sites) {
+    const entries = pendingEntries(c.domain, store);
+    if (refreshed.includes(c.domain)) {
+      const source = io.readManifest(c.domain) || {};
+      const from = [source.extends && `template ${source.extends}`, (source.vendors || source.categories) && 'vendor catalog'];
+      lines.push(`- ${c.domain}: ${from.filter(Boolean).join(' or ') || 'template'} changed`);
+    }
+    if (!entries.length) {
+      if (refreshed.includes(c.domain)) continue;
+      lines.push(`- ${c.domain}: ${c.deleted ? 'deleted' : 'changed'} outside the API`);
+      continue;
+    }
+    entries.slice(-MAX_MESSAGE_ENTRIES).forEach(e => {
+      lines.push(`- ${c.domain}: ${e.action} rev ${e.rev} by ${e.actor}${e.reason ? ` — ${e.reason}` : ''}`);
+    });
+    if (entries.length > MAX_MESSAGE_ENTRIES) lines.push(`  (${entries.length - MAX_MESSAGE_ENTRIES} earlier revisions not listed)`);
+  }
+
+  lines.push('', `Published by ${actor}`);
+  return lines.join('\n');
+}
+
+// Pushes; when the remote moved on, rebases onto it once and retries
+async function push(dir) {
+  const args = ['push', REMOTE, `HEAD:refs/heads/${BRANCH}`];
+  try {
+    await git(args, dir);
+  } catch (err) {
+    if (!/rejected|fetch first|non-fast-forward/i.test(err.stderr || '')) throw err;
+    try {
+      await git(['pull', '--rebase', '--autostash', REMOTE, BRANCH], dir);
+    } catch (pullErr) {
+      await git(['rebase', '--abort'], dir).catch(() => {});
+      throw new Error(`${REMOTE}/${BRANCH} has moved on and rebasing onto it failed — ${pullErr.message}`);
+    }
+    await git(args, dir);
+  }
+}
+
+// An error message, or null once the CDN dropped its copy
+async function purgeUrl(url, name) {
+  try {
+    const controller = new AbortController();
+    const id = setTimeout(() => controller.abort(), PURGE_TIMEOUT_MS);
+    const response = await fetch(url, { signal: controller.signal });
+    clearTimeout(id);
+    if (!response.ok) return `Purge of ${name} returned HTTP ${response.status}`;
+    return null;
+  } catch (err) {
+    return `Purge of ${name} failed: ${err.name === 'AbortError' ? 'timed out' : err.message}`;
+  }
+}
+
+function purgeFile(host) {
+  return purgeUrl(PURGE_BASE + host + '.json', host + '.json');
+}
+
+// Purges the site's changed files — its manifest, and any alias files
+async function purge(domain, hosts) {
+  if (!PURGE_BASE) return { domain, purge: 'off' };
+  const errors = (await Promise.all(hosts.map(purgeFile))).filter(Boolean);
+  if (errors.length) return { domain, purge: 'failed', error: errors.join('; ') };
+  return { domain, purge: 'ok' };
+}
+
+async function runPublish({ actor, domains, include }) {
+  const { dir } = await repo();
+  const store = loadStore();
+  const startedAt = new Date().toISOString();
+
+  // Template changes since the last save land in the resolved files first;
+  // sites that no longer resolve keep their last good version
+  const { updated: refreshed, errors: unresolved } = io.refreshResolved();
+  const selected = (await localChanges())
+    .filter(c => (!domains || domains.includes(c.domain)) && include(c.domain));
+
+  let commit = null;
+  if (selected.length) {
+    const files = selected.map(c => c.file);
+    await git(['add', '--all', '--', ...files], dir);
+    await git(['commit', '--quiet', `--author=${actor} <${GIT_EMAIL}>`, '-m', commitMessage(selected, actor, store, refreshed), '--', ...files], dir);
+    commit = (await git(['rev-parse', 'HEAD'], dir)).trim();
+  }
+
+  // Everything the push will send — this run's commit plus any earlier
+  // commit whose push failed (or, never pushed before, just this run's) —
+  // and the sites whose purge failed last time (their manifest and alias files)
+  const unpushed = await unpushedChanges();
+  const outgoing = bySite(unpushed || selected);
+  failedPurges(store)
+    .filter(domain => (!domains || domains.includes(domain)) && include(domain))
+    .filter(domain => !outgoing.some(c => c.domain === domain))
+    .forEach(domain => {
+      const live = io.readManifest(domain);
+      outgoing.push({ domain, deleted: !live, hosts: [domain].concat((live && live.aliases) || []) });
+    });
+  if (!outgoing.length) {
+    return { ok: true, pushed: false, commit: null, sites: [], message: 'Nothing to publish', unresolved: unresolved.filter(u => include(u.domain)) };
+  }
+
+  const head = commit || (await git(['rev-parse', 'HEAD'], dir)).trim();
+  try {
+    await push(dir);
+  } catch (err) {
+    outgoing.forEach(c => {
+      store.sites[c.domain] = Object.assign({}, store.sites[c.domain], { error: err.message });
+    });
+    store.lastRun = { at: startedAt, actor, commit: head, domains: outgoing.map(c => c.domain), ok: false, error: err.message };
+    saveStore(store);
+    const sites = outgoing.filter(c => include(c.domain)).map(c => ({ domain: c.domain, state: 'unpushed', error: err.message }));
+    return { ok: false, pushed: false, commit, error: err.message, sites, unresolved: unresolved.filter(u => include(u.domain)) };
+  }
+  const pushed = (await git(['rev-parse', 'HEAD'], dir)).trim(); // differs after a rebase
+
+  const purges = await Promise.all(outgoing.map(c => purge(c.domain, c.hosts)));
+  const publishedAt = new Date().toISOString();
+  const sites = purges.map(p => {
+    const latest = history.list(p.domain)[0];
+    store.sites[p.domain] = {
+      commit: pushed,
+      publishedAt,
+      actor,
+      rev: latest ? latest.rev : null,
+      purge: p.purge,
+      error: p.error || null
+    };
+    return { domain: p.domain, state: p.purge === 'failed' ? 'purge_failed' : 'published', purge: p.purge, error: p.error || null };
+  });
+  const purgeFailures = sites.filter(s => s.purge === 'failed').length;
+  store.lastRun = {
+    at: startedAt,
+    actor,
+    commit: pushed,
+    domains: sites.map(s => s.domain),
+    ok: !purgeFailures,
+    error: purgeFailures ? `${purgeFailures} purge(s) failed — the CDN may serve old copies until its cache expires` : null
+  };
+  saveStore(store);
+
+  // Earlier commits for other dealer groups went out too; report only the caller's sites
+  return {
+    ok: !purgeFailures,
+    pushed: true,
+    commit: pushed,
+    sites: sites.filter(s => include(s.domain)),
+    error: store.lastRun.error,
+    unresolved: unresolved.filter(u => include(u.domain))
+  };
+}
+
+// =============================================================================
+// Control manifest — published on its own, straight away
+// =============================================================================
+
+function controlMessage(current, actor) {
+  let subject = 'Control: Speed Layer runs everywhere';
+  if (current.disabled) subject = 'Control: Speed Layer disabled everywhere';
+  else if (current.domains.length) subject = `Control: Speed Layer disabled on ${current.domains.join(', ')}`;
+  const lines = [subject, ''];
+  if (current.message) lines.push(current.message, '');
+  lines.push(`Published by ${actor}`);
+  return lines.join('\n');
+}
+
+async function runPublishControl({ actor }) {
+  const { dir, manifestPath } = await repo();
+  const file = relativeTo(dir, control.CONTROL_FILE);
+  let commit = null;
+  if ((await git(['status', '--porcelain', '--', file], dir)).trim()) {
+    await git(['add', '--', file], dir);
+    await git(['commit', '--quiet', `--author=${actor} <${GIT_EMAIL}>`, '-m', controlMessage(control.read(), actor), '--', file], dir);
+    commit = (await git(['rev-parse', 'HEAD'], dir)).trim();
+  }
+
+  // Manifest commits whose push failed go out too, unpurged: record that so
+  // the next publish purges them
+  const unpushed = bySite((await unpushedChanges()) || []);
+  try {
+    await push(dir);
+  } catch (err) {
+    return { ok: false, pushed: false, commit, purge: null, error: err.message };
+  }
+  const pushed = (await git(['rev-parse', 'HEAD'], dir)).trim();
+  if (unpushed.length) {
+    const store = loadStore();
+    unpushed.forEach(c => {
+      store.sites[c.domain] = Object.assign({}, store.sites[c.domain], { purge: 'failed', error: 'Pushed with a control manifest change — publish again to purge the CDN' });
+    });
+    saveStore(store);
+  }
+
+  if (!PURGE_BASE) return { ok: true, pushed: true, commit: pushed, purge: 'off', error: null };
+  const url = new URL(path.posix.relative(manifestPath, file), PURGE_BASE).href;
+  const error = await purgeUrl(url, path.posix.basename(file));
+  return { ok: !error, pushed: true, commit: pushed, purge: error ? 'failed' : 'ok', error };
+}
+
+// One publish at a time: concurrent runs would race on the git index
+let queue = Promise.resolve();
+
+/**
+ * Commit, push and purge the changed manifests.
+ *   actor    who is publishing (commit author)
+ *   domains  only these sites (default: every changed site)
+ *   include  domain → boolean, limits what may be committed (dealer-group scoping)
+ * Resolves { ok, pushed, commit, sites: [{ domain, state, purge, error }], unresolved: [{ domain, message }], error?, message? };
+ * `unresolved` are sites that extend a template or name vendors but no longer resolve (left as they were).
+ * ok is false when the push or a purge failed.
+ * Rejects only when git itself fails before the push (not a repo, commit refused …).
+ */
+function publish({ actor, domains = null, include = () => true }) {
+  const run = queue.then(() => runPublish({ actor, domains, include }));
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Commit, push and purge the control manifest (control.js) on its own.
+ * Resolves { ok, pushed, commit, purge: ok|failed|off|null, error }; ok is
+ * false when the push or the purge failed. Rejects like publish().
+ */
+function publishControl({ actor }) {
+  const run = queue.then(() => runPublishControl({ actor }));
+  queue = run.catch(() => {});
+  return run;
+}
+
+module.exports = { CDN_BASE, PURGE_BASE, REMOTE, BRANCH, STATUS_FILE, STATES, status, publish, publishControl };
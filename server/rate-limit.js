@@ -0,0 +1,40 @@
+'use strict';
+/**
+ * rate-limit.js — In-memory token buckets, shared by telemetry ingestion and
+ * admin login.
+ */
+
+/**
+ * One bucket per key: holds up to `burst` tokens, refilled at `ratePerSec`.
+ * take() spends a token and returns false when the bucket is empty.
+ */
+function createLimiter({ burst, ratePerSec }) {
+  const buckets = new Map();
+
+  function take(key, now = Date.now()) {
+    let bucket = buckets.get(key);
+    if (!bucket) {
+      bucket = { tokens: burst, updated: now };
+      buckets.set(key, bucket);
+    }
+    bucket.tokens = Math.min(burst, bucket.tokens + ((now - bucket.updated) / 1000) * ratePerSec);
+    bucket.updated = now;
+    if (bucket.tokens < 1) return false;
+    bucket.tokens -= 1;
+    return true;
+  }
+
+  // Forget buckets that have refilled completely — they behave like new ones
+  function sweep(now = Date.now()) {
+    for (const [key, bucket] of buckets) {
+      if (bucket.tokens + ((now - bucket.updated) / 1000) * ratePerSec >= burst) buckets.delete(key);
+    }
+  }
+
+  const timer = setInterval(sweep, 60 * 1000);
+  timer.unref();
+
+  return { take, sweep, size: () => buckets.size };
+}
+
+module.exports = { createLimiter };
@@ -0,0 +1,259 @@
+'use strict';
+/**
+ * telemetry-guard.js — Checks on POST /api/telemetry (and discover mode's
+ * POST /api/sites/:domain/discoveries) before anything is stored.
+ *
+ * Beacons arrive cross-origin from dealer sites via navigator.sendBeacon, so
+ * the endpoint answers CORS preflights for origins that have a manifest,
+ * caps the payload size, validates against the TelemetryEvent (or
+ * DiscoveryReport) schema in openapi.yaml, rejects domains without a
+ * manifest (for discoveries, sites not in discover mode) and applies
+ * token-bucket rate limits per client IP and per domain. Beacons from an alias host are
+ * stored under the site's own domain. Every rejection is counted by
+ * reason so the Health page can tell abuse from broken loaders.
+ *
+ * Environment:
+ *   TELEMETRY_MAX_BYTES                      payload cap (default: 65536 — sendBeacon's own limit)
+ *   TELEMETRY_IP_BURST / TELEMETRY_IP_RATE          per-IP bucket size / refill per second (default: 30 / 0.5)
+ *   TELEMETRY_DOMAIN_BURST / TELEMETRY_DOMAIN_RATE  per-domain bucket size / refill per second (default: 600 / 20)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const yaml = require('js-yaml');
+const Ajv = require('ajv');
+const io = require('./manifest-io');
+const { createLimiter } = require('./rate-limit');
+
+const MAX_BYTES = parseInt(process.env.TELEMETRY_MAX_BYTES, 10) || 64 * 1024;
+const KNOWN_DOMAINS_TTL_MS = 30 * 1000;
+const RECENT_REJECTIONS = 50;
+
+// =============================================================================
+// Rate limits
+// =============================================================================
+
+const ipLimiter = createLimiter({
+  burst: parseFloat(process.env.TELEMETRY_IP_BURST) || 30,
+  ratePerSec: parseFloat(process.env.TELEMETRY_IP_RATE) || 0.5
+});
+const domainLimiter = createLimiter({
+  burst: parseFloat(process.env.TELEMETRY_DOMAIN_BURST) || 600,
+  ratePerSec: parseFloat(process.env.TELEMETRY_DOMAIN_RATE) || 20
+});
+
+// =============================================================================
+// Schemas — TelemetryEvent and DiscoveryReport from openapi.yaml, compiled once
+// =============================================================================
+
+let _ajv = null;
+const _validators = {};
+function getValidator(name) {
+  if (!_ajv) {
+    const spec = yaml.load(fs.readFileSync(path.join(__dirname, 'openapi.yaml'), 'utf8'));
+    // OpenAPI 3.0 schemas: `nullable` is understood by Ajv, other annotations are ignored
+    _ajv = new Ajv({ allErrors: true, strict: false });
+    _ajv.addSchema({ $id: 'openapi.yaml', components: spec.components });
+  }
+  if (!_validators[name]) _validators[name] = _ajv.compile({ $ref: `openapi.yaml#/components/schemas/${name}` });
+  return _validators[name];
+}
+
+function validateEvent(event, schema = 'TelemetryEvent') {
+  const validate = getValidator(schema);
+  if (validate(event)) return { valid: true };
+  return {
+    valid: false,
+    errors: validate.errors.slice(0, 5).map(e => ({ path: e.instancePath || '(root)', message: e.message }))
+  };
+}
+
+// =============================================================================
+// Known domains — those with a manifest or an alias of one, mapped to the
+// site's domain (cached briefly; beacons are frequent)
+// =============================================================================
+
+let _known = null;
+let _knownAt = 0;
+function siteOf(host) {
+  if (!_known || Date.now() - _knownAt > KNOWN_DOMAINS_TTL_MS) {
+    _known = new Map(io.listManifests().map(d => [d, d]));
+    Object.entries(io.listAliases()).forEach(([alias, site]) => _known.set(alias, site));
+    _knownAt = Date.now();
+  }
+  return _known.get(host) || null;
+}
+
+function isKnownDomain(domain) {
+  return !!siteOf(domain);
+}
+
+function originHost(origin) {
+  try {
+    return new URL(origin).hostname;
+  } catch {
+    return null;
+  }
+}
+
+// =============================================================================
+// Rejection counters (since server start)
+// =============================================================================
+
+const rejections = {
+  since: Date.now(),
+  total: 0,
+  byReason: {},
+  byDomain: {},
+  recent: []
+};
+
+function recordRejection(reason, { domain, ip, detail } = {}) {
+  rejections.total++;
+  rejections.byReason[reason] = (rejections.byReason[reason] || 0) + 1;
+  const key = domain || '(none)';
+  rejections.byDomain[key] = (rejections.byDomain[key] || 0) + 1;
+  rejections.recent.push({ at: Date.now(), reason, domain: domain || null, ip: ip || null, detail: detail || null });
+  if (rejections.recent.length > RECENT_REJECTIONS) rejections.recent.shift();
+}
+
+function reject(req, res, status, reason, extra = {}) {
+  recordRejection(reason, { domain: extra.domain, ip: req.ip, detail: extra.detail });
+  res.status(status).json(Object.assign({ error: reason }, extra.errors ? { errors: extra.errors } : {}));
+}
+
+function getRejections() {
+  const topDomains = Object.entries(rejections.byDomain)
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, 20)
+    .map(([domain, count]) => ({ domain, count }));
+  return {
+    since: rejections.since,
+    total: rejections.total,
+    byReason: rejections.byReason,
+    topDomains,
+    recent: rejections.recent.slice().reverse()
+  };
+}
+
+// =============================================================================
+// Middleware
+// =============================================================================
+
+/**
+ * CORS for beacons. sendBeacon sends credentials, so the origin is echoed
+ * (never "*") and Allow-Credentials is set — only for origins with a manifest.
+ */
+function cors(req, res, next) {
+  const origin = req.get('Origin');
+  const host = origin && originHost(origin);
+  const allowed = host && isKnownDomain(host);
+
+  if (allowed) {
+    res.set('Access-Control-Allow-Origin', origin);
+    res.set('Access-Control-Allow-Credentials', 'true');
+  }
+  res.set('Vary', 'Origin');
+
+  if (req.method === 'OPTIONS') {
+    if (!allowed) return reject(req, res, 403, 'origin_not_allowed', { domain: host, detail: origin || null });
+    res.set('Access-Control-Allow-Methods', 'POST, OPTIONS');
+    res.set('Access-Control-Allow-Headers', 'Content-Type');
+    res.set('Access-Control-Max-Age', '86400');
+    return res.status(204).end();
+  }
+  next();
+}
+
+/**
+ * Read the raw body up to MAX_BYTES. Beacons may be typed application/json
+ * or text/plain (no preflight), so the content type isn't trusted either way.
+ */
+function readBody(req, res, next) {
+  if (!ipLimiter.take(req.ip)) return reject(req, res, 429, 'rate_limited_ip');
+
+  const declared = parseInt(req.get('Content-Length'), 10);
+  if (declared > MAX_BYTES) return reject(req, res, 413, 'too_large', { detail: `${declared} bytes` });
+
+  let size = 0;
+  const chunks = [];
+  let aborted = false;
+  req.on('data', chunk => {
+    if (aborted) return;
+    size += chunk.length;
+    if (size > MAX_BYTES) {
+      aborted = true;
+      reject(req, res, 413, 'too_large', { detail: `>${MAX_BYTES} bytes` });
+      req.resume();
+      return;
+    }
+    chunks.push(chunk);
+  });
+  req.on('end', () => {
+    if (aborted) return;
+    try {
+      req.body = JSON.parse(Buffer.concat(chunks).toString('utf8'));
+    } catch {
+      return reject(req, res, 400, 'invalid_json');
+    }
+    next();
+  });
+}
+
+/**
+ * Schema, domain and per-domain rate checks on the parsed event.
+ */
+function checkEvent(req, res, next) {
+  const event = req.body;
+  const domain = event && typeof event.domain === 'string' ? event.domain : undefined;
+
+  const result = validateEvent(event);
+  if (!result.valid) return reject(req, res, 400, 'schema', { domain, errors: result.errors, detail: result.errors[0].path + ' ' + result.errors[0].message });
+
+  if (!isKnownDomain(domain)) return reject(req, res, 403, 'unknown_domain', { domain });
+
+  const origin = req.get('Origin');
+  if (origin && originHost(origin) !== domain) {
+    return reject(req, res, 403, 'origin_mismatch', { domain, detail: origin });
+  }
+
+  const site = siteOf(domain);
+  if (!domainLimiter.take(site)) return reject(req, res, 429, 'rate_limited_domain', { domain });
+  if (site !== domain) req.body = Object.assign({}, event, { domain: site });
+  next();
+}
+
+/**
+ * The same checks on a discover-mode report. The site comes from the path
+ * (aliases already resolved); the report's domain is the host it was seen on.
+ */
+function checkDiscovery(req, res, next) {
+  const report = req.body;
+  const site = req.params.domain;
+
+  const result = validateEvent(report, 'DiscoveryReport');
+  if (!result.valid) return reject(req, res, 400, 'schema', { domain: site, errors: result.errors, detail: result.errors[0].path + ' ' + result.errors[0].message });
+
+  if (siteOf(report.domain) !== site) return reject(req, res, 403, 'unknown_domain', { domain: report.domain });
+
+  const origin = req.get('Origin');
+  if (origin && originHost(origin) !== report.domain) {
+    return reject(req, res, 403, 'origin_mismatch', { domain: report.domain, detail: origin });
+  }
+
+  const manifest = io.readResolved(site);
+  if (!manifest || manifest.mode !== 'discover') return reject(req, res, 403, 'not_discovering', { domain: site });
+
+  if (!domainLimiter.take(site)) return reject(req, res, 429, 'rate_limited_domain', { domain: site });
+  next();
+}
+
+module.exports = {
+  MAX_BYTES,
+  cors,
+  readBody,
+  checkEvent,
+  checkDiscovery,
+  validateEvent,
+  getRejections
+};
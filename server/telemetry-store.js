@@ -0,0 +1,265 @@
+'use strict';
+/**
+ * telemetry-store.js — Durable telemetry on disk.
+ *
+ * Append-only NDJSON, one file per UTC day (telemetry-YYYY-MM-DD.ndjson),
+ * rolled over to .1, .2 … when a file passes the size cap. Files older than
+ * the retention window are deleted by prune().
+ *
+ * Environment:
+ *   TELEMETRY_DIR             storage directory (default: data/telemetry)
+ *   TELEMETRY_RETENTION_DAYS  days to keep (default: 30)
+ *   TELEMETRY_MAX_FILE_MB     size cap per file before rollover (default: 50)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const TELEMETRY_DIR = process.env.TELEMETRY_DIR || path.join(__dirname, '..', 'data', 'telemetry');
+const RETENTION_DAYS = parseInt(process.env.TELEMETRY_RETENTION_DAYS, 10) || 30;
+const MAX_FILE_BYTES = (parseFloat(process.env.TELEMETRY_MAX_FILE_MB) || 50) * 1024 * 1024;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const FILE_RE = /^telemetry-(\d{4}-\d{2}-\d{2})(?:\.(\d+))?\.ndjson$/;
+const GROUP_BY = ['domain', 'day', 'event', 'none'];
+const TIMINGS = ['lcp', 'cls', 'inp', 'ttfb', 'manifestLoaded'];
+
+let current = null; // { day, file, size } — the file appends go to
+
+function dayOf(ms) {
+  return new Date(ms).toISOString().slice(0, 10);
+}
+
+function ensureDir() {
+  fs.mkdirSync(TELEMETRY_DIR, { recursive: true });
+}
+
+/**
+ * Telemetry files, oldest first, as { name, day, part }.
+ */
+function listFiles() {
+  if (!fs.existsSync(TELEMETRY_DIR)) return [];
+  return fs.readdirSync(TELEMETRY_DIR)
+    .map(name => {
+      const m = name.match(FILE_RE);
+      return m ? { name, day: m[1], part: parseInt(m[2] || '0', 10) } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) => (a.day === b.day ? a.part - b.part : a.day < b.day ? -1 : 1));
+}
+
+function fileFor(day) {
+  if (current && current.day === day && current.size < MAX_FILE_BYTES) return current;
+
+  // Resume the newest part for this day (e.g. after a restart), or start the next one
+  const parts = listFiles().filter(f => f.day === day);
+  let part = parts.length ? parts[parts.length - 1].part : 0;
+  let name = `telemetry-${day}${part ? '.' + part : ''}.ndjson`;
+  let size = fs.existsSync(path.join(TELEMETRY_DIR, name)) ? fs.statSync(path.join(TELEMETRY_DIR, name)).size : 0;
+
+  if (size >= MAX_FILE_BYTES) {
+    part++;
+    name = `telemetry-${day}.${part}.ndjson`;
+    size = 0;
+  }
+  current = { day, file: path.join(TELEMETRY_DIR, name), size };
+  return current;
+}
+
+/**
+ * Append one event. Stamps _receivedAt (server time), which is what every
+ * query filters on — client timestamps can't be trusted.
+ */
+function append(event) {
+  ensureDir();
+  const record = Object.assign({}, event, { _receivedAt: Date.now() });
+  const line = JSON.stringify(record) + '\n';
+  const target = fileFor(dayOf(record._receivedAt));
+  fs.appendFileSync(target.file, line, 'utf8');
+  target.size += Buffer.byteLength(line);
+  return record;
+}
+
+/**
+ * Delete files whose whole day is older than the retention window.
+ * Returns the number of files removed.
+ */
+function prune(now = Date.now()) {
+  const cutoff = dayOf(now - RETENTION_DAYS * DAY_MS);
+  let removed = 0;
+  for (const f of listFiles()) {
+    if (f.day < cutoff) {
+      fs.unlinkSync(path.join(TELEMETRY_DIR, f.name));
+      removed++;
+    }
+  }
+  if (current && current.day < cutoff) current = null;
+  return removed;
+}
+
+function matches(record, { from, to, domain, domains, event }) {
+  if (!record || typeof record._receivedAt !== 'number') return false;
+  if (from != null && record._receivedAt < from) return false;
+  if (to != null && record._receivedAt > to) return false;
+  if (domain && record.domain !== domain) return false;
+  if (domains && !domains.includes(record.domain)) return false;
+  if (event && record.event !== event) return false;
+  return true;
+}
+
+/**
+ * Stream the records in one file that pass `filter`. Corrupt lines (e.g. a
+ * partial write during a crash) are skipped.
+ */
+async function readFile(name, filter, onRecord) {
+  const input = fs.createReadStream(path.join(TELEMETRY_DIR, name), { encoding: 'utf8' });
+  const lines = readline.createInterface({ input, crlfDelay: Infinity });
+  for await (const line of lines) {
+    if (!line) continue;
+    let record;
+    try { record = JSON.parse(line); } catch { continue; }
+    if (matches(record, filter)) onRecord(record);
+  }
+}
+
+function filesInRange(from, to) {
+  const fromDay = from != null ? dayOf(from) : null;
+  const toDay = to != null ? dayOf(to) : null;
+  return listFiles().filter(f => (!fromDay || f.day >= fromDay) && (!toDay || f.day <= toDay));
+}
+
+/**
+ * The newest `limit` events (optionally for one domain, or a list of
+ * `domains`), oldest first. Reads files newest-first and stops once it has enough.
+ */
+async function recent({ limit = 100, domain, domains } = {}) {
+  let events = [];
+  const files = listFiles().reverse();
+  for (const f of files) {
+    const chunk = [];
+    await readFile(f.name, { domain, domains }, record => chunk.push(record));
+    events = chunk.concat(events);
+    if (events.length >= limit) break;
+  }
+  return events.slice(-limit);
+}
+
+// Nearest-rank percentile of a sorted array
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function timingStats(values) {
+  const sorted = values.slice().sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    p50: percentile(sorted, 50),
+    p75: percentile(sorted, 75),
+    p95: percentile(sorted, 95)
+  };
+}
+
+function emptyGroup(key) {
+  return {
+    key,
+    events: 0,
+    byEvent: {},
+    pageViews: 0,
+    activePageViews: 0,
+    manifestErrors: 0,
+    errorTypes: {},
+    manifestSources: {},
+    timings: TIMINGS.reduce((acc, name) => { acc[name] = []; return acc; }, {})
+  };
+}
+
+function addToGroup(group, record) {
+  group.events++;
+  group.byEvent[record.event] = (group.byEvent[record.event] || 0) + 1;
+
+  if (record.event === 'manifest_error') {
+    group.manifestErrors++;
+    const type = record.errorType || 'unknown';
+    group.errorTypes[type] = (group.errorTypes[type] || 0) + 1;
+  }
+
+  if (record.event === 'page_summary') {
+    group.pageViews++;
+    if (record.active) group.activePageViews++;
+    const source = record.manifestSource || 'none';
+    group.manifestSources[source] = (group.manifestSources[source] || 0) + 1;
+
+    const vitals = record.vitals || {};
+    const marks = record.marks || {};
+    const values = { lcp: vitals.lcp, cls: vitals.cls, inp: vitals.inp, ttfb: vitals.ttfb, manifestLoaded: marks.manifestLoaded };
+    for (const name of TIMINGS) {
+      if (typeof values[name] === 'number' && isFinite(values[name])) group.timings[name].push(values[name]);
+    }
+  }
+}
+
+function finishGroup(group) {
+  const timings = {};
+  for (const name of TIMINGS) timings[name] = timingStats(group.timings[name]);
+  return Object.assign({}, group, {
+    errorRate: group.pageViews ? Math.round((group.manifestErrors / group.pageViews) * 10000) / 10000 : null,
+    timings
+  });
+}
+
+/**
+ * Aggregate events between `from` and `to` (ms) into groups keyed by domain,
+ * UTC day, event name, or a single 'all' group (`domains` limits the input).
+ * Each group carries counts, the manifest error rate (manifest_error per
+ * page_summary) and p50/p75/p95 of LCP, CLS, INP, TTFB and manifest load time.
+ * A page view sends a page_summary each time it is hidden; only the last one
+ * received for a pageViewId counts.
+ */
+async function summarize({ from, to, domain, domains, groupBy = 'domain' }) {
+  const groups = new Map();
+  const keyOf = record => {
+    if (groupBy === 'day') return dayOf(record._receivedAt);
+    if (groupBy === 'event') return record.event || 'unknown';
+    if (groupBy === 'none') return 'all';
+    return record.domain || 'unknown';
+  };
+
+  const add = record => {
+    const key = keyOf(record);
+    if (!groups.has(key)) groups.set(key, emptyGroup(key));
+    addToGroup(groups.get(key), record);
+  };
+
+  // Files and their lines are in receive order, so later summaries replace earlier ones
+  const summaries = new Map();
+  for (const f of filesInRange(from, to)) {
+    await readFile(f.name, { from, to, domain, domains }, record => {
+      if (record.event === 'page_summary' && typeof record.pageViewId === 'string') summaries.set(record.domain + ' ' + record.pageViewId, record);
+      else add(record);
+    });
+  }
+  summaries.forEach(add);
+
+  return {
+    from,
+    to,
+    domain: domain || null,
+    groupBy,
+    groups: [...groups.values()]
+      .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+      .map(finishGroup)
+  };
+}
+
+module.exports = {
+  TELEMETRY_DIR,
+  RETENTION_DAYS,
+  GROUP_BY,
+  append,
+  prune,
+  recent,
+  summarize,
+  listFiles
+};
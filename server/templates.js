@@ -0,0 +1,78 @@
+'use strict';
+/**
+ * templates.js — Platform templates that manifests inherit from.
+ *
+ * One JSON file per template (templates/<name>.json). Keys starting with "_"
+ * (e.g. _comment) are notes for people reading the file and are dropped on
+ * read. A template may itself `extends` another one. This is storage only:
+ * manifest-io validates templates and re-resolves the manifests using them.
+ *
+ * Environment:
+ *   TEMPLATES_DIR  template directory (default: templates/ in this repo)
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, '..', 'templates');
+const NAME_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+function templatePath(name) {
+  if (!NAME_RE.test(String(name))) throw new Error(`Invalid template name "${name}"`);
+  return path.join(TEMPLATES_DIR, name + '.json');
+}
+
+/**
+ * Template names, sorted.
+ */
+function list() {
+  if (!fs.existsSync(TEMPLATES_DIR)) return [];
+  return fs.readdirSync(TEMPLATES_DIR)
+    .filter(f => f.endsWith('.json'))
+    .map(f => f.replace(/\.json$/, ''))
+    .filter(name => NAME_RE.test(name))
+    .sort();
+}
+
+/**
+ * A template file as written, notes included, or null if there is none.
+ */
+function read(name) {
+  const filePath = templatePath(name);
+  if (!fs.existsSync(filePath)) return null;
+  return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+}
+
+/**
+ * A template's content without its "_" notes, or null if there is none.
+ */
+function get(name) {
+  const raw = read(name);
+  if (!raw) return null;
+  const template = {};
+  Object.keys(raw).filter(k => !k.startsWith('_')).forEach(k => { template[k] = raw[k]; });
+  return template;
+}
+
+/**
+ * Write a template file (atomic). Unvalidated — use manifest-io.writeTemplate.
+ */
+function save(name, data) {
+  const filePath = templatePath(name);
+  fs.mkdirSync(TEMPLATES_DIR, { recursive: true });
+  const tmpPath = filePath + '.tmp';
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n', 'utf8');
+  fs.renameSync(tmpPath, filePath);
+}
+
+/**
+ * Delete a template file. Returns false if there was none.
+ */
+function remove(name) {
+  const filePath = templatePath(name);
+  if (!fs.existsSync(filePath)) return false;
+  fs.unlinkSync(filePath);
+  return true;
+}
+
+module.exports = { TEMPLATES_DIR, NAME_RE, list, read, get, save, remove };
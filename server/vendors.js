@@ -0,0 +1,85 @@
+'use strict';
+/**
+ * vendors.js — The vendor catalog: what a third-party vendor's scripts look
+ * like and where they belong.
+ *
+ * One versioned file (vendors.json) maps each vendor id to its URL patterns,
+ * a category, the tier it is recommended for and its known risks. Manifests
+ * and templates name vendors (`vendors`) or whole categories (`categories`)
+ * instead of repeating patterns; manifest-resolve expands them. After
+ * changing the catalog, bump its version and re-resolve (speed-layer resolve).
+ *
+ * Environment:
+ *   VENDORS_FILE  the catalog (default: vendors.json in this repo)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+
+const VENDORS_FILE = process.env.VENDORS_FILE || path.join(__dirname, '..', 'vendors.json');
+const ID_RE = /^[a-z0-9][a-z0-9-]*$/;
+
+const CATEGORIES = ['analytics', 'chat', 'ads', 'personalization', 'compliance'];
+
+// Tier → the manifest list its patterns go in
+const TIERS = {
+  allow: 'allowScripts',
+  defer: 'deferScripts',
+  delayed: 'delayedScripts',
+  block: 'blockScripts'
+};
+
+const SCHEMA = {
+  type: 'object',
+  required: ['version', 'vendors'],
+  properties: {
+    version: { type: 'string', minLength: 1 },
+    vendors: {
+      type: 'object',
+      propertyNames: { pattern: ID_RE.source },
+      additionalProperties: {
+        type: 'object',
+        additionalProperties: false,
+        required: ['name', 'category', 'patterns', 'tier'],
+        properties: {
+          name: { type: 'string', minLength: 1 },
+          category: { enum: CATEGORIES },
+          patterns: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', minLength: 1 } },
+          tier: { enum: Object.keys(TIERS) },
+          risks: { type: 'array', items: { type: 'string' } }
+        }
+      }
+    }
+  },
+  patternProperties: { '^_': {} },
+  additionalProperties: false
+};
+
+let _validate = null;
+
+/**
+ * The catalog ({ version, vendors: { id: { name, category, patterns, tier,
+ * risks } } }) without its "_" notes; an empty one when there is no file.
+ * Throws when the file doesn't match the catalog schema.
+ */
+function read() {
+  if (!fs.existsSync(VENDORS_FILE)) return { version: null, vendors: {} };
+  const raw = JSON.parse(fs.readFileSync(VENDORS_FILE, 'utf8'));
+  if (!_validate) _validate = new Ajv({ allErrors: true }).compile(SCHEMA);
+  if (!_validate(raw)) {
+    const e = _validate.errors[0];
+    throw new Error(`${path.basename(VENDORS_FILE)}: ${e.instancePath || '(root)'} ${e.message}`);
+  }
+  return { version: raw.version, vendors: raw.vendors };
+}
+
+/**
+ * One vendor's entry, or null if the catalog has none by that id.
+ */
+function get(id) {
+  const { vendors } = read();
+  return Object.prototype.hasOwnProperty.call(vendors, id) ? vendors[id] : null;
+}
+
+module.exports = { VENDORS_FILE, CATEGORIES, TIERS, read, get };
@@ -0,0 +1,78 @@
+'use strict';
+/**
+ * editions.js — Loader bundles produced by `speed-layer build`.
+ *
+ * Every bundle is src/core.js plus the listed platform plug-ins. The runtime
+ * fields are baked into the bundle as EDITION; `platform` is the plug-in used
+ * when the manifest has no `platform` field (and for the fetch-failure fallback).
+ * The early* flags decide what runs before the manifest is known.
+ */
+
+module.exports = [
+  {
+    file: 'loader.js',
+    banner: [
+      'Speed Layer Loader v2.0 - Enhanced Edition',
+      'Optimized for maximum PageSpeed Insights improvements',
+      'Additional features: Font optimization, preload management, early hints'
+    ],
+    platforms: ['generic', 'dealeron'],
+    runtime: {
+      version: '2.0.0',
+      global: '__SPEED_LAYER__',
+      logPrefix: '[SpeedLayer v2]',
+      markPrefix: 'speed-layer',
+      platform: 'generic',
+      earlyInterception: true,
+      earlyObserver: false
+    }
+  },
+  {
+    file: 'loader-v2.js',
+    banner: [
+      'Speed Layer Loader v2.3.0 - Enhanced Edition',
+      'Optimized for maximum PageSpeed Insights improvements',
+      'Additional features: Font optimization, preload management, early hints,',
+      '  fetchWithTimeout + classifyFetchError + retry (3x exponential backoff),',
+      '  compiled regex cache, telemetry via navigator.sendBeacon'
+    ],
+    platforms: ['generic', 'dealeron'],
+    runtime: {
+      version: '2.3.0',
+      global: '__SPEED_LAYER__',
+      logPrefix: '[SpeedLayer v2]',
+      markPrefix: 'speed-layer',
+      platform: 'generic',
+      earlyInterception: false,
+      earlyObserver: true
+    }
+  },
+  {
+    file: 'loader-do.js',
+    banner: [
+      'Speed Layer Loader - DealerOn Edition (v1.2.0)',
+      '',
+      'Optimized specifically for DealerOn CMS platform',
+      '',
+      'Key DealerOn Optimizations:',
+      '- Compatible with ComplyAuto blocker.js (Proxy conflict mitigation)',
+      '- Handles DealerOn\'s extensive GTM container implementations',
+      '- Optimized for DealerOn lazy loading patterns',
+      '- Supports DealerOn personalization and banner systems',
+      '',
+      'Platform: DealerOn CMS',
+      'CMS URL: https://www.dealeron.com/'
+    ],
+    platforms: ['generic', 'dealeron'],
+    runtime: {
+      version: '1.2.0-dealeron',
+      label: 'DealerOn CMS',
+      global: '__SPEED_LAYER_DO__',
+      logPrefix: '[SpeedLayer-DO]',
+      markPrefix: 'speed-layer-do',
+      platform: 'DealerOn',
+      earlyInterception: true,
+      earlyObserver: false
+    }
+  }
+];
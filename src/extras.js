@@ -0,0 +1,471 @@
+/**
+ * Speed Layer extras — the diagnostics panel and discover mode.
+ *
+ * Most page views need neither, so neither is in the loader bundles.
+ * `speed-layer build` wraps this file in a factory and writes
+ * loader-extras.js. A bundle fetches that from beside itself the first time
+ * the panel is opened or a manifest says "mode": "discover" (loadExtras() in
+ * core.js), and calls the factory with its EXTRAS_CONTEXT as `core`. The
+ * factory returns EXTRAS.
+ */
+
+// =============================================================================
+// CORE — what the bundle that loaded this hands over
+// =============================================================================
+
+const {
+    EDITION,
+    STATE,
+    CONFIG,
+    BEACON_MAX_BYTES,
+    DIAGNOSTICS_TAG,
+    facadeGroups,
+    videoFacades,
+    log,
+    info,
+    byteLength,
+    summaryUrl,
+    readStorage,
+    writeStorage,
+    matchesPattern,
+    whenBodyReady,
+    consentPurpose,
+    findScriptRule,
+    findFacade,
+    releaseInOrder,
+    releaseHeldScripts,
+    executeQueuedScripts,
+    executeDelayedScripts,
+    executeRuleScripts,
+    executeInlineScripts,
+    runInlineScripts,
+    executeQueuedIframes,
+    loadLazyIframe,
+    activateAllFacades,
+    restoreVideoFacade,
+    forceLoadAll
+} = core;
+
+// =============================================================================
+// DISCOVERY — "mode": "discover" inventories what the page loads
+// =============================================================================
+
+// Nothing is held in discover mode; the loader only reports script and iframe
+// URLs, and the origins inline scripts reference, to draft a site's lists from.
+// URLs this browser reported in the last day aren't sent again
+const DISCOVERY_SEEN_KEY = 'speed-layer:discovered:' + CONFIG.domain;
+const DISCOVERY_SEEN_MAX_AGE = 24 * 60 * 60 * 1000;
+const DISCOVERY_FLUSH_DELAY = 2000;
+// A report is cut at a quarter of the beacon quota, so the burst of reports
+// from a large page still fits in flight beside a page summary
+const DISCOVERY_MAX_BYTES = BEACON_MAX_BYTES / 4;
+const INLINE_ORIGIN_RE = /(?:https?:)?\/\/([a-z0-9-]+(?:\.[a-z0-9-]+)*\.[a-z]{2,})(?=[\/:'"`\s?#]|$)/gi;
+
+let discoveryEndpoint = null;
+let discoverySeen = {}; // On this page, reported or not
+let discoveryReported = {}; // Handed to sendBeacon — what is remembered for a day
+let discoveryPending = [];
+let discoveryPendingBytes = 0; // discoveryPending serialized, without the report around it
+let discoveryTimer = null;
+
+/**
+ * discovery.endpoint, else sites/<domain>/discoveries beside the telemetry
+ * endpoint (data-telemetry or telemetry.endpoint), else null.
+ */
+function resolveDiscoveryUrl(manifest) {
+    if (manifest.discovery && manifest.discovery.endpoint) return manifest.discovery.endpoint;
+    var telemetry = (CONFIG.scriptTag && CONFIG.scriptTag.getAttribute('data-telemetry')) ||
+        (manifest.telemetry && manifest.telemetry.endpoint);
+    if (!telemetry) return null;
+    try {
+        return new URL('sites/' + encodeURIComponent(manifest.domain || CONFIG.domain) + '/discoveries', new URL(telemetry, location.href)).href;
+    } catch (e) {
+        return null;
+    }
+}
+
+function discover(kind, url) {
+    const key = kind + ' ' + url;
+    if (discoverySeen[key]) return;
+    discoverySeen[key] = Date.now();
+    const item = { kind: kind, url: url, late: document.readyState !== 'loading' };
+    const itemBytes = discoveryItemBytes(item);
+    log('Discovered ' + kind, url);
+    // Send what is pending first if this item would take the report past the cap
+    if (discoveryPending.length && discoveryReportBytes() + discoveryPendingBytes + itemBytes > DISCOVERY_MAX_BYTES) {
+        flushDiscoveries();
+    }
+    discoveryPending.push(item);
+    discoveryPendingBytes += itemBytes;
+    if (!discoveryTimer) discoveryTimer = setTimeout(flushDiscoveries, DISCOVERY_FLUSH_DELAY);
+}
+
+function discoverNode(node) {
+    if (node.tagName === 'SCRIPT' && node.src) {
+        if (/^https?:/.test(node.src)) discover('script', summaryUrl(node.src));
+    } else if (node.tagName === 'SCRIPT') {
+        const text = node.textContent || '';
+        let match;
+        INLINE_ORIGIN_RE.lastIndex = 0;
+        while ((match = INLINE_ORIGIN_RE.exec(text))) discover('inline', 'https://' + match[1].toLowerCase());
+    } else if (node.tagName === 'IFRAME' && node.src && /^https?:/.test(node.src)) {
+        discover('iframe', summaryUrl(node.src));
+    }
+}
+
+function discoveryReport(items) {
+    return {
+        domain: CONFIG.domain,
+        page: location.origin + location.pathname,
+        loaderVersion: EDITION.version,
+        items: items
+    };
+}
+
+// An empty report: what every report costs before its items
+function discoveryReportBytes() {
+    return byteLength(JSON.stringify(discoveryReport([])));
+}
+
+function discoveryItemBytes(item) {
+    return byteLength(JSON.stringify(item)) + 1; // + the separating comma
+}
+
+/**
+ * Take the pending items that fit in one DISCOVERY_MAX_BYTES report,
+ * measured as serialized — always at least one.
+ */
+function nextDiscoveryBatch() {
+    let size = discoveryReportBytes();
+    let count = 0;
+    while (count < discoveryPending.length) {
+        const itemBytes = discoveryItemBytes(discoveryPending[count]);
+        if (count > 0 && size + itemBytes > DISCOVERY_MAX_BYTES) break;
+        size += itemBytes;
+        count++;
+    }
+    const items = discoveryPending.splice(0, count);
+    discoveryPendingBytes -= size - discoveryReportBytes();
+    return items;
+}
+
+function flushDiscoveries() {
+    clearTimeout(discoveryTimer);
+    discoveryTimer = null;
+    while (discoveryPending.length) {
+        const items = nextDiscoveryBatch();
+        const payload = JSON.stringify(discoveryReport(items));
+        // A beacon the browser refuses (its queue is full) goes back to wait
+        // for the next flush, and isn't remembered as reported
+        if (!navigator.sendBeacon || !navigator.sendBeacon(discoveryEndpoint, new Blob([payload], { type: 'application/json' }))) {
+            discoveryPending = items.concat(discoveryPending);
+            discoveryPendingBytes += items.reduce((total, item) => total + discoveryItemBytes(item), 0);
+            return;
+        }
+        items.forEach(item => {
+            const key = item.kind + ' ' + item.url;
+            discoveryReported[key] = discoverySeen[key];
+        });
+        writeStorage(DISCOVERY_SEEN_KEY, discoveryReported);
+    }
+}
+
+/**
+ * Report what is on the page now and everything added to it later. Runs
+ * after standDown(), so nothing is held while it watches.
+ */
+function startDiscovery(manifest) {
+    discoveryEndpoint = resolveDiscoveryUrl(manifest);
+    if (!discoveryEndpoint) {
+        info('🔎 Discover mode needs somewhere to report — set telemetry.endpoint or discovery.endpoint');
+        return;
+    }
+    info('🔎 Discover mode: classifying nothing, reporting scripts and iframes to', discoveryEndpoint);
+
+    const saved = readStorage(DISCOVERY_SEEN_KEY) || {};
+    Object.keys(saved).forEach(key => {
+        if (Date.now() - saved[key] <= DISCOVERY_SEEN_MAX_AGE) discoverySeen[key] = discoveryReported[key] = saved[key];
+    });
+
+    document.querySelectorAll('script, iframe').forEach(discoverNode);
+    new MutationObserver(mutations => {
+        mutations.forEach(mutation => {
+            mutation.addedNodes.forEach(node => {
+                if (node.nodeType !== 1) return;
+                discoverNode(node);
+                if (node.querySelectorAll) node.querySelectorAll('script, iframe').forEach(discoverNode);
+            });
+        });
+    }).observe(document.documentElement, { childList: true, subtree: true });
+
+    // Whatever is still pending goes out before the page is hidden
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flushDiscoveries();
+    });
+    window.addEventListener('pagehide', flushDiscoveries);
+}
+
+// =============================================================================
+// DIAGNOSTICS PANEL — ?speedlayer-diagnostics or Alt+Shift+D
+// =============================================================================
+
+// The panel lives in the shadow root of a DIAGNOSTICS_TAG element
+const DIAGNOSTICS_REFRESH = 1000;
+
+const DIAGNOSTICS_CSS = [
+    ':host { all: initial; position: fixed; right: 12px; bottom: 12px; z-index: 2147483647; }',
+    '.panel { width: min(760px, calc(100vw - 24px)); max-height: 70vh; display: flex; flex-direction: column; background: #111827; color: #e5e7eb; font: 12px/1.4 system-ui, sans-serif; border-radius: 8px; box-shadow: 0 8px 24px rgba(0,0,0,.4); }',
+    'header { display: flex; align-items: center; gap: 8px; padding: 8px 12px; border-bottom: 1px solid #374151; }',
+    'header strong { flex: 1; }',
+    '.body { overflow: auto; padding: 8px 12px; }',
+    'h3 { margin: 10px 0 4px; font-size: 12px; text-transform: uppercase; letter-spacing: .04em; color: #9ca3af; }',
+    'table { width: 100%; border-collapse: collapse; }',
+    'td { padding: 3px 6px 3px 0; border-bottom: 1px solid #1f2937; vertical-align: top; }',
+    'td.url { max-width: 300px; overflow: hidden; text-overflow: ellipsis; white-space: nowrap; }',
+    'button { font: inherit; color: #e5e7eb; background: #374151; border: 0; border-radius: 4px; padding: 2px 8px; cursor: pointer; }',
+    'button:hover { background: #4b5563; }',
+    'button:disabled { opacity: .4; cursor: default; }',
+    '.tiers { display: flex; flex-wrap: wrap; gap: 6px; }',
+    '.state { display: inline-block; padding: 0 6px; border-radius: 8px; }',
+    '.state-queued { background: #78350f; } .state-released { background: #14532d; } .state-blocked { background: #4b5563; }',
+    '.state-failed { background: #7f1d1d; } .state-lazy { background: #1e3a8a; }',
+    '.muted { color: #9ca3af; }'
+].join('\n');
+
+let diagnosticsHost = null;
+let diagnosticsTimer = null;
+let diagnosticsRows = [];
+let diagnosticsHtml = '';
+
+const escapeHtml = value => String(value).replace(/[&<>"']/g, c => '&#' + c.charCodeAt(0) + ';');
+
+/**
+ * Which manifest entry put a URL in its bucket, for people reading the panel.
+ */
+function describeMatch(url, entry) {
+    const manifest = STATE.manifest || {};
+    const first = (label, list) => {
+        const found = (list || []).find(pattern => matchesPattern(url, [pattern]));
+        return found ? label + ': ' + found : label;
+    };
+    switch (entry.bucket) {
+        case 'block': return first('blockScripts', manifest.blockScripts);
+        case 'allow': return first('allowScripts', manifest.allowScripts);
+        case 'defer': return first('deferScripts', manifest.deferScripts);
+        case 'delay': return first('delayedScripts', manifest.delayedScripts);
+        case 'held': return first('bootstrap', CONFIG.bootstrapDefer);
+        case 'consent': return 'consent: ' + (consentPurpose(url) || '?');
+        case 'lazy': return 'below the fold';
+        case 'rule': {
+            const rule = findScriptRule(url);
+            return rule ? 'rules: ' + rule.pattern + ' → ' + rule.trigger : 'rules';
+        }
+        case 'facade': {
+            const facade = findFacade(url, ['chat', 'video']);
+            return facade ? 'facades: ' + facade.pattern + ' (' + (facade.type || 'chat') + ')' : 'facades';
+        }
+        default: return 'no match';
+    }
+}
+
+/**
+ * The deferInlineScripts entry, or before the manifest the bootstrap pattern,
+ * that deferred an inline script.
+ */
+function describeInlineRule(item) {
+    const rule = item.rule;
+    if (!rule) {
+        const found = (CONFIG.bootstrapDefer || []).find(pattern => matchesPattern(item.element.textContent || '', [pattern]));
+        return found ? 'bootstrap: ' + found : 'bootstrap';
+    }
+    if (typeof rule === 'string') return 'deferInlineScripts: ' + rule;
+    return 'deferInlineScripts: ' + (rule.id && item.element.id === rule.id ? 'id ' + rule.id : rule.contains);
+}
+
+function decisionState(entry) {
+    if (entry.bucket === 'block') return 'blocked';
+    if (entry.outcome === 'error' || entry.outcome === 'timeout') return 'failed';
+    if (entry.releasedAt !== undefined || entry.bucket === 'allow' || entry.bucket === 'pass') return 'released';
+    if (entry.bucket === 'lazy') return 'lazy';
+    return 'queued';
+}
+
+/**
+ * Where a classified URL is still waiting, or null: { item, queue } for the
+ * release queues and unopened chat facades, { lazy } or { video } for iframes.
+ * Scripts waiting for consent are left out — consent is checked on release,
+ * so the panel labels them instead of offering a release.
+ */
+function findWaiting(src) {
+    const queues = [STATE.heldScripts, STATE.queuedScripts, STATE.queuedDelayedScripts, STATE.queuedRuleScripts];
+    facadeGroups.forEach(group => {
+        if (!group.activated) queues.push(group.items);
+    });
+    for (const queue of queues) {
+        const item = queue.find(candidate => candidate.src === src);
+        if (item) return { item, queue };
+    }
+    const lazy = STATE.queuedIframes.find(item => item.src === src);
+    if (lazy) return { lazy };
+    const video = videoFacades.find(entry => entry.src === src);
+    return video ? { video } : null;
+}
+
+function releaseWaiting(src) {
+    const waiting = findWaiting(src);
+    if (!waiting) return;
+    if (waiting.item) {
+        waiting.queue.splice(waiting.queue.indexOf(waiting.item), 1);
+        releaseInOrder([waiting.item], 'diagnostics', 'diagnostics');
+    } else if (waiting.lazy) {
+        STATE.queuedIframes.splice(STATE.queuedIframes.indexOf(waiting.lazy), 1);
+        loadLazyIframe(waiting.lazy, 'diagnostics');
+    } else {
+        restoreVideoFacade(waiting.video, false, 'diagnostics');
+    }
+}
+
+// Whole tiers, released the way their own trigger would
+const DIAGNOSTIC_TIERS = [
+    { label: 'Held', count: () => STATE.heldScripts.length, release: releaseHeldScripts },
+    { label: 'Deferred', count: () => STATE.queuedScripts.length, release: () => executeQueuedScripts('diagnostics') },
+    { label: 'Delayed', count: () => STATE.queuedDelayedScripts.length, release: () => executeDelayedScripts('diagnostics') },
+    { label: 'Rules', count: () => STATE.queuedRuleScripts.length, release: () => executeRuleScripts(() => true, 'diagnostics') },
+    { label: 'Inline', count: () => STATE.queuedInlineScripts.length, release: () => executeInlineScripts(null, 'diagnostics') },
+    { label: 'Lazy iframes', count: () => STATE.queuedIframes.length, release: () => executeQueuedIframes('diagnostics') },
+    {
+        label: 'Facades',
+        count: () => videoFacades.length + Array.from(facadeGroups.values()).reduce((n, group) => n + (group.activated ? 0 : group.items.length), 0),
+        release: activateAllFacades
+    }
+];
+
+function diagnosticsStatus() {
+    if (STATE.performanceMarks['init-complete'] !== undefined) return 'running';
+    return STATE.manifestLoaded ? 'stood down' : 'loading manifest';
+}
+
+function renderDiagnostics() {
+    const root = diagnosticsHost.shadowRoot;
+    const scroller = root.querySelector('.body');
+    const scrollTop = scroller ? scroller.scrollTop : 0;
+
+    diagnosticsRows = Object.keys(STATE.decisions).map(url => ({ url: url, entry: STATE.decisions[url] }));
+    const rows = diagnosticsRows.map((row, index) => {
+        const state = decisionState(row.entry);
+        return '<tr>' +
+            '<td class="muted">' + row.entry.kind + '</td>' +
+            '<td class="url" title="' + escapeHtml(row.url) + '">' + escapeHtml(row.url) + '</td>' +
+            '<td>' + row.entry.bucket + (row.entry.held ? ' <span class="muted">(held)</span>' : '') +
+                (row.entry.consentHeld ? ' <span class="muted">(after consent)</span>' : '') + '</td>' +
+            '<td>' + escapeHtml(describeMatch(row.url, row.entry)) + '</td>' +
+            '<td><span class="state state-' + state + '">' + state + '</span>' +
+                (row.entry.releasedBy ? ' <span class="muted">' + escapeHtml(row.entry.releasedBy) + '</span>' : '') + '</td>' +
+            '<td>' + (findWaiting(row.url) ? '<button data-release="' + index + '">Release</button>' :
+                STATE.queuedConsentScripts.some(item => item.src === row.url) ? '<span class="muted">waiting on consent</span>' : '') + '</td>' +
+            '</tr>';
+    }).join('');
+
+    const inlineRows = STATE.deferredInlineScripts.map((item, index) => {
+        const state = item.releasedAt === undefined ? 'queued' : 'released';
+        return '<tr>' +
+            '<td class="muted">inline</td>' +
+            '<td class="url" title="' + escapeHtml(item.label) + '">' + escapeHtml(item.label) + '</td>' +
+            '<td>' + escapeHtml(item.trigger) + '</td>' +
+            '<td>' + escapeHtml(describeInlineRule(item)) + '</td>' +
+            '<td><span class="state state-' + state + '">' + state + '</span>' +
+                (item.releasedBy ? ' <span class="muted">' + escapeHtml(item.releasedBy) + '</span>' : '') + '</td>' +
+            '<td>' + (state === 'queued' ? '<button data-release-inline="' + index + '">Release</button>' : '') + '</td>' +
+            '</tr>';
+    }).join('');
+
+    const tiers = DIAGNOSTIC_TIERS.map((tier, index) => {
+        const count = tier.count();
+        return '<button data-tier="' + index + '"' + (count ? '' : ' disabled') + '>' + tier.label + ' (' + count + ')</button>';
+    }).join('');
+
+    const marks = Object.keys(STATE.performanceMarks)
+        .map(name => ({ name: name, at: STATE.performanceMarks[name] }))
+        .sort((a, b) => a.at - b.at)
+        .map(m => '<tr><td>' + Math.round(m.at) + ' ms</td><td>' + escapeHtml(m.name) + '</td></tr>')
+        .join('');
+
+    const manifest = STATE.manifest;
+    const html = '<style>' + DIAGNOSTICS_CSS + '</style>' +
+        '<div class="panel">' +
+            '<header>' +
+                '<strong>⚡ Speed Layer ' + EDITION.version + ' — ' + diagnosticsStatus() + '</strong>' +
+                '<button data-action="refresh" title="Refresh">↻</button>' +
+                '<button data-action="close" title="Close (Alt+Shift+D)">✕</button>' +
+            '</header>' +
+            '<div class="body">' +
+                '<div class="muted">' +
+                    'Platform ' + escapeHtml(STATE.platform || '—') +
+                    ' · manifest ' + escapeHtml(STATE.manifestSource || '—') +
+                    (manifest && manifest.version ? ' v' + escapeHtml(manifest.version) : '') +
+                    (CONFIG.visitorMode ? ' · speedlayer=' + CONFIG.visitorMode : '') +
+                '</div>' +
+                '<h3>Release</h3>' +
+                '<div class="tiers">' + tiers + '<button data-action="all">Release everything</button></div>' +
+                '<h3>Classified (' + diagnosticsRows.length + ')</h3>' +
+                (rows ? '<table>' + rows + '</table>' : '<div class="muted">Nothing classified yet</div>') +
+                '<h3>Deferred inline scripts (' + STATE.deferredInlineScripts.length + ')</h3>' +
+                (inlineRows ? '<table>' + inlineRows + '</table>' : '<div class="muted">None deferred</div>') +
+                '<h3>Performance marks</h3>' +
+                '<table>' + marks + '</table>' +
+            '</div>' +
+        '</div>';
+
+    // Unchanged: leave the DOM alone so a click in progress isn't lost
+    if (html === diagnosticsHtml) return;
+    diagnosticsHtml = html;
+    root.innerHTML = html;
+    root.querySelector('.body').scrollTop = scrollTop;
+}
+
+function onDiagnosticsClick(event) {
+    const button = event.composedPath()[0];
+    if (!button || button.tagName !== 'BUTTON') return;
+    const action = button.getAttribute('data-action');
+    if (action === 'close') return toggleDiagnostics();
+    if (action === 'all') forceLoadAll();
+    if (button.hasAttribute('data-tier')) DIAGNOSTIC_TIERS[Number(button.getAttribute('data-tier'))].release();
+    if (button.hasAttribute('data-release')) releaseWaiting(diagnosticsRows[Number(button.getAttribute('data-release'))].url);
+    if (button.hasAttribute('data-release-inline')) {
+        const item = STATE.deferredInlineScripts[Number(button.getAttribute('data-release-inline'))];
+        if (STATE.queuedInlineScripts.indexOf(item) !== -1) runInlineScripts([item], 'diagnostics');
+    }
+    renderDiagnostics();
+}
+
+/**
+ * Open or close the diagnostics panel. Open, it re-renders every second.
+ */
+function toggleDiagnostics() {
+    if (diagnosticsHost) {
+        clearInterval(diagnosticsTimer);
+        diagnosticsHost.remove();
+        diagnosticsHost = null;
+        diagnosticsHtml = '';
+        return;
+    }
+    diagnosticsHost = document.createElement(DIAGNOSTICS_TAG);
+    diagnosticsHost.attachShadow({ mode: 'open' });
+    diagnosticsHost.shadowRoot.addEventListener('click', onDiagnosticsClick);
+    const host = diagnosticsHost;
+    whenBodyReady(() => {
+        if (diagnosticsHost !== host) return; // Closed before the body existed
+        document.body.appendChild(host);
+        renderDiagnostics();
+        diagnosticsTimer = setInterval(renderDiagnostics, DIAGNOSTICS_REFRESH);
+    });
+}
+
+// =============================================================================
+// API — what loadExtras() resolves with
+// =============================================================================
+
+const EXTRAS = {
+    startDiscovery: startDiscovery,
+    toggleDiagnostics: toggleDiagnostics
+};
@@ -0,0 +1,106 @@
+/**
+ * DealerOn CMS platform plug-in.
+ *
+ * - Page detection via manifest `pages` (all / include / exclude)
+ * - ComplyAuto compatibility: blocker.js runs its own Proxy on createElement,
+ *   so `disableInterception` drops ours and leaves the DOM observer in charge
+ * - Adobe Typekit fonts (common on DealerOn themes) get display=swap
+ */
+
+function matchesPagePattern(pathname, pattern) {
+    // Exact match
+    if (pathname === pattern) return true;
+
+    // Wildcard match (e.g., "/inventory/*")
+    if (pattern.includes('*')) {
+        const regexPattern = pattern
+            .replace(/\*/g, '.*')
+            .replace(/\//g, '\\/');
+        const regex = new RegExp(`^${regexPattern}$`);
+        return regex.test(pathname);
+    }
+
+    // Starts with match
+    if (pattern.endsWith('/') && pathname.startsWith(pattern)) {
+        return true;
+    }
+
+    return false;
+}
+
+registerPlatform({
+    name: 'DealerOn',
+
+    // DealerOn-specific safe fallback
+    fallbackManifest: {
+        allowScripts: ['dealeron.js', 'dlron.us', 'jquery', 'bootstrap'],
+        deferScripts: ['analytics', 'tracking', 'gtag', 'gtm', 'googletagmanager', 'facebook', 'doubleclick'],
+        delayedScripts: ['carcodesms', 'harmoniq', 'sincrod', 'personalization'],
+        preconnect: [],
+        preload: [],
+        debug: false,
+        disableInterception: true // Safe default for DealerOn (ComplyAuto compatibility)
+    },
+
+    fontHosts: ['typekit.net'],
+
+    shouldRun(ctx) {
+        const manifest = ctx.state.manifest;
+        const currentPath = window.location.pathname;
+
+        if (!manifest.pages) {
+            // No page config = run on all pages (default behavior)
+            return true;
+        }
+
+        const mode = manifest.pages.mode || 'all';
+        const patterns = manifest.pages.patterns || [];
+        let runs;
+
+        ctx.log('Page detection:', {
+            mode: mode,
+            currentPath: currentPath,
+            patterns: patterns
+        });
+
+        if (mode === 'all') {
+            // Mode: "all" - run on all pages
+            ctx.log('Page mode: ALL - running on all pages');
+            runs = true;
+        } else if (mode === 'include') {
+            // Mode: "include" - only run on matching pages (whitelist)
+            runs = patterns.some(pattern => matchesPagePattern(currentPath, pattern));
+            ctx.log(runs ? '✓ Page INCLUDED - Speed Layer will run' : '✗ Page NOT in include list - Speed Layer will NOT run');
+        } else if (mode === 'exclude') {
+            // Mode: "exclude" - run on all pages EXCEPT matching ones (blacklist)
+            runs = !patterns.some(pattern => matchesPagePattern(currentPath, pattern));
+            ctx.log(runs ? '✓ Page not in exclude list - Speed Layer will run' : '✗ Page EXCLUDED - Speed Layer will NOT run');
+        } else {
+            // Unknown mode - default to running
+            ctx.info('Unknown page mode - defaulting to run:', mode);
+            runs = true;
+        }
+
+        if (runs) {
+            ctx.info('✓ Page check passed - Speed Layer will run on:', currentPath);
+        } else {
+            ctx.info('📄 Speed Layer NOT configured to run on this page:', currentPath);
+            ctx.info('Page mode:', mode);
+            ctx.info('Page patterns:', patterns.length ? patterns : 'none');
+            ctx.info('Site will load normally without script deferral on this page');
+        }
+        return runs;
+    },
+
+    configureInterception(ctx) {
+        // ComplyAuto compatibility: keep the DOM observer, drop the Proxy
+        if (ctx.state.manifest.disableInterception) {
+            ctx.disableProxyInterception();
+            ctx.log('Phase 2: Proxy interception disabled (ComplyAuto compatibility mode)');
+            ctx.log('DOM observer will still catch dynamically added scripts');
+        } else {
+            ctx.interceptScripts();
+            ctx.log('Phase 2: Proxy interception confirmed active');
+        }
+    }
+});
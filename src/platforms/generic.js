@@ -0,0 +1,34 @@
+/**
+ * Generic platform plug-in — DealerInspire, WordPress and anything without
+ * its own plug-in. Proxy interception is opt-in via `enableInterception`.
+ */
+
+registerPlatform({
+    name: 'generic',
+
+    fallbackManifest: {
+        allowScripts: [],
+        deferScripts: ['analytics', 'tracking', 'gtag', 'facebook', 'doubleclick', 'googlesyndication'],
+        delayedScripts: [],
+        preconnect: [],
+        preload: [],
+        debug: false
+    },
+
+    fontHosts: [],
+
+    configureInterception(ctx) {
+        const manifest = ctx.state.manifest;
+
+        if (manifest.enableInterception === true) {
+            ctx.interceptScripts();
+            ctx.info('Phase 2: Proxy interception ENABLED (opt-in)');
+        } else if (manifest.disableInterception === true) {
+            ctx.disableProxyInterception();
+            ctx.info('Phase 2: Proxy interception DISABLED (manifest)');
+        } else if (!ctx.isInterceptionActive()) {
+            ctx.info('Phase 2: Proxy interception DISABLED (default)');
+            ctx.info('Relying on DOM observer only for maximum compatibility');
+        }
+    }
+});
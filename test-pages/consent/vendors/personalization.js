@@ -0,0 +1,2 @@
+// Stand-in vendor script — reports that it ran
+window.vendorRan('personalization.js');
@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-auth-'));
+process.env.SPEED_LAYER_USERS = path.join(tmp, 'users.json');
+const auth = require('../server/auth');
+
+auth.saveUsers([{ username: 'alice', role: 'editor', groups: ['*'], passwordHash: auth.hashPassword('secret'), tokens: [] }]);
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+// Just enough of Express's req/res for the handlers
+function request(headers, body) {
+  const lower = Object.fromEntries(Object.entries(headers).map(([k, v]) => [k.toLowerCase(), v]));
+  return { method: 'GET', ip: '127.0.0.1', secure: false, body, get: name => lower[name.toLowerCase()] };
+}
+
+function response() {
+  const res = { statusCode: 200, headers: {}, body: undefined };
+  res.status = code => { res.statusCode = code; return res; };
+  res.set = (name, value) => { res.headers[name] = value; return res; };
+  res.json = body => { res.body = body; return res; };
+  res.end = () => res;
+  return res;
+}
+
+function sessionId() {
+  const res = response();
+  auth.login(request({}, { username: 'alice', password: 'secret' }), res);
+  assert.strictEqual(res.statusCode, 200);
+  return res.headers['Set-Cookie'].match(/^sl_session=([^;]+)/)[1];
+}
+
+function authorize(cookie) {
+  const req = request({ Cookie: cookie });
+  const res = response();
+  let passed = false;
+  auth.requireRole('viewer')(req, res, () => { passed = true; });
+  return { passed, res, user: req.user };
+}
+
+test('a session cookie signs the request in', () => {
+  const { passed, user } = authorize(`sl_session=${sessionId()}`);
+  assert.ok(passed);
+  assert.strictEqual(user.username, 'alice');
+});
+
+test('a malformed cookie beside the session is skipped, not a 500', () => {
+  const { passed, user } = authorize(`theme=50%; sl_session=${sessionId()}; tracker=%E0%A4%A`);
+  assert.ok(passed);
+  assert.strictEqual(user.username, 'alice');
+});
+
+test('a malformed cookie alone is a 401', () => {
+  const { passed, res } = authorize('sl_session=%zz');
+  assert.ok(!passed);
+  assert.strictEqual(res.statusCode, 401);
+});
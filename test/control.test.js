@@ -0,0 +1,139 @@
+'use strict';
+
+// The control manifest — the kill switch every loader checks before a
+// site's own manifest. Stores read their directories from the environment
+// when loaded, so the app is required once they all point into a temp dir.
+// Publishing to the CDN fails here (no git checkout); the file is saved and
+// served regardless.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-control-'));
+fs.mkdirSync(path.join(tmp, 'manifest'));
+Object.assign(process.env, {
+  MANIFEST_DIR: path.join(tmp, 'manifest'),
+  MANIFEST_HISTORY_DIR: path.join(tmp, 'history'),
+  TEMPLATES_DIR: path.join(tmp, 'templates'),
+  CONTROL_FILE: path.join(tmp, 'control.json'),
+  DRAFTS_DIR: path.join(tmp, 'drafts'),
+  DISCOVERIES_DIR: path.join(tmp, 'discoveries'),
+  TELEMETRY_DIR: path.join(tmp, 'telemetry'),
+  SPEED_LAYER_USERS: path.join(tmp, 'users.json'),
+  PUBLISH_REPO_DIR: tmp,
+  PUBLISH_STATUS_FILE: path.join(tmp, 'publish.json'),
+  CDN_PURGE_BASE: 'off'
+});
+
+const auth = require('../server/auth');
+const io = require('../server/manifest-io');
+const control = require('../server/control');
+const app = require('../server/index');
+
+// One token per user
+const tokens = {};
+auth.saveUsers([['alice', 'admin'], ['bob', 'editor']].map(([username, role]) => {
+  const { token, record } = auth.createToken('tests');
+  tokens[username] = token;
+  return { username, role, groups: ['*'], passwordHash: auth.hashPassword('secret'), tokens: [record] };
+}));
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function api(user, method, url, body, headers = {}) {
+  const res = await fetch(base + url, {
+    method,
+    headers: Object.assign({ Authorization: `Bearer ${tokens[user]}`, 'Content-Type': 'application/json' }, headers),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, etag: res.headers.get('ETag'), body: res.status === 204 ? null : await res.json() };
+}
+
+function manifest(domain, extra) {
+  return Object.assign({ domain, enabled: true, allowScripts: [], deferScripts: ['gtm.js'], delayedScripts: [] }, extra);
+}
+
+io.writeManifest('www.a.com', manifest('www.a.com', { aliases: ['a.com'] }));
+io.writeManifest('www.b.com', manifest('www.b.com'));
+
+test('no control file means Speed Layer runs everywhere', async () => {
+  assert.deepStrictEqual(control.read(), { disabled: false, domains: [], message: null, updatedAt: null, updatedBy: null });
+  const res = await fetch(base + '/control.json');
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(await res.json(), control.read());
+});
+
+test('a disabled control manifest pauses every site, whatever it lists', () => {
+  assert.strictEqual(control.pausedOn({ disabled: true, domains: ['www.a.com'] }, 'www.a.com', ['a.com']), 'everywhere');
+  assert.strictEqual(control.pausedOn({ disabled: true, domains: [] }, 'www.b.com'), 'everywhere');
+});
+
+test('a listed host pauses its site: the domain first, then its aliases', () => {
+  assert.strictEqual(control.pausedOn({ disabled: false, domains: ['a.com', 'www.a.com'] }, 'www.a.com', ['a.com']), 'www.a.com');
+  assert.strictEqual(control.pausedOn({ disabled: false, domains: ['a.com'] }, 'www.a.com', ['a.com']), 'a.com');
+  assert.strictEqual(control.pausedOn({ disabled: false, domains: ['a.com'] }, 'www.b.com'), null);
+});
+
+test('only admins change it, and changes are validated', async () => {
+  assert.strictEqual((await api('bob', 'PUT', '/api/control', { disabled: true })).status, 403);
+  const invalid = await api('alice', 'PUT', '/api/control', { disabled: 'yes', domains: ['WWW.A.COM'] });
+  assert.strictEqual(invalid.status, 400);
+  assert.deepStrictEqual(invalid.body.errors.map(e => e.path).sort(), ['/disabled', '/domains/0']);
+  assert.strictEqual(fs.existsSync(process.env.CONTROL_FILE), false);
+});
+
+test('a saved change is served at /control.json with a one-minute cache, and pauses sites over their own enabled', async () => {
+  const saved = await api('alice', 'PUT', '/api/control', { domains: ['www.b.com', 'a.com'], message: 'Checkout broken — INC-42' });
+  assert.strictEqual(saved.status, 200);
+  assert.deepStrictEqual(saved.body.control.domains, ['a.com', 'www.b.com']);
+  assert.strictEqual(saved.body.control.updatedBy, 'alice');
+  assert.strictEqual(saved.body.etag, io.etag(saved.body.control));
+  assert.strictEqual(saved.body.published.ok, false);
+
+  const res = await fetch(base + '/control.json');
+  assert.strictEqual(res.headers.get('Cache-Control'), 'public, max-age=60');
+  assert.strictEqual(res.headers.get('Access-Control-Allow-Origin'), '*');
+  assert.deepStrictEqual(await res.json(), saved.body.control);
+
+  const sites = (await api('bob', 'GET', '/api/sites')).body;
+  assert.deepStrictEqual(sites.map(s => [s.domain, s.enabled, s.paused]), [['www.a.com', true, 'a.com'], ['www.b.com', true, 'www.b.com']]);
+});
+
+test('fields left out of a change keep their value', async () => {
+  const { body: current, etag } = await api('alice', 'GET', '/api/control');
+  const saved = await api('alice', 'PUT', '/api/control', { disabled: true }, { 'If-Match': etag });
+  assert.strictEqual(saved.status, 200);
+  assert.deepStrictEqual([saved.body.control.disabled, saved.body.control.domains, saved.body.control.message], [true, current.domains, current.message]);
+  assert.deepStrictEqual((await api('bob', 'GET', '/api/sites')).body.map(s => s.paused), ['everywhere', 'everywhere']);
+
+  const stale = await api('alice', 'PUT', '/api/control', { disabled: false }, { 'If-Match': etag });
+  assert.strictEqual(stale.status, 412);
+  assert.strictEqual(stale.body.control.disabled, true);
+});
+
+test('CONTROL_FILE overrides the default control.json beside MANIFEST_DIR', () => {
+  const controlFile = env => execFileSync(process.execPath, ['-e', 'console.log(require("./server/control").CONTROL_FILE)'], {
+    cwd: path.join(__dirname, '..'),
+    env: Object.assign({}, process.env, { CONTROL_FILE: '' }, env),
+    encoding: 'utf8'
+  }).trim();
+  assert.strictEqual(controlFile({}), path.join(tmp, 'control.json'));
+  assert.strictEqual(controlFile({ MANIFEST_DIR: path.join(tmp, 'elsewhere', 'manifest') }), path.join(tmp, 'elsewhere', 'control.json'));
+  assert.strictEqual(controlFile({ CONTROL_FILE: path.join(tmp, 'kill.json') }), path.join(tmp, 'kill.json'));
+});
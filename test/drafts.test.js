@@ -0,0 +1,185 @@
+'use strict';
+
+// Reviewed drafts: editors can't save live manifests directly, someone else
+// approves, and an approved draft goes live now or on schedule. Stores read
+// their directories from the environment when loaded, so the app is
+// required once they all point into a temp dir. Publishing to the CDN fails
+// here (no git checkout); drafts record that and still go live.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-drafts-'));
+fs.mkdirSync(path.join(tmp, 'manifest'));
+Object.assign(process.env, {
+  MANIFEST_DIR: path.join(tmp, 'manifest'),
+  MANIFEST_HISTORY_DIR: path.join(tmp, 'history'),
+  TEMPLATES_DIR: path.join(tmp, 'templates'),
+  CONTROL_FILE: path.join(tmp, 'control.json'),
+  DRAFTS_DIR: path.join(tmp, 'drafts'),
+  DISCOVERIES_DIR: path.join(tmp, 'discoveries'),
+  TELEMETRY_DIR: path.join(tmp, 'telemetry'),
+  SPEED_LAYER_USERS: path.join(tmp, 'users.json'),
+  PUBLISH_REPO_DIR: tmp,
+  PUBLISH_STATUS_FILE: path.join(tmp, 'publish.json'),
+  CDN_PURGE_BASE: 'off'
+});
+
+const auth = require('../server/auth');
+const io = require('../server/manifest-io');
+const history = require('../server/manifest-history');
+const drafts = require('../server/drafts');
+const app = require('../server/index');
+
+// One token per user
+const tokens = {};
+auth.saveUsers([['alice', 'admin'], ['bob', 'editor'], ['carol', 'editor']].map(([username, role]) => {
+  const { token, record } = auth.createToken('tests');
+  tokens[username] = token;
+  return { username, role, groups: ['*'], passwordHash: auth.hashPassword('secret'), tokens: [record] };
+}));
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function manifest(domain, extra) {
+  return Object.assign({ domain, enabled: true, allowScripts: [], deferScripts: ['gtm.js'], delayedScripts: [] }, extra);
+}
+
+async function api(user, method, url, body, headers = {}) {
+  const res = await fetch(base + url, {
+    method,
+    headers: Object.assign({ Authorization: `Bearer ${tokens[user]}`, 'Content-Type': 'application/json' }, headers),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, etag: res.headers.get('ETag'), body: res.status === 204 ? null : await res.json() };
+}
+
+io.writeManifest('www.a.com', manifest('www.a.com'), { actor: 'alice' });
+
+test('editors can\'t save a live manifest directly while review is required; admins can', async () => {
+  const etag = io.etag(manifest('www.a.com'));
+  const refused = await api('bob', 'PUT', '/api/sites/www.a.com', manifest('www.a.com', { enabled: false }), { 'If-Match': etag });
+  assert.strictEqual(refused.status, 403);
+  assert.match(refused.body.error, /^Changes need review/);
+  assert.strictEqual(io.readManifest('www.a.com').enabled, true);
+
+  const saved = await api('alice', 'PUT', '/api/sites/www.a.com', manifest('www.a.com', { idleTimeout: 3000 }), { 'If-Match': etag });
+  assert.strictEqual(saved.status, 200);
+  assert.strictEqual(io.readManifest('www.a.com').idleTimeout, 3000);
+});
+
+test('enable and disable stay direct for editors', async () => {
+  const disabled = await api('bob', 'POST', '/api/sites/www.a.com/disable', undefined, { 'If-Match': io.etag(io.readManifest('www.a.com')) });
+  assert.strictEqual(disabled.status, 200);
+  const enabled = await api('bob', 'POST', '/api/sites/www.a.com/enable', undefined, { 'If-Match': disabled.body.etag });
+  assert.strictEqual(enabled.status, 200);
+});
+
+test('a draft is based on the version the edit started from', async () => {
+  const stale = await api('bob', 'POST', '/api/sites/www.a.com/drafts', manifest('www.a.com'), { 'If-Match': io.etag(manifest('www.a.com')) });
+  assert.strictEqual(stale.status, 412);
+  assert.deepStrictEqual(stale.body.manifest, io.readManifest('www.a.com'));
+  assert.strictEqual(drafts.list().length, 0);
+});
+
+test('a draft is approved by someone other than its author, then published', async () => {
+  const live = io.readManifest('www.a.com');
+  const edited = Object.assign({}, live, { delayedScripts: ['chat.js'] });
+  const created = await api('bob', 'POST', '/api/sites/www.a.com/drafts', edited, { 'If-Match': io.etag(live), 'X-Change-Reason': 'delay chat' });
+  assert.strictEqual(created.status, 201);
+  const id = created.body.id;
+  assert.strictEqual(created.body.status, 'pending');
+  assert.strictEqual(created.body.author, 'bob');
+  assert.deepStrictEqual(created.body.diff, [{ op: 'add', path: '/delayedScripts', value: 'chat.js' }]);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), live);
+
+  assert.strictEqual((await api('bob', 'POST', `/api/drafts/${id}/publish`)).status, 409);
+  const own = await api('bob', 'POST', `/api/drafts/${id}/approve`, {});
+  assert.strictEqual(own.status, 403);
+  assert.match(own.body.error, /your own draft/);
+
+  const approved = await api('carol', 'POST', `/api/drafts/${id}/approve`, { comment: 'fine' });
+  assert.strictEqual(approved.status, 200);
+  assert.strictEqual(approved.body.status, 'approved');
+  assert.deepStrictEqual([approved.body.review.by, approved.body.review.comment], ['carol', 'fine']);
+
+  const published = await api('carol', 'POST', `/api/drafts/${id}/publish`);
+  assert.strictEqual(published.status, 200);
+  assert.strictEqual(published.body.status, 'published');
+  assert.strictEqual(published.body.published.by, 'carol');
+  assert.strictEqual(published.body.published.publish.ok, false);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), edited);
+
+  const rev = history.list('www.a.com')[0];
+  assert.deepStrictEqual([rev.actor, rev.via, rev.reason], ['bob', 'draft', 'delay chat']);
+  assert.deepStrictEqual(rev.draft, { id, approvedBy: 'carol', publishedBy: 'carol' });
+});
+
+test('editing a draft sends it back to review', async () => {
+  const live = io.readManifest('www.a.com');
+  const { id } = (await api('bob', 'POST', '/api/sites/www.a.com/drafts', Object.assign({}, live, { debug: true }))).body;
+  assert.strictEqual((await api('carol', 'POST', `/api/drafts/${id}/reject`, { comment: 'no debug in production' })).body.status, 'rejected');
+
+  const edited = await api('bob', 'PUT', `/api/drafts/${id}`, Object.assign({}, live, { debug: false }));
+  assert.strictEqual(edited.status, 200);
+  assert.strictEqual(edited.body.status, 'pending');
+  assert.strictEqual(edited.body.review, null);
+  assert.strictEqual((await api('carol', 'PUT', `/api/drafts/${id}`, live)).status, 403);
+  assert.strictEqual((await api('bob', 'DELETE', `/api/drafts/${id}`)).body.status, 'withdrawn');
+});
+
+test('an approved draft is published when its scheduled time comes', async () => {
+  const live = io.readManifest('www.a.com');
+  const edited = Object.assign({}, live, { delayedScripts: ['chat.js', 'reviews.js'] });
+  const { id } = (await api('bob', 'POST', '/api/sites/www.a.com/drafts', edited)).body;
+
+  assert.strictEqual((await api('bob', 'POST', `/api/drafts/${id}/schedule`, { at: '2030-01-01T06:00:00Z' })).status, 409);
+  await api('carol', 'POST', `/api/drafts/${id}/approve`, {});
+
+  const past = await api('bob', 'POST', `/api/drafts/${id}/schedule`, { at: Date.now() - 60 * 60 * 1000 });
+  assert.strictEqual(past.status, 400);
+  assert.strictEqual((await api('bob', 'POST', `/api/drafts/${id}/schedule`, { at: 'tomorrow-ish' })).status, 400);
+
+  const at = Date.parse('2030-01-01T06:00:00Z');
+  const scheduled = await api('bob', 'POST', `/api/drafts/${id}/schedule`, { at: '2030-01-01T06:00:00Z' });
+  assert.strictEqual(scheduled.status, 200);
+  assert.deepStrictEqual([scheduled.body.status, scheduled.body.scheduledFor, scheduled.body.scheduledBy], ['scheduled', '2030-01-01T06:00:00.000Z', 'bob']);
+
+  assert.deepStrictEqual(await drafts.runDue(at - 1000), []);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), live);
+
+  const [handled] = await drafts.runDue(at);
+  assert.strictEqual(handled.id, id);
+  assert.strictEqual(handled.status, 'published');
+  assert.strictEqual(handled.published.by, 'bob');
+  assert.deepStrictEqual(io.readManifest('www.a.com'), edited);
+  assert.deepStrictEqual(await drafts.runDue(at), []);
+});
+
+test('a draft whose base moved on fails instead of overwriting the newer change', async () => {
+  const live = io.readManifest('www.a.com');
+  const { id } = (await api('bob', 'POST', '/api/sites/www.a.com/drafts', Object.assign({}, live, { idleTimeout: 5000 }))).body;
+  await api('carol', 'POST', `/api/drafts/${id}/approve`, {});
+  assert.ok(io.writeManifest('www.a.com', Object.assign({}, live, { enabled: false }), { actor: 'alice' }).ok);
+
+  const res = await api('carol', 'POST', `/api/drafts/${id}/publish`);
+  assert.strictEqual(res.status, 409);
+  assert.strictEqual(res.body.draft.status, 'failed');
+  assert.match(res.body.error, /by alice/);
+  assert.strictEqual(io.readManifest('www.a.com').idleTimeout, live.idleTimeout);
+});
@@ -0,0 +1,127 @@
+'use strict';
+
+// Revisions recorded by manifest-io, and the history and rollback routes.
+// Every store reads its directory from the environment when loaded, so the
+// app is required once they all point into a temp dir.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-history-'));
+fs.mkdirSync(path.join(tmp, 'manifest'));
+Object.assign(process.env, {
+  MANIFEST_DIR: path.join(tmp, 'manifest'),
+  MANIFEST_HISTORY_DIR: path.join(tmp, 'history'),
+  TEMPLATES_DIR: path.join(tmp, 'templates'),
+  CONTROL_FILE: path.join(tmp, 'control.json'),
+  DRAFTS_DIR: path.join(tmp, 'drafts'),
+  DISCOVERIES_DIR: path.join(tmp, 'discoveries'),
+  TELEMETRY_DIR: path.join(tmp, 'telemetry'),
+  SPEED_LAYER_USERS: path.join(tmp, 'users.json'),
+  PUBLISH_REPO_DIR: tmp,
+  PUBLISH_STATUS_FILE: path.join(tmp, 'publish.json')
+});
+
+const auth = require('../server/auth');
+const io = require('../server/manifest-io');
+const history = require('../server/manifest-history');
+const app = require('../server/index');
+
+const { token, record } = auth.createToken('tests');
+auth.saveUsers([{ username: 'alice', role: 'admin', groups: ['*'], passwordHash: auth.hashPassword('secret'), tokens: [record] }]);
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function manifest(domain, extra) {
+  return Object.assign({ domain, enabled: true, allowScripts: [], deferScripts: ['gtm.js'], delayedScripts: [] }, extra);
+}
+
+async function api(method, url, body, headers = {}) {
+  const res = await fetch(base + url, {
+    method,
+    headers: Object.assign({ Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }, headers),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, etag: res.headers.get('ETag'), body: res.status === 204 ? null : await res.json() };
+}
+
+test('writeManifest records each revision with who, why and what changed', () => {
+  assert.strictEqual(io.writeManifest('www.a.com', manifest('www.a.com'), { actor: 'alice', reason: 'first cut' }).rev, 1);
+  const second = io.writeManifest('www.a.com', manifest('www.a.com', { delayedScripts: ['chat.js'] }), { actor: 'bob' });
+  assert.deepStrictEqual(second, { ok: true, rev: 2 });
+
+  const revs = history.list('www.a.com');
+  assert.deepStrictEqual(revs.map(r => [r.rev, r.action, r.actor, r.reason]), [[2, 'update', 'bob', null], [1, 'create', 'alice', 'first cut']]);
+  assert.deepStrictEqual(revs[0].diff, [{ op: 'add', path: '/delayedScripts', value: 'chat.js' }]);
+  assert.strictEqual(revs[0].manifest, undefined);
+});
+
+test('a manifest that predates the log gets a baseline revision first', () => {
+  fs.writeFileSync(path.join(tmp, 'manifest', 'www.old.com.json'), JSON.stringify(manifest('www.old.com')));
+  assert.strictEqual(io.writeManifest('www.old.com', manifest('www.old.com', { enabled: false }), { actor: 'alice', action: 'disable' }).rev, 2);
+
+  const revs = history.list('www.old.com');
+  assert.deepStrictEqual(revs.map(r => [r.rev, r.action, r.actor]), [[2, 'disable', 'alice'], [1, 'baseline', 'system']]);
+});
+
+test('GET history lists revisions newest first, and one revision carries its manifest', async () => {
+  const list = await api('GET', '/api/sites/www.a.com/history');
+  assert.strictEqual(list.status, 200);
+  assert.deepStrictEqual(list.body.map(r => r.rev), [2, 1]);
+
+  const one = await api('GET', '/api/sites/www.a.com/history/1');
+  assert.strictEqual(one.status, 200);
+  assert.deepStrictEqual(one.body.manifest, manifest('www.a.com'));
+
+  assert.strictEqual((await api('GET', '/api/sites/www.a.com/history/9')).status, 404);
+  assert.strictEqual((await api('GET', '/api/sites/www.none.com/history')).status, 404);
+});
+
+test('rollback restores a revision as a new one', async () => {
+  const res = await api('POST', '/api/sites/www.a.com/rollback/1', undefined, { 'X-Change-Reason': encodeURIComponent('chat broke checkout') });
+  assert.strictEqual(res.status, 200);
+  assert.deepStrictEqual(res.body, { ok: true, rev: 3, rolledBackTo: 1, etag: io.etag(manifest('www.a.com')) });
+  assert.strictEqual(res.etag, res.body.etag);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), manifest('www.a.com'));
+
+  const latest = (await api('GET', '/api/sites/www.a.com/history')).body[0];
+  assert.strictEqual(latest.action, 'rollback');
+  assert.strictEqual(latest.rolledBackTo, 1);
+  assert.strictEqual(latest.actor, 'alice');
+  assert.strictEqual(latest.via, 'token');
+  assert.strictEqual(latest.reason, 'chat broke checkout');
+});
+
+test('rollback honours If-Match when sent', async () => {
+  const stale = await api('POST', '/api/sites/www.a.com/rollback/2', undefined, { 'If-Match': '"stale"' });
+  assert.strictEqual(stale.status, 412);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), manifest('www.a.com'));
+});
+
+test('a deleted site can be restored from its history, but not to the delete itself', async () => {
+  assert.strictEqual((await api('DELETE', '/api/sites/www.a.com')).status, 204);
+  assert.strictEqual(io.readManifest('www.a.com'), null);
+
+  const list = (await api('GET', '/api/sites/www.a.com/history')).body;
+  assert.deepStrictEqual([list[0].action, list[0].deleted], ['delete', true]);
+
+  assert.strictEqual((await api('POST', `/api/sites/www.a.com/rollback/${list[0].rev}`)).status, 400);
+  const restored = await api('POST', '/api/sites/www.a.com/rollback/2');
+  assert.strictEqual(restored.status, 200);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), manifest('www.a.com', { delayedScripts: ['chat.js'] }));
+});
@@ -0,0 +1,125 @@
+'use strict';
+
+// Optimistic concurrency on manifest writes: If-Match is required, and a
+// stale ETag gets the current manifest back to merge against. Stores read
+// their directories from the environment when loaded, so the app is
+// required once they all point into a temp dir.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-if-match-'));
+fs.mkdirSync(path.join(tmp, 'manifest'));
+Object.assign(process.env, {
+  MANIFEST_DIR: path.join(tmp, 'manifest'),
+  MANIFEST_HISTORY_DIR: path.join(tmp, 'history'),
+  TEMPLATES_DIR: path.join(tmp, 'templates'),
+  CONTROL_FILE: path.join(tmp, 'control.json'),
+  DRAFTS_DIR: path.join(tmp, 'drafts'),
+  DISCOVERIES_DIR: path.join(tmp, 'discoveries'),
+  TELEMETRY_DIR: path.join(tmp, 'telemetry'),
+  SPEED_LAYER_USERS: path.join(tmp, 'users.json'),
+  PUBLISH_REPO_DIR: tmp,
+  PUBLISH_STATUS_FILE: path.join(tmp, 'publish.json')
+});
+
+const auth = require('../server/auth');
+const io = require('../server/manifest-io');
+const app = require('../server/index');
+
+const { token, record } = auth.createToken('tests');
+auth.saveUsers([{ username: 'alice', role: 'admin', groups: ['*'], passwordHash: auth.hashPassword('secret'), tokens: [record] }]);
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+function manifest(domain, extra) {
+  return Object.assign({ domain, enabled: true, allowScripts: [], deferScripts: ['gtm.js'], delayedScripts: [] }, extra);
+}
+
+async function api(method, url, body, headers = {}) {
+  const res = await fetch(base + url, {
+    method,
+    headers: Object.assign({ Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' }, headers),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, etag: res.headers.get('ETag'), body: res.status === 204 ? null : await res.json() };
+}
+
+test('GET sends the ETag of the manifest as stored, whatever its formatting', async () => {
+  fs.writeFileSync(path.join(tmp, 'manifest', 'www.a.com.json'), JSON.stringify(manifest('www.a.com'), null, 4));
+  const res = await api('GET', '/api/sites/www.a.com');
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.etag, io.etag(manifest('www.a.com')));
+});
+
+test('a PUT without If-Match is refused with 428 and the current ETag', async () => {
+  const res = await api('PUT', '/api/sites/www.a.com', manifest('www.a.com', { enabled: false }));
+  assert.strictEqual(res.status, 428);
+  assert.strictEqual(res.etag, io.etag(manifest('www.a.com')));
+  assert.strictEqual(res.body.etag, res.etag);
+  assert.strictEqual(io.readManifest('www.a.com').enabled, true);
+});
+
+test('a PUT with the current ETag saves and returns the new one', async () => {
+  const before = await api('GET', '/api/sites/www.a.com');
+  const changed = manifest('www.a.com', { delayedScripts: ['chat.js'] });
+  const res = await api('PUT', '/api/sites/www.a.com', changed, { 'If-Match': before.etag, 'X-Change-Reason': 'defer chat' });
+  assert.strictEqual(res.status, 200);
+  assert.strictEqual(res.body.ok, true);
+  assert.strictEqual(res.body.etag, io.etag(changed));
+  assert.strictEqual(res.etag, res.body.etag);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), changed);
+});
+
+test('a stale ETag gets 412 with the current manifest and its last change to merge', async () => {
+  const current = manifest('www.a.com', { delayedScripts: ['chat.js'] });
+  const res = await api('PUT', '/api/sites/www.a.com', manifest('www.a.com', { enabled: false }), { 'If-Match': io.etag(manifest('www.a.com')) });
+  assert.strictEqual(res.status, 412);
+  assert.strictEqual(res.etag, io.etag(current));
+  assert.strictEqual(res.body.etag, io.etag(current));
+  assert.deepStrictEqual(res.body.manifest, current);
+  const { at, ...lastChange } = res.body.lastChange;
+  assert.deepStrictEqual(lastChange, { rev: 2, action: 'update', actor: 'alice', reason: 'defer chat' });
+  assert.ok(!isNaN(Date.parse(at)));
+  assert.deepStrictEqual(io.readManifest('www.a.com'), current);
+});
+
+test('If-Match matches any tag in a list, or * for whatever is stored', async () => {
+  const current = io.etag(io.readManifest('www.a.com'));
+  const listed = await api('PUT', '/api/sites/www.a.com', manifest('www.a.com', { delayedScripts: ['chat.js', 'reviews.js'] }), { 'If-Match': `"stale", ${current}` });
+  assert.strictEqual(listed.status, 200);
+
+  const any = await api('PUT', '/api/sites/www.a.com', manifest('www.a.com'), { 'If-Match': '*' });
+  assert.strictEqual(any.status, 200);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), manifest('www.a.com'));
+});
+
+test('enable and disable need If-Match too', async () => {
+  assert.strictEqual((await api('POST', '/api/sites/www.a.com/disable')).status, 428);
+  assert.strictEqual((await api('POST', '/api/sites/www.a.com/disable', undefined, { 'If-Match': '"stale"' })).status, 412);
+  assert.strictEqual(io.readManifest('www.a.com').enabled, true);
+
+  const disabled = await api('POST', '/api/sites/www.a.com/disable', undefined, { 'If-Match': io.etag(manifest('www.a.com')) });
+  assert.strictEqual(disabled.status, 200);
+  assert.strictEqual(disabled.body.enabled, false);
+  assert.strictEqual(disabled.body.etag, io.etag(manifest('www.a.com', { enabled: false })));
+
+  const enabled = await api('POST', '/api/sites/www.a.com/enable', undefined, { 'If-Match': disabled.body.etag });
+  assert.strictEqual(enabled.status, 200);
+  assert.strictEqual(io.readManifest('www.a.com').enabled, true);
+});
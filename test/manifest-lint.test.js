@@ -0,0 +1,28 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const { lint } = require('../server/manifest-lint');
+
+function manifest(extra) {
+  return Object.assign({ domain: 'www.example.com', enabled: true, allowScripts: [], deferScripts: [], delayedScripts: [] }, extra);
+}
+
+function broad(findings) {
+  return findings.filter(f => /shorter than|generic word/.test(f.message)).map(f => f.pattern);
+}
+
+test('generic words are broad at any length', () => {
+  const findings = lint(manifest({ deferScripts: ['tracking', 'Analytics.', 'widgets.min.js', 'dealerOnTrack'] }));
+  assert.deepStrictEqual(broad(findings), ['tracking', 'Analytics.']);
+  assert.match(findings[0].message, /"tracking" is a generic word/);
+});
+
+test('short patterns are broad below minLength', () => {
+  assert.deepStrictEqual(broad(lint(manifest({ deferScripts: ['gtag', 'hotjar.com'] }))), ['gtag']);
+  assert.deepStrictEqual(broad(lint(manifest({ deferScripts: ['gtag', 'hotjar.com'] }), { minLength: 12 })), ['gtag', 'hotjar.com']);
+});
+
+test('regexes are not checked for length or words', () => {
+  assert.deepStrictEqual(broad(lint(manifest({ deferScripts: ['/ads/'] }))), []);
+});
@@ -0,0 +1,131 @@
+'use strict';
+
+// Template inheritance: `extends` chains with { add, remove } list overrides,
+// and the source/resolved pair manifest-io keeps for such manifests. The
+// modules read their directories from the environment when loaded.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-resolve-'));
+fs.mkdirSync(path.join(tmp, 'manifest'));
+Object.assign(process.env, {
+  MANIFEST_DIR: path.join(tmp, 'manifest'),
+  MANIFEST_SOURCE_DIR: path.join(tmp, 'manifest-src'),
+  MANIFEST_HISTORY_DIR: path.join(tmp, 'history'),
+  TEMPLATES_DIR: path.join(tmp, 'templates')
+});
+
+const templates = require('../server/templates');
+const resolver = require('../server/manifest-resolve');
+const io = require('../server/manifest-io');
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+templates.save('base', {
+  _comment: 'What every platform starts from',
+  enabled: true,
+  idleTimeout: 3000,
+  allowScripts: ['jquery'],
+  deferScripts: ['gtm.js', 'gtag'],
+  delayedScripts: []
+});
+templates.save('dealeron', {
+  extends: 'base',
+  platform: 'DealerOn',
+  allowScripts: { add: ['dealeron.js'] },
+  delayedScripts: ['carcodesms.com']
+});
+
+test('a site inherits its template chain, root first, and overrides lists with add/remove', () => {
+  const resolved = resolver.resolve({
+    domain: 'www.a.com',
+    extends: 'dealeron',
+    idleTimeout: 5000,
+    deferScripts: { add: ['hotjar', 'gtm.js'], remove: ['gtag'] }
+  });
+  assert.deepStrictEqual(resolved, {
+    domain: 'www.a.com',
+    idleTimeout: 5000,
+    deferScripts: ['gtm.js', 'hotjar'],
+    enabled: true,
+    allowScripts: ['jquery', 'dealeron.js'],
+    delayedScripts: ['carcodesms.com'],
+    platform: 'DealerOn'
+  });
+});
+
+test('a list given in full replaces the template\'s', () => {
+  const resolved = resolver.resolve({ domain: 'www.a.com', extends: 'dealeron', allowScripts: ['cdn.example.com'] });
+  assert.deepStrictEqual(resolved.allowScripts, ['cdn.example.com']);
+});
+
+test('remove drops equal objects, and add/remove on a missing list starts from empty', () => {
+  templates.save('rules', { rules: [{ pattern: 'chat', trigger: 'interaction' }, { pattern: 'reviews', trigger: 'idle' }] });
+  const resolved = resolver.resolve({
+    domain: 'www.a.com',
+    extends: 'rules',
+    rules: { remove: [{ pattern: 'chat', trigger: 'interaction' }] },
+    blockScripts: { add: ['adroll'] }
+  });
+  assert.deepStrictEqual(resolved.rules, [{ pattern: 'reviews', trigger: 'idle' }]);
+  assert.deepStrictEqual(resolved.blockScripts, ['adroll']);
+});
+
+test('site identity is never inherited', () => {
+  templates.save('grouped', { group: 'north', aliases: ['a.com'], domain: 'www.template.com', enabled: true });
+  assert.deepStrictEqual(resolver.resolve({ domain: 'www.a.com', extends: 'grouped' }), { domain: 'www.a.com', enabled: true });
+});
+
+test('a missing template, a loop or add/remove on a non-list is an error', () => {
+  assert.throws(() => resolver.resolve({ domain: 'www.a.com', extends: 'nope' }), /No template "nope"/);
+
+  templates.save('loop-a', { extends: 'loop-b' });
+  templates.save('loop-b', { extends: 'loop-a' });
+  assert.throws(() => resolver.resolve({ domain: 'www.a.com', extends: 'loop-a' }), /Template inheritance loop: loop-a → loop-b → loop-a/);
+
+  assert.throws(() => resolver.resolve({ domain: 'www.a.com', extends: 'dealeron', platform: { add: ['x'] } }), /platform: add\/remove only applies to lists/);
+});
+
+test('manifest-io keeps the source as written and writes the resolved manifest beside it', () => {
+  const source = { domain: 'www.a.com', extends: 'dealeron', deferScripts: { add: ['hotjar'] } };
+  assert.ok(io.writeManifest('www.a.com', source, { actor: 'alice' }).ok);
+
+  assert.deepStrictEqual(io.readManifest('www.a.com'), source);
+  assert.deepStrictEqual(io.readResolved('www.a.com'), resolver.resolve(source));
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(tmp, 'manifest', 'www.a.com.json'), 'utf8')).deferScripts, ['gtm.js', 'gtag', 'hotjar']);
+});
+
+test('a source that doesn\'t resolve or match the schema once resolved is refused', () => {
+  const missing = io.writeManifest('www.b.com', { domain: 'www.b.com', extends: 'nope' });
+  assert.strictEqual(missing.ok, false);
+  assert.deepStrictEqual(missing.errors.map(e => e.path), ['/extends']);
+
+  const invalid = io.writeManifest('www.b.com', { domain: 'www.b.com', extends: 'dealeron', idleTimeout: -1 });
+  assert.strictEqual(invalid.ok, false);
+  assert.deepStrictEqual(invalid.errors.map(e => e.path), ['/idleTimeout']);
+  assert.strictEqual(io.readManifest('www.b.com'), null);
+});
+
+test('a template change reaches the sites extending it, unless it would break one', () => {
+  const update = io.writeTemplate('base', Object.assign(templates.read('base'), { deferScripts: ['gtm.js', 'gtag', 'analytics.js'] }));
+  assert.deepStrictEqual(update, { ok: true, updated: ['www.a.com'] });
+  assert.deepStrictEqual(io.readResolved('www.a.com').deferScripts, ['gtm.js', 'gtag', 'analytics.js', 'hotjar']);
+
+  const { enabled, ...withoutEnabled } = templates.read('base');
+  const breaking = io.writeTemplate('base', withoutEnabled);
+  assert.strictEqual(breaking.ok, false);
+  assert.deepStrictEqual(breaking.errors.map(e => e.path), ['www.a.com']);
+  assert.strictEqual(templates.get('base').enabled, enabled);
+  assert.deepStrictEqual(templates.get('base').deferScripts, ['gtm.js', 'gtag', 'analytics.js']);
+});
+
+test('saving a site without extends drops its source', () => {
+  const flat = io.readResolved('www.a.com');
+  assert.ok(io.writeManifest('www.a.com', flat).ok);
+  assert.strictEqual(fs.existsSync(path.join(tmp, 'manifest-src', 'www.a.com.json')), false);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), flat);
+});
@@ -0,0 +1,164 @@
+'use strict';
+
+// Commit, push and purge against a throwaway bare remote and a local purge
+// stub. The publisher reads its environment when loaded, so it is required
+// once both are up.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { execFileSync } = require('child_process');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-publish-'));
+const remote = path.join(tmp, 'remote.git');
+const work = path.join(tmp, 'work');
+const REJECT_HOOK = path.join(remote, 'hooks', 'pre-receive');
+
+function git(args, cwd = work) {
+  return execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@localhost'].concat(args), { cwd, encoding: 'utf8', stdio: 'pipe' }).trim();
+}
+
+function manifest(domain, extra) {
+  return Object.assign({ domain, enabled: true, allowScripts: [], deferScripts: ['gtm.js'], delayedScripts: [] }, extra);
+}
+
+// Purge stub: answers `purgeStatus`, records the paths it was asked for
+let purgeStatus = 200;
+const purged = [];
+const stub = http.createServer((req, res) => {
+  purged.push(req.url);
+  res.writeHead(purgeStatus, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify({ status: purgeStatus === 200 ? 'finished' : 'error' }));
+});
+
+let io;
+let publisher;
+
+test.before(async () => {
+  git(['init', '--quiet', '--bare', '--initial-branch=main', remote], tmp);
+  git(['clone', '--quiet', remote, work], tmp);
+  fs.mkdirSync(path.join(work, 'manifest'));
+  fs.writeFileSync(path.join(work, 'manifest', 'www.seed.com.json'), JSON.stringify(manifest('www.seed.com'), null, 2) + '\n');
+  git(['add', '.']);
+  git(['commit', '--quiet', '-m', 'Seed']);
+  git(['push', '--quiet', 'origin', 'HEAD:refs/heads/main']);
+  git(['branch', '--quiet', '--set-upstream-to=origin/main']);
+
+  await new Promise(resolve => stub.listen(0, '127.0.0.1', resolve));
+  Object.assign(process.env, {
+    MANIFEST_DIR: path.join(work, 'manifest'),
+    MANIFEST_HISTORY_DIR: path.join(tmp, 'history'),
+    TEMPLATES_DIR: path.join(tmp, 'templates'),
+    CONTROL_FILE: path.join(work, 'control.json'),
+    PUBLISH_REPO_DIR: work,
+    PUBLISH_STATUS_FILE: path.join(tmp, 'publish.json'),
+    CDN_BASE: 'https://cdn.test/manifest/',
+    CDN_PURGE_BASE: `http://127.0.0.1:${stub.address().port}/purge/manifest/`
+  });
+  io = require('../server/manifest-io');
+  publisher = require('../server/publisher');
+});
+
+test.after(() => {
+  stub.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+test.beforeEach(() => {
+  purgeStatus = 200;
+  purged.length = 0;
+  if (fs.existsSync(REJECT_HOOK)) fs.unlinkSync(REJECT_HOOK);
+});
+
+async function stateOf(domain) {
+  const site = (await publisher.status()).sites.find(s => s.domain === domain);
+  return site && site.state;
+}
+
+test('commits, pushes and purges a saved manifest', async () => {
+  assert.ok(io.writeManifest('www.a.com', manifest('www.a.com'), { actor: 'alice', reason: 'first cut' }).ok);
+  assert.strictEqual(await stateOf('www.a.com'), 'modified');
+
+  const result = await publisher.publish({ actor: 'alice' });
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.pushed, true);
+  assert.deepStrictEqual(result.sites, [{ domain: 'www.a.com', state: 'published', purge: 'ok', error: null }]);
+  assert.strictEqual(git(['rev-parse', 'main'], remote), result.commit);
+  assert.match(git(['log', '-1', '--format=%an%n%B', 'main'], remote), /^alice\nPublish 1 manifest: www\.a\.com\n\n- www\.a\.com: create rev 1 by alice — first cut/);
+  assert.deepStrictEqual(purged, ['/purge/manifest/www.a.com.json']);
+  assert.strictEqual(await stateOf('www.a.com'), 'published');
+});
+
+test('reports nothing to publish when nothing changed', async () => {
+  const result = await publisher.publish({ actor: 'alice' });
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(result.pushed, false);
+  assert.strictEqual(result.message, 'Nothing to publish');
+  assert.deepStrictEqual(purged, []);
+});
+
+test('rebases onto a remote that moved on, then pushes', async () => {
+  const other = path.join(tmp, 'other');
+  git(['clone', '--quiet', remote, other], tmp);
+  fs.writeFileSync(path.join(other, 'README'), 'elsewhere\n');
+  git(['add', 'README'], other);
+  git(['commit', '--quiet', '-m', 'Someone else'], other);
+  git(['push', '--quiet', 'origin', 'HEAD:refs/heads/main'], other);
+
+  assert.ok(io.writeManifest('www.a.com', manifest('www.a.com', { delayedScripts: ['chat.js'] }), { actor: 'bob' }).ok);
+  const result = await publisher.publish({ actor: 'bob' });
+  assert.strictEqual(result.ok, true);
+  assert.strictEqual(git(['rev-parse', 'main'], remote), result.commit);
+  assert.strictEqual(git(['log', '-1', '--format=%s', 'main~1'], remote), 'Someone else');
+  assert.deepStrictEqual(purged, ['/purge/manifest/www.a.com.json']);
+});
+
+test('a rejected push leaves the commit unpushed, and the next publish sends it', async () => {
+  fs.writeFileSync(REJECT_HOOK, '#!/bin/sh\necho "protected branch" >&2\nexit 1\n', { mode: 0o755 });
+  const before = git(['rev-parse', 'main'], remote);
+
+  assert.ok(io.writeManifest('www.b.com', manifest('www.b.com'), { actor: 'carol' }).ok);
+  const result = await publisher.publish({ actor: 'carol' });
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.pushed, false);
+  assert.ok(result.commit);
+  assert.match(result.error, /^git push failed/);
+  assert.deepStrictEqual(result.sites, [{ domain: 'www.b.com', state: 'unpushed', error: result.error }]);
+  assert.strictEqual(git(['rev-parse', 'main'], remote), before);
+  assert.deepStrictEqual(purged, []);
+  assert.strictEqual(await stateOf('www.b.com'), 'unpushed');
+  assert.strictEqual((await publisher.status()).lastRun.ok, false);
+
+  fs.unlinkSync(REJECT_HOOK);
+  const retry = await publisher.publish({ actor: 'carol' });
+  assert.strictEqual(retry.ok, true);
+  assert.strictEqual(retry.commit, result.commit);
+  assert.deepStrictEqual(retry.sites.map(s => s.domain), ['www.b.com']);
+  assert.strictEqual(git(['rev-parse', 'main'], remote), result.commit);
+  assert.deepStrictEqual(purged, ['/purge/manifest/www.b.com.json']);
+  assert.strictEqual(await stateOf('www.b.com'), 'published');
+});
+
+test('a purge returning 5xx is reported, and the next publish retries it', async () => {
+  purgeStatus = 503;
+  assert.ok(io.writeManifest('www.c.com', manifest('www.c.com'), { actor: 'dave' }).ok);
+  const result = await publisher.publish({ actor: 'dave' });
+  assert.strictEqual(result.ok, false);
+  assert.strictEqual(result.pushed, true);
+  assert.strictEqual(git(['rev-parse', 'main'], remote), result.commit);
+  assert.deepStrictEqual(result.sites, [{ domain: 'www.c.com', state: 'purge_failed', purge: 'failed', error: 'Purge of www.c.com.json returned HTTP 503' }]);
+  assert.match(result.error, /1 purge\(s\) failed/);
+  assert.strictEqual(await stateOf('www.c.com'), 'purge_failed');
+
+  purgeStatus = 200;
+  purged.length = 0;
+  const retry = await publisher.publish({ actor: 'dave' });
+  assert.strictEqual(retry.ok, true);
+  assert.strictEqual(retry.commit, result.commit);
+  assert.deepStrictEqual(retry.sites, [{ domain: 'www.c.com', state: 'published', purge: 'ok', error: null }]);
+  assert.deepStrictEqual(purged, ['/purge/manifest/www.c.com.json']);
+  assert.strictEqual(await stateOf('www.c.com'), 'published');
+});
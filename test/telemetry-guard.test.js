@@ -0,0 +1,63 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validateEvent } = require('../server/telemetry-guard');
+const editions = require('../src/editions');
+
+const CORE_VERSION = fs.readFileSync(path.join(__dirname, '..', 'src', 'core.js'), 'utf8').match(/const CORE_VERSION = '([^']+)'/)[1];
+
+// What the loader's reportManifestError() sends for `err`, after the same
+// JSON round trip as sendTelemetry() (so an unset _httpStatus is dropped)
+function manifestError(err, edition = editions[0], extra) {
+  return JSON.parse(JSON.stringify(Object.assign({
+    event: 'manifest_error',
+    domain: 'www.example.com',
+    timestamp: Date.now(),
+    loaderVersion: edition.runtime.version,
+    coreVersion: CORE_VERSION,
+    errorType: err._errorType,
+    url: 'https://cdn.example.com/manifest/www.example.com.json',
+    attempt: err._attempt,
+    httpStatus: err._httpStatus
+  }, extra)));
+}
+
+// The errors fetchManifestFile() / fetchManifest() reject with
+const ERRORS = {
+  TIMEOUT: { _errorType: 'TIMEOUT', _attempt: 3, _httpStatus: null },
+  NETWORK_ERROR: { _errorType: 'NETWORK_ERROR', _attempt: 3, _httpStatus: null },
+  SERVER_ERROR: { _errorType: 'SERVER_ERROR', _attempt: 3, _httpStatus: 503 },
+  NOT_FOUND: { _errorType: 'NOT_FOUND', _attempt: 1, _httpStatus: 404 },
+  JSON_PARSE_ERROR: { _errorType: 'JSON_PARSE_ERROR', _attempt: 1, _httpStatus: 200 },
+  INVALID_ALIAS: { _errorType: 'INVALID_ALIAS', _attempt: 1 }
+};
+
+for (const [type, err] of Object.entries(ERRORS)) {
+  test(`a ${type} manifest_error from every edition is valid`, () => {
+    for (const edition of editions) {
+      assert.deepStrictEqual(validateEvent(manifestError(err, edition)), { valid: true }, edition.file);
+    }
+  });
+}
+
+test('an INVALID_ALIAS manifest_error has no httpStatus', () => {
+  assert.ok(!('httpStatus' in manifestError(ERRORS.INVALID_ALIAS)));
+});
+
+test('a non-integer httpStatus is rejected', () => {
+  const result = validateEvent(manifestError(ERRORS.SERVER_ERROR, undefined, { httpStatus: '503' }));
+  assert.strictEqual(result.valid, false);
+  assert.ok(result.errors.some(e => e.path === '/httpStatus'));
+});
+
+test('unknown properties are rejected', () => {
+  assert.strictEqual(validateEvent(manifestError(ERRORS.TIMEOUT, undefined, { stack: 'x' })).valid, false);
+});
+
+test('a page_summary carries its page view id', () => {
+  const event = { event: 'page_summary', domain: 'www.example.com', timestamp: Date.now(), loaderVersion: editions[1].runtime.version, coreVersion: CORE_VERSION, pageViewId: 'lq2x8k3z9f1a2b3c', page: 'https://www.example.com/', active: true };
+  assert.deepStrictEqual(validateEvent(event), { valid: true });
+});
@@ -0,0 +1,39 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-telemetry-'));
+process.env.TELEMETRY_DIR = tmp;
+const store = require('../server/telemetry-store');
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+function summary(domain, pageViewId, lcp, active = true) {
+  return { event: 'page_summary', domain, pageViewId, active, vitals: { lcp, cls: null, inp: null, ttfb: null }, marks: {} };
+}
+
+test('only the last summary of a page view counts', async () => {
+  store.append(summary('www.a.com', 'v1', 1000)); // hidden, then shown again
+  store.append(summary('www.a.com', 'v2', 2000));
+  store.append(summary('www.a.com', 'v1', 3000));
+  store.append(summary('www.b.com', 'v1', 4000, false)); // Same id on another site is another page view
+  store.append({ event: 'page_summary', domain: 'www.a.com', active: true, vitals: { lcp: 5000 }, marks: {} }); // Older loader, no id
+  store.append({ event: 'manifest_error', domain: 'www.a.com', errorType: 'TIMEOUT', attempt: 3, httpStatus: null });
+
+  const { groups } = await store.summarize({ from: 0, to: Date.now() + 1000 });
+  const a = groups.find(g => g.key === 'www.a.com');
+  assert.strictEqual(a.pageViews, 3);
+  assert.strictEqual(a.activePageViews, 3);
+  assert.strictEqual(a.events, 4);
+  assert.deepStrictEqual(a.byEvent, { page_summary: 3, manifest_error: 1 });
+  assert.deepStrictEqual(a.timings.lcp, { count: 3, p50: 3000, p75: 5000, p95: 5000 });
+  assert.strictEqual(a.errorRate, 0.3333);
+
+  const b = groups.find(g => g.key === 'www.b.com');
+  assert.strictEqual(b.pageViews, 1);
+  assert.strictEqual(b.activePageViews, 0);
+});
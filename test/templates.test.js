@@ -0,0 +1,134 @@
+'use strict';
+
+// The /api/templates resource: everyone reads templates, admins change them,
+// and a change reaches the sites extending them. Stores read their
+// directories from the environment when loaded, so the app is required once
+// they all point into a temp dir.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-templates-'));
+fs.mkdirSync(path.join(tmp, 'manifest'));
+Object.assign(process.env, {
+  MANIFEST_DIR: path.join(tmp, 'manifest'),
+  MANIFEST_SOURCE_DIR: path.join(tmp, 'manifest-src'),
+  MANIFEST_HISTORY_DIR: path.join(tmp, 'history'),
+  TEMPLATES_DIR: path.join(tmp, 'templates'),
+  CONTROL_FILE: path.join(tmp, 'control.json'),
+  DRAFTS_DIR: path.join(tmp, 'drafts'),
+  DISCOVERIES_DIR: path.join(tmp, 'discoveries'),
+  TELEMETRY_DIR: path.join(tmp, 'telemetry'),
+  SPEED_LAYER_USERS: path.join(tmp, 'users.json'),
+  PUBLISH_REPO_DIR: tmp,
+  PUBLISH_STATUS_FILE: path.join(tmp, 'publish.json')
+});
+
+const auth = require('../server/auth');
+const io = require('../server/manifest-io');
+const templates = require('../server/templates');
+const app = require('../server/index');
+
+// One token per user
+const tokens = {};
+auth.saveUsers([['alice', 'admin'], ['bob', 'editor']].map(([username, role]) => {
+  const { token, record } = auth.createToken('tests');
+  tokens[username] = token;
+  return { username, role, groups: ['*'], passwordHash: auth.hashPassword('secret'), tokens: [record] };
+}));
+
+let server;
+let base;
+
+test.before(async () => {
+  server = app.listen(0, '127.0.0.1');
+  await new Promise(resolve => server.once('listening', resolve));
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+test.after(() => {
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+});
+
+async function api(user, method, url, body, headers = {}) {
+  const res = await fetch(base + url, {
+    method,
+    headers: Object.assign({ Authorization: `Bearer ${tokens[user]}`, 'Content-Type': 'application/json' }, headers),
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: res.status, etag: res.headers.get('ETag'), body: res.status === 204 ? null : await res.json() };
+}
+
+templates.save('dealeron', {
+  _comment: 'DealerOn CMS platform template',
+  platform: 'DealerOn',
+  enabled: true,
+  allowScripts: ['dealeron.js'],
+  deferScripts: ['gtm.js'],
+  delayedScripts: []
+});
+
+test('a template is created by an admin, validated against the template schema', async () => {
+  const template = { extends: 'dealeron', _comment: 'DealerOn with chat delayed', delayedScripts: { add: ['carcodesms.com'] } };
+  assert.strictEqual((await api('bob', 'POST', '/api/templates', { name: 'dealeron-chat', template })).status, 403);
+  assert.strictEqual((await api('alice', 'POST', '/api/templates', { name: 'DealerOn Chat', template })).status, 400);
+
+  const withDomain = await api('alice', 'POST', '/api/templates', { name: 'dealeron-chat', template: Object.assign({ domain: 'www.a.com' }, template) });
+  assert.strictEqual(withDomain.status, 400);
+  const missing = await api('alice', 'POST', '/api/templates', { name: 'dealeron-chat', template: Object.assign({}, template, { extends: 'nope' }) });
+  assert.strictEqual(missing.status, 400);
+  assert.match(missing.body.errors[0].message, /No template "nope"/);
+  assert.strictEqual(templates.read('dealeron-chat'), null);
+
+  const created = await api('alice', 'POST', '/api/templates', { name: 'dealeron-chat', template });
+  assert.strictEqual(created.status, 201);
+  assert.strictEqual(created.body.etag, io.etag(template));
+  assert.deepStrictEqual(templates.read('dealeron-chat'), template);
+  assert.strictEqual((await api('alice', 'POST', '/api/templates', { name: 'dealeron-chat', template })).status, 409);
+});
+
+test('templates are listed with what they inherit and how many sites extend them', async () => {
+  assert.ok(io.writeManifest('www.a.com', { domain: 'www.a.com', extends: 'dealeron-chat' }).ok);
+
+  const list = await api('bob', 'GET', '/api/templates');
+  assert.strictEqual(list.status, 200);
+  assert.deepStrictEqual(list.body.map(t => [t.name, t.platform, t.extends, t.sites, t.description]), [
+    ['dealeron', 'DealerOn', null, 0, 'DealerOn CMS platform template'],
+    ['dealeron-chat', 'DealerOn', 'dealeron', 1, 'DealerOn with chat delayed']
+  ]);
+
+  const one = await api('bob', 'GET', '/api/templates/dealeron-chat');
+  assert.strictEqual(one.etag, io.etag(templates.read('dealeron-chat')));
+  assert.strictEqual(one.body._comment, 'DealerOn with chat delayed');
+  assert.strictEqual((await api('bob', 'GET', '/api/templates/nope')).status, 404);
+});
+
+test('updating a template re-resolves the sites extending it, and honours If-Match', async () => {
+  const { body: current, etag } = await api('alice', 'GET', '/api/templates/dealeron');
+  const changed = Object.assign({}, current, { deferScripts: ['gtm.js', 'gtag'] });
+
+  const updated = await api('alice', 'PUT', '/api/templates/dealeron', changed, { 'If-Match': etag });
+  assert.strictEqual(updated.status, 200);
+  assert.deepStrictEqual(updated.body.updated, ['www.a.com']);
+  assert.deepStrictEqual(io.readResolved('www.a.com').deferScripts, ['gtm.js', 'gtag']);
+  assert.deepStrictEqual(io.readResolved('www.a.com').delayedScripts, ['carcodesms.com']);
+
+  const stale = await api('alice', 'PUT', '/api/templates/dealeron', current, { 'If-Match': etag });
+  assert.strictEqual(stale.status, 412);
+  assert.deepStrictEqual(stale.body.template, changed);
+});
+
+test('a template still extended can\'t be deleted', async () => {
+  const used = await api('alice', 'DELETE', '/api/templates/dealeron');
+  assert.strictEqual(used.status, 409);
+  assert.deepStrictEqual(used.body.usedBy, { sites: [], templates: ['dealeron-chat'] });
+
+  assert.strictEqual((await api('alice', 'DELETE', '/api/templates/dealeron-chat')).status, 409);
+  assert.ok(io.writeManifest('www.a.com', io.readResolved('www.a.com')).ok);
+  assert.strictEqual((await api('alice', 'DELETE', '/api/templates/dealeron-chat')).status, 204);
+  assert.strictEqual(templates.read('dealeron-chat'), null);
+});
@@ -0,0 +1,110 @@
+'use strict';
+
+// Vendor catalog expansion: `vendors` and `categories` in a manifest become
+// the catalog's patterns in its lists. The modules read the catalog and their
+// directories from the environment when loaded.
+
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'speed-layer-vendors-'));
+fs.mkdirSync(path.join(tmp, 'manifest'));
+Object.assign(process.env, {
+  MANIFEST_DIR: path.join(tmp, 'manifest'),
+  MANIFEST_SOURCE_DIR: path.join(tmp, 'manifest-src'),
+  MANIFEST_HISTORY_DIR: path.join(tmp, 'history'),
+  TEMPLATES_DIR: path.join(tmp, 'templates'),
+  VENDORS_FILE: path.join(tmp, 'vendors.json')
+});
+
+const templates = require('../server/templates');
+const resolver = require('../server/manifest-resolve');
+const io = require('../server/manifest-io');
+
+test.after(() => fs.rmSync(tmp, { recursive: true, force: true }));
+
+const CATALOG = {
+  _comment: 'Test catalog',
+  version: '2025.1',
+  vendors: {
+    hotjar: { name: 'Hotjar', category: 'analytics', patterns: ['hotjar.com', 'static.hotjar'], tier: 'delayed', risks: ['session recording'] },
+    carcode: { name: 'CarCode', category: 'chat', patterns: ['carcodesms.com'], tier: 'delayed' },
+    gubagoo: { name: 'Gubagoo', category: 'chat', patterns: ['gubagoo.io'], tier: 'defer' },
+    onetrust: { name: 'OneTrust', category: 'compliance', patterns: ['cookielaw.org'], tier: 'allow' }
+  }
+};
+
+function writeCatalog(catalog) {
+  fs.writeFileSync(process.env.VENDORS_FILE, JSON.stringify(catalog, null, 2));
+}
+
+function manifest(extra) {
+  return Object.assign({ domain: 'www.a.com', enabled: true, allowScripts: [], deferScripts: ['gtm.js'], delayedScripts: [] }, extra);
+}
+
+writeCatalog(CATALOG);
+
+test('named vendors go in their recommended tier, in place of the vendors key', () => {
+  assert.deepStrictEqual(resolver.resolve(manifest({ vendors: ['hotjar', 'onetrust'] })), manifest({
+    allowScripts: ['cookielaw.org'],
+    delayedScripts: ['hotjar.com', 'static.hotjar']
+  }));
+});
+
+test('categories put every vendor of the category in a tier, named ones included', () => {
+  const resolved = resolver.resolve(manifest({ vendors: ['carcode', 'hotjar'], categories: { chat: 'block' } }));
+  assert.deepStrictEqual(resolved.blockScripts, ['carcodesms.com', 'gubagoo.io']);
+  assert.deepStrictEqual(resolved.delayedScripts, ['hotjar.com', 'static.hotjar']);
+  assert.strictEqual(resolved.categories, undefined);
+});
+
+test('a pattern the lists already hold stays where the site put it', () => {
+  const resolved = resolver.resolve(manifest({ allowScripts: ['hotjar.com'], vendors: ['hotjar'] }));
+  assert.deepStrictEqual(resolved.allowScripts, ['hotjar.com']);
+  assert.deepStrictEqual(resolved.delayedScripts, ['static.hotjar']);
+});
+
+test('vendors are expanded after the template chain is merged', () => {
+  templates.save('chatty', { vendors: ['carcode'], deferScripts: ['gtm.js'] });
+  const resolved = resolver.resolve({ domain: 'www.a.com', extends: 'chatty', enabled: true, allowScripts: [], delayedScripts: [] });
+  assert.deepStrictEqual(resolved.delayedScripts, ['carcodesms.com']);
+  assert.strictEqual(resolved.vendors, undefined);
+});
+
+test('an unknown vendor is an error at its place in the list', () => {
+  assert.throws(() => resolver.resolve(manifest({ vendors: ['hotjar', 'livechat'] })), err => {
+    assert.strictEqual(err.message, 'No vendor "livechat" in the catalog');
+    assert.strictEqual(err.path, '/vendors/1');
+    return true;
+  });
+  assert.deepStrictEqual(io.validateManifest(manifest({ vendors: ['livechat'] })).errors, [{ path: '/vendors/0', message: 'No vendor "livechat" in the catalog' }]);
+});
+
+test('a manifest naming vendors is stored as written, and catalog changes reach it on refresh', () => {
+  const source = manifest({ vendors: ['gubagoo'] });
+  assert.ok(io.writeManifest('www.a.com', source).ok);
+  assert.deepStrictEqual(io.readManifest('www.a.com'), source);
+  assert.deepStrictEqual(io.readResolved('www.a.com').deferScripts, ['gtm.js', 'gubagoo.io']);
+
+  writeCatalog(Object.assign({}, CATALOG, {
+    version: '2025.2',
+    vendors: Object.assign({}, CATALOG.vendors, { gubagoo: Object.assign({}, CATALOG.vendors.gubagoo, { patterns: ['gubagoo.io', 'gubagoo.com'] }) })
+  }));
+  assert.deepStrictEqual(io.refreshResolved(), { updated: ['www.a.com'], errors: [] });
+  assert.deepStrictEqual(io.readResolved('www.a.com').deferScripts, ['gtm.js', 'gubagoo.io', 'gubagoo.com']);
+});
+
+test('a catalog that doesn\'t match its schema is reported, and manifests keep their resolved file', () => {
+  const before = io.readResolved('www.a.com');
+  writeCatalog({ version: '2025.3', vendors: { gubagoo: { name: 'Gubagoo', category: 'video', patterns: ['gubagoo.io'], tier: 'defer' } } });
+  assert.throws(() => resolver.resolve(manifest({ vendors: ['gubagoo'] })), /^Error: vendors\.json: \/vendors\/gubagoo\/category/);
+
+  const { updated, errors } = io.refreshResolved();
+  assert.deepStrictEqual(updated, []);
+  assert.deepStrictEqual(errors.map(e => e.domain), ['www.a.com']);
+  assert.deepStrictEqual(io.readResolved('www.a.com'), before);
+  writeCatalog(CATALOG);
+});